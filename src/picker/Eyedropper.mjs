@@ -3,6 +3,8 @@
  * Uses screenshot capture to read pixel colors
  */
 
+import { Color } from "../utils/Color.mjs"
+
 export class Eyedropper {
   /**
    * Activate eyedropper and return selected color
@@ -181,9 +183,7 @@ export class Eyedropper {
     try {
       const pixel = ctx.getImageData(x, y, 1, 1).data
 
-      return `#${[pixel[0], pixel[1], pixel[2]]
-        .map((v) => v.toString(16).padStart(2, "0"))
-        .join("")}`
+      return new Color("srgb", { r: pixel[0], g: pixel[1], b: pixel[2] }).hex
     } catch (error) {
       console.error("Error reading pixel:", error)
       return null
@@ -14,12 +14,24 @@ export class PickerController {
     this.pickerElement = null
     this.interactions = null
 
+    // Picker color per input when it last closed, so grays and black reopen
+    // with the hue and saturation they were left at
+    this.lastColor = new WeakMap()
+
+    // Palette panel mode per input, so a constrained input stays snapped
+    this.quantization = new WeakMap()
+
+    // Set while focus moves back to the input, so focusing it doesn't
+    // reopen the picker
+    this.returningFocus = false
+
     // Bound event handlers
     this.boundHandlers = {
       outsideClick: this._handleOutsideClick.bind(this),
-      scroll: this.close.bind(this),
+      scroll: this._handleScroll.bind(this),
       resize: this._handleResize.bind(this),
       keydown: this._handleKeydown.bind(this),
+      focusout: this._handleFocusOut.bind(this),
     }
   }
 
@@ -27,14 +39,22 @@ export class PickerController {
     if (this.pickerElement && this.currentInput === inputElement) {
       return // Already showing for this input
     }
+    if (this.returningFocus) {
+      return // Focus is coming back from the picker that just closed
+    }
 
-    this.close()
+    // Switching to another input is an outside click, but the content
+    // script stops the click before _handleOutsideClick sees it
+    this.close(true)
     this.currentInput = inputElement
 
     const initialColor = inputElement.value || "#000000"
 
     // Create picker UI
-    this.pickerElement = PickerUI.createPickerElement(initialColor)
+    this.pickerElement = PickerUI.createPickerElement(initialColor, {
+      alpha: inputElement.hasAttribute("alpha"),
+      colorSpace: inputElement.getAttribute("colorspace"),
+    })
     document.body.appendChild(this.pickerElement)
 
     // Setup interactions
@@ -42,9 +62,15 @@ export class PickerController {
       this.pickerElement,
       this.currentInput,
       this._handleColorChange.bind(this),
+      this.lastColor.get(inputElement),
     )
     this.interactions.setup()
 
+    const quantization = this.quantization.get(inputElement)
+    if (quantization) {
+      this.interactions.setQuantization(quantization.mode, quantization.palette)
+    }
+
     // Setup eyedropper button
     this._setupEyedropper()
 
@@ -54,10 +80,32 @@ export class PickerController {
       this.recentColorsManager.getColors(),
       this._handleRecentColorClick.bind(this),
     )
+    PickerUI.updateContrastReferences(
+      this.pickerElement,
+      this.recentColorsManager.getColors(),
+      (color) => this.interactions.setContrastReference(color),
+    )
+    PickerUI.updateMixTargets(
+      this.pickerElement,
+      this.recentColorsManager.getColors(),
+      this.interactions.mixTarget,
+      (color) => this.interactions.setMixTarget(color),
+    )
+
+    // Opening a panel makes the picker taller, so it may need to flip
+    this.pickerElement.querySelectorAll("details").forEach((panel) => {
+      panel.addEventListener("toggle", this.boundHandlers.resize)
+    })
 
     // Position picker
     PickerPositioning.positionPicker(this.pickerElement, inputElement)
 
+    // Move focus in like a popover; Tab then cycles inside the picker
+    this.pickerElement.addEventListener("focusout", this.boundHandlers.focusout)
+    this.pickerElement
+      .querySelector(".bcp-saturation-lightness")
+      .focus({ preventScroll: true })
+
     // Setup global event listeners
     setTimeout(() => {
       document.addEventListener("mousedown", this.boundHandlers.outsideClick)
@@ -67,15 +115,29 @@ export class PickerController {
     }, 0)
   }
 
-  close() {
+  /**
+   * Close the picker. Only Enter, an outside click or a recent color commit
+   * the color and fire change; closing any other way (Escape, scrolling,
+   * focus moving elsewhere) cancels and restores the input's value.
+   * @param {boolean} commit - Commit the color instead of cancelling
+   */
+  close(commit = false) {
     if (this.pickerElement) {
-      // Save current color to recent colors
-      if (this.currentInput && this.currentInput.value) {
+      if (this.interactions && commit) {
+        this.interactions.commit()
+      } else if (this.interactions) {
+        this.interactions.revert()
+      }
+
+      // Save a committed color to recent colors
+      if (commit && this.currentInput && this.currentInput.value) {
         this.recentColorsManager.add(this.currentInput.value)
       }
 
       // Cleanup interactions
       if (this.interactions) {
+        this.lastColor.set(this.currentInput, this.interactions.color)
+        this.quantization.set(this.currentInput, this.interactions.quantization)
         this.interactions.cleanup()
         this.interactions = null
       }
@@ -94,6 +156,25 @@ export class PickerController {
     this.currentInput = null
   }
 
+  /**
+   * Close the picker and put focus back on the input it was opened for, as
+   * on Escape or when a color is committed
+   * @param {boolean} commit - Commit the color instead of cancelling
+   */
+  closeAndReturnFocus(commit = false) {
+    const input = this.currentInput
+    this.close(commit)
+
+    if (input && input.isConnected) {
+      this.returningFocus = true
+      try {
+        input.focus({ preventScroll: true })
+      } finally {
+        this.returningFocus = false
+      }
+    }
+  }
+
   _setupEyedropper() {
     const eyedropperBtn = this.pickerElement.querySelector(
       ".bcp-eyedropper-btn",
@@ -103,17 +184,41 @@ export class PickerController {
       eyedropperBtn.addEventListener("click", async () => {
         const color = await Eyedropper.activate()
 
-        if (color && this.currentInput) {
-          this.currentInput.value = color
-          this.currentInput.dispatchEvent(new Event("input", { bubbles: true }))
-          this.currentInput.dispatchEvent(
-            new Event("change", { bubbles: true }),
+        // Update picker UI and input with new color
+        if (color && this.currentInput && this.interactions) {
+          this.interactions.setColor(color)
+          this.interactions.announce(
+            `Picked ${this.interactions.describeCurrentColor()}`,
           )
+        } else if (this.interactions) {
+          this.interactions.announce("Eyedropper cancelled")
+        }
 
-          // Update picker UI with new color
-          if (this.interactions) {
-            this.interactions.updateFromHex(color)
-          }
+        // The overlay had focus while it was open
+        if (eyedropperBtn.isConnected) {
+          eyedropperBtn.focus({ preventScroll: true })
+        }
+      })
+    }
+
+    const contrastEyedropperBtn = this.pickerElement.querySelector(
+      ".bcp-contrast-eyedropper",
+    )
+
+    if (contrastEyedropperBtn) {
+      contrastEyedropperBtn.addEventListener("click", async () => {
+        const color = await Eyedropper.activate()
+
+        // Use the picked color as the contrast reference, which announces
+        // the new contrast
+        if (color && this.interactions) {
+          this.interactions.setContrastReference(color)
+        } else if (this.interactions) {
+          this.interactions.announce("Eyedropper cancelled")
+        }
+
+        if (contrastEyedropperBtn.isConnected) {
+          contrastEyedropperBtn.focus({ preventScroll: true })
         }
       })
     }
@@ -131,10 +236,17 @@ export class PickerController {
       e.target !== this.currentInput &&
       !isEyedropperClick
     ) {
-      this.close()
+      this.close(true)
     }
   }
 
+  _handleScroll(e) {
+    // Scrolling the picker itself or one of its outputs keeps it open
+    if (this.pickerElement && this.pickerElement.contains(e.target)) return
+
+    this.close()
+  }
+
   _handleResize() {
     if (this.pickerElement && this.currentInput) {
       PickerPositioning.positionPicker(this.pickerElement, this.currentInput)
@@ -145,24 +257,77 @@ export class PickerController {
     if (!this.pickerElement) return
 
     if (e.key === "Escape") {
+      // Cancel: the input goes back to its value from when the picker opened
+      e.preventDefault()
+      this.closeAndReturnFocus()
+    } else if (e.key === "Tab") {
+      this._trapFocus(e)
+    } else if (
+      e.key === "Enter" &&
+      this.pickerElement.contains(e.target) &&
+      e.target.matches('[role="slider"], input[type="range"]')
+    ) {
+      // Enter commits from the sliders like it does from the text fields,
+      // so keyboard users have a way to keep the color
+      e.preventDefault()
+      this.closeAndReturnFocus(true)
+    }
+  }
+
+  /**
+   * Keep Tab inside the picker by wrapping from the last control to the
+   * first and, with Shift, from the first to the last
+   */
+  _trapFocus(e) {
+    const focusable = Array.from(
+      this.pickerElement.querySelectorAll(
+        'button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])',
+      ),
+    ).filter((el) => !el.disabled && el.getClientRects().length > 0)
+    if (focusable.length === 0) return
+
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+    const inside = this.pickerElement.contains(document.activeElement)
+
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+      e.preventDefault()
+      last.focus()
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
       e.preventDefault()
-      this.close()
+      first.focus()
     }
   }
 
+  _handleFocusOut(e) {
+    // Focus moving to nothing (e.g. switching windows), the input or the
+    // eyedropper overlay keeps the picker open
+    const target = e.relatedTarget
+    if (
+      !this.pickerElement ||
+      !target ||
+      this.pickerElement.contains(target) ||
+      target === this.currentInput ||
+      target.closest(".bcp-eyedropper-overlay")
+    ) {
+      return
+    }
+
+    this.close()
+  }
+
   _handleColorChange(action) {
     if (action === "close") {
-      this.close()
+      this.closeAndReturnFocus(true)
     }
   }
 
   _handleRecentColorClick(color) {
-    if (this.currentInput) {
-      this.currentInput.value = color
-      this.currentInput.dispatchEvent(new Event("input", { bubbles: true }))
-      this.currentInput.dispatchEvent(new Event("change", { bubbles: true }))
-      this.recentColorsManager.add(color)
-      this.close()
+    if (this.currentInput && this.interactions) {
+      // Serializes the color for this input (e.g. drops alpha if unsupported)
+      this.interactions.setColor(color)
+      this.recentColorsManager.add(this.currentInput.value)
+      this.closeAndReturnFocus(true)
     }
   }
 }
@@ -3,147 +3,641 @@
  */
 
 import {
-  hexToHSV,
   hsvToHex,
-  hexToRGB,
-  hsvToRGB,
-  hexToHSL,
-  hslToHex,
-  rgbToHSL,
+  hsvToUnitRGB,
+  rgbToHex,
+  serializeColorFunction,
+  kelvinToRGB,
+  KELVIN_RANGE,
+  mixColors,
+  POLAR_MIX_SPACES,
 } from "../utils/ColorConversions.mjs"
+import { Color, HUE_SPACES } from "../utils/Color.mjs"
+import { deltaE2000 } from "../utils/ColorDifference.mjs"
+import { nearestNamedColor, describeColor } from "../utils/ColorNaming.mjs"
+import { simulateCVD } from "../utils/ColorVision.mjs"
+import { generateHarmony } from "../utils/ColorHarmony.mjs"
+import {
+  generateScale,
+  scaleToCSS,
+  scaleToTailwind,
+} from "../utils/ColorScale.mjs"
+import {
+  sampleGradient,
+  gradientToCSS,
+  sortStops,
+} from "../utils/ColorGradient.mjs"
+import { quantizeColor, parsePalette } from "../utils/ColorQuantize.mjs"
+import { adjustColor } from "../utils/ColorAdjust.mjs"
+import {
+  contrastRatio,
+  wcagCompliance,
+  apcaContrast,
+} from "../utils/Contrast.mjs"
+import { PickerUI } from "./PickerUI.mjs"
+
+// Wait for the color to settle this long before announcing it, so screen
+// readers aren't flooded while dragging
+const ANNOUNCE_DELAY = 500
+
+// Order in which the format toggle cycles through the input containers.
+// Formats whose container was not created for this input are skipped.
+const FORMATS = [
+  { id: "hex", label: "HEX" },
+  { id: "rgb", label: "RGB", alphaLabel: "RGBA" },
+  { id: "hsl", label: "HSL", alphaLabel: "HSLA" },
+  { id: "hsb", label: "HSB" },
+  { id: "hwb", label: "HWB" },
+  { id: "cmyk", label: "CMYK" },
+  { id: "oklch", label: "OKLCH" },
+  { id: "lab", label: "LAB" },
+  { id: "lch", label: "LCH" },
+  { id: "p3", label: "P3" },
+]
 
 export class PickerInteractions {
-  constructor(container, currentInput, onColorChange) {
+  /**
+   * @param {HTMLElement} container - Picker element
+   * @param {HTMLInputElement} currentInput - Input being edited
+   * @param {Function} onColorChange - Called when the color changes
+   * @param {Color} [lastColor] - Color the picker had when it last closed
+   *   for this input, so an achromatic value reopens with the hue and
+   *   saturation the user left it at
+   */
+  constructor(container, currentInput, onColorChange, lastColor = null) {
     this.container = container
     this.currentInput = currentInput
     this.onColorChange = onColorChange
-    this.currentHSV = { h: 0, s: 100, v: 100 }
-    this.currentFormat = "hex" // 'hex' or 'rgb'
+    this.currentFormat = "hex" // One of the FORMATS ids
+
+    // Only inputs with the alpha attribute carry transparency
+    this.alphaEnabled = currentInput.hasAttribute("alpha")
+
+    this.colorSpace =
+      currentInput.getAttribute("colorspace") === "display-p3"
+        ? "display-p3"
+        : "srgb"
+
+    // The picker works in HSV, of a Display P3 color with
+    // colorspace="display-p3", so this.color is always in stateSpace
+    this.stateSpace =
+      this.colorSpace === "display-p3" ? "display-p3-hsv" : "hsv"
+    this.color = lastColor
+      ? lastColor.to(this.stateSpace)
+      : new Color(this.stateSpace, { h: 0, s: 100, v: 100 })
 
     // DOM elements
     this.slArea = container.querySelector(".bcp-saturation-lightness")
     this.slCursor = container.querySelector(".bcp-sl-cursor")
     this.hueSlider = container.querySelector(".bcp-hue-slider")
     this.hueThumb = this.hueSlider.querySelector(".bcp-slider-thumb")
+    this.alphaSlider = container.querySelector(".bcp-alpha-slider")
+    this.alphaThumb = this.alphaSlider?.querySelector(".bcp-slider-thumb")
+    this.alphaGradient = container.querySelector(".bcp-alpha-gradient")
     this.hexInput = container.querySelector(".bcp-hex-input")
     this.rgbInputR = container.querySelectorAll(".bcp-rgb-input")[0]
     this.rgbInputG = container.querySelectorAll(".bcp-rgb-input")[1]
     this.rgbInputB = container.querySelectorAll(".bcp-rgb-input")[2]
+    this.rgbInputA = container.querySelectorAll(".bcp-rgb-input")[3] || null
     this.hslInputH = container.querySelectorAll(".bcp-hsl-input")[0]
     this.hslInputS = container.querySelectorAll(".bcp-hsl-input")[1]
     this.hslInputL = container.querySelectorAll(".bcp-hsl-input")[2]
+    this.hslInputA = container.querySelectorAll(".bcp-hsl-input")[3] || null
+    this.hsbInputs = [...container.querySelectorAll(".bcp-hsb-input")]
+    this.hwbInputs = [...container.querySelectorAll(".bcp-hwb-input")]
+    this.cmykInputs = [...container.querySelectorAll(".bcp-cmyk-input")]
+    this.oklchInputL = container.querySelectorAll(".bcp-oklch-input")[0]
+    this.oklchInputC = container.querySelectorAll(".bcp-oklch-input")[1]
+    this.oklchInputH = container.querySelectorAll(".bcp-oklch-input")[2]
+    this.labInputL = container.querySelectorAll(".bcp-lab-input")[0]
+    this.labInputA = container.querySelectorAll(".bcp-lab-input")[1]
+    this.labInputB = container.querySelectorAll(".bcp-lab-input")[2]
+    this.lchInputL = container.querySelectorAll(".bcp-lch-input")[0]
+    this.lchInputC = container.querySelectorAll(".bcp-lch-input")[1]
+    this.lchInputH = container.querySelectorAll(".bcp-lch-input")[2]
+    this.p3InputR = container.querySelectorAll(".bcp-p3-input")[0] || null
+    this.p3InputG = container.querySelectorAll(".bcp-p3-input")[1] || null
+    this.p3InputB = container.querySelectorAll(".bcp-p3-input")[2] || null
     this.formatToggle = container.querySelector(".bcp-format-toggle")
-    this.hexContainer = container.querySelector(".bcp-hex-container")
-    this.rgbContainer = container.querySelector(".bcp-rgb-container")
-    this.hslContainer = container.querySelector(".bcp-hsl-container")
+    this.formatContainers = {}
+    FORMATS.forEach(({ id }) => {
+      this.formatContainers[id] = container.querySelector(
+        `.bcp-${id}-container`,
+      )
+    })
+    this.formats = FORMATS.filter(({ id }) => this.formatContainers[id])
     this.previewColor = container.querySelector(".bcp-preview-color")
+    this.deltaE = container.querySelector(".bcp-delta-e")
+    this.colorName = container.querySelector(".bcp-color-name")
+    this.contrastSample = container.querySelector(".bcp-contrast-sample")
+    this.contrastRatio = container.querySelector(".bcp-contrast-ratio")
+    this.apcaValue = container.querySelector(".bcp-apca")
+    this.liveRegion = container.querySelector(".bcp-live-region")
+    this.contrastBadges = container.querySelectorAll(".bcp-contrast-badge")
+
+    this.visionType = container.querySelector(".bcp-vision-type")
+    this.visionMethod = container.querySelector(".bcp-vision-method")
+    this.visionSeverity = container.querySelector(".bcp-vision-severity")
+
+    this.temperatureSlider = container.querySelector(".bcp-temperature-slider")
+    this.temperatureInput = container.querySelector(".bcp-temperature-input")
+
+    this.harmonyPanel = container.querySelector(".bcp-harmony-panel")
+    this.harmonyScheme = container.querySelector(".bcp-harmony-scheme")
+    this.harmonySpace = container.querySelector(".bcp-harmony-space")
+
+    this.scalePanel = container.querySelector(".bcp-scale-panel")
+    this.scaleSpace = container.querySelector(".bcp-scale-space")
+    this.scaleCurve = container.querySelector(".bcp-scale-curve")
+    this.scaleExports = container.querySelectorAll(".bcp-scale-export")
+    this.scaleOutput = container.querySelector(".bcp-scale-output")
+
+    this.mixAmount = container.querySelector(".bcp-mix-amount")
+    this.mixPercent = container.querySelector(".bcp-mix-percent")
+    this.mixSpace = container.querySelector(".bcp-mix-space")
+    this.mixHue = container.querySelector(".bcp-mix-hue")
+    this.mixApply = container.querySelector(".bcp-mix-apply")
+    this.mixValue = container.querySelector(".bcp-mix-value")
 
-    // Dragging state
-    this.isDraggingSL = false
-    this.isDraggingHue = false
+    // Color the mix panel blends the current color with
+    this.mixTarget = "#ffffff"
+
+    this.gradientPanel = container.querySelector(".bcp-gradient-panel")
+    this.gradientPosition = container.querySelector(".bcp-gradient-position")
+    this.gradientAdd = container.querySelector(".bcp-gradient-add")
+    this.gradientRemove = container.querySelector(".bcp-gradient-remove")
+    this.gradientType = container.querySelector(".bcp-gradient-type")
+    this.gradientAngle = container.querySelector(".bcp-gradient-angle")
+    this.gradientSpace = container.querySelector(".bcp-gradient-space")
+    this.gradientHue = container.querySelector(".bcp-gradient-hue")
+    this.gradientResult = container.querySelector(".bcp-gradient-result")
+    this.gradientCopy = container.querySelector(".bcp-gradient-copy")
+    this.gradientOutput = container.querySelector(".bcp-gradient-output")
+
+    // Gradient being built. While the panel is open the picker edits the
+    // selected stop, which takes the current color when the panel opens.
+    this.gradient = {
+      type: "linear",
+      angle: 90,
+      space: "oklab",
+      hueMethod: "shorter",
+      stops: [
+        { color: { r: 0, g: 0, b: 0, alpha: 1 }, position: 0 },
+        { color: { r: 255, g: 255, b: 255, alpha: 1 }, position: 100 },
+      ],
+    }
+    this.gradientStop = 0
+
+    this.quantizeMode = container.querySelector(".bcp-quantize-mode")
+    this.quantizePalette = container.querySelector(".bcp-quantize-palette")
+    this.quantizeIndicator = container.querySelector(".bcp-quantize-indicator")
+    this.quantizeOriginal = container.querySelector(".bcp-quantize-original")
+    this.quantizeSnapped = container.querySelector(".bcp-quantize-snapped")
+    this.quantizeValue = container.querySelector(".bcp-quantize-value")
+
+    // Palette the input's value is snapped to ({mode, palette}); the picker
+    // itself keeps the unsnapped color so dragging stays smooth
+    this.quantization = { mode: "", palette: "" }
+    this.paletteColors = []
+
+    this.adjustAmount = container.querySelector(".bcp-adjust-amount")
+    this.adjustDegrees = container.querySelector(".bcp-adjust-degrees")
+    this.adjustSpace = container.querySelector(".bcp-adjust-space")
+    this.adjustButtons = container.querySelectorAll(".bcp-adjust-btn")
+    this.adjustUndo = container.querySelector(".bcp-adjust-undo")
+
+    // Adjustments made with the adjust panel ({label, before, after}), oldest
+    // first, so they can be undone
+    this.adjustHistory = []
+
+    // Active vision deficiency simulation ({type, severity, method}), if any
+    this.visionSimulation = null
+
+    // Color the contrast panel compares against
+    this.contrastReference = { r: 255, g: 255, b: 255 }
+
+    // Pending live region announcement, and the color description last
+    // announced, so a color is only announced when it changed
+    this.announceTimer = null
+    this.announcedColor = null
+
+    // Surfaces that can be dragged on, and the drag in progress, if any:
+    // {surface, pointerId, startColor}
+    this.dragSurfaces = [this.slArea, this.hueSlider, this.alphaSlider].filter(
+      Boolean,
+    )
+    this.drag = null
 
     // Bound event handlers
     this.boundHandlers = {
-      slMouseDown: this._handleSLMouseDown.bind(this),
-      hueMouseDown: this._handleHueMouseDown.bind(this),
+      pointerDown: this._handlePointerDown.bind(this),
+      pointerMove: this._handlePointerMove.bind(this),
+      pointerUp: this._handlePointerUp.bind(this),
+      pointerCancel: this._handlePointerCancel.bind(this),
+      lostPointerCapture: this._handleLostPointerCapture.bind(this),
+      sliderKeydown: this._handleSliderKeydown.bind(this),
       hexInput: this._handleHexInput.bind(this),
-      hexKeydown: this._handleHexKeydown.bind(this),
       hexBlur: this._handleHexBlur.bind(this),
       rgbInput: this._handleRGBInput.bind(this),
-      rgbKeydown: this._handleRGBKeydown.bind(this),
       hslInput: this._handleHSLInput.bind(this),
-      hslKeydown: this._handleHSLKeydown.bind(this),
+      hsbInput: this._handleHSBInput.bind(this),
+      hwbInput: this._handleHWBInput.bind(this),
+      cmykInput: this._handleCMYKInput.bind(this),
+      oklchInput: this._handleOKLCHInput.bind(this),
+      labInput: this._handleLabInput.bind(this),
+      lchInput: this._handleLCHInput.bind(this),
+      p3Input: this._handleP3Input.bind(this),
+      inputKeydown: this._handleInputKeydown.bind(this),
       formatToggleClick: this._handleFormatToggle.bind(this),
-      mouseMove: this._handleMouseMove.bind(this),
-      mouseUp: this._handleMouseUp.bind(this),
+      visionChange: this._handleVisionChange.bind(this),
+      temperatureInput: this._handleTemperatureInput.bind(this),
+      harmonyChange: this._handleHarmonyChange.bind(this),
+      scaleChange: this._handleScaleChange.bind(this),
+      scaleExport: this._handleScaleExport.bind(this),
+      mixChange: this._handleMixChange.bind(this),
+      mixApply: this._handleMixApply.bind(this),
+      gradientToggle: this._handleGradientToggle.bind(this),
+      gradientPosition: this._handleGradientPosition.bind(this),
+      gradientAdd: this._handleGradientAdd.bind(this),
+      gradientRemove: this._handleGradientRemove.bind(this),
+      gradientChange: this._handleGradientChange.bind(this),
+      gradientCopy: this._handleGradientCopy.bind(this),
+      quantizeChange: this._handleQuantizeChange.bind(this),
+      adjust: this._handleAdjust.bind(this),
+      adjustUndo: this._handleAdjustUndo.bind(this),
     }
+
+    // Text/number inputs and the handler that parses each of them
+    this.formatInputs = [
+      [this.hexInput, this.boundHandlers.hexInput],
+      [this.rgbInputR, this.boundHandlers.rgbInput],
+      [this.rgbInputG, this.boundHandlers.rgbInput],
+      [this.rgbInputB, this.boundHandlers.rgbInput],
+      [this.rgbInputA, this.boundHandlers.rgbInput],
+      [this.hslInputH, this.boundHandlers.hslInput],
+      [this.hslInputS, this.boundHandlers.hslInput],
+      [this.hslInputL, this.boundHandlers.hslInput],
+      [this.hslInputA, this.boundHandlers.hslInput],
+      ...this.hsbInputs.map((input) => [input, this.boundHandlers.hsbInput]),
+      ...this.hwbInputs.map((input) => [input, this.boundHandlers.hwbInput]),
+      ...this.cmykInputs.map((input) => [input, this.boundHandlers.cmykInput]),
+      [this.oklchInputL, this.boundHandlers.oklchInput],
+      [this.oklchInputC, this.boundHandlers.oklchInput],
+      [this.oklchInputH, this.boundHandlers.oklchInput],
+      [this.labInputL, this.boundHandlers.labInput],
+      [this.labInputA, this.boundHandlers.labInput],
+      [this.labInputB, this.boundHandlers.labInput],
+      [this.lchInputL, this.boundHandlers.lchInput],
+      [this.lchInputC, this.boundHandlers.lchInput],
+      [this.lchInputH, this.boundHandlers.lchInput],
+      [this.p3InputR, this.boundHandlers.p3Input],
+      [this.p3InputG, this.boundHandlers.p3Input],
+      [this.p3InputB, this.boundHandlers.p3Input],
+    ].filter(([input]) => input)
   }
 
   setup() {
+    // Value to go back to on revert(), and the value last committed, which
+    // change events are only fired for when it differs
+    this.initialValue = this.currentInput.value
+    this.committedValue = this.initialValue
+
     // Initialize from current input value
-    const initialColor = this.currentInput.value || "#000000"
-    this.currentHSV = hexToHSV(initialColor)
+    if (!this._applyColorString(this.currentInput.value)) {
+      this._applyColor(new Color("srgb", { r: 0, g: 0, b: 0 }))
+    }
+    this.initialColor = this.color
+    this.originalLab = this.color.lab
+    this._updatePickerControls()
     this._updateColorDisplay()
+    this.announcedColor = this.describeCurrentColor()
 
     // Setup event listeners
-    this.slArea.addEventListener("mousedown", this.boundHandlers.slMouseDown)
-    this.hueSlider.addEventListener(
-      "mousedown",
-      this.boundHandlers.hueMouseDown,
-    )
-    this.hexInput.addEventListener("input", this.boundHandlers.hexInput)
-    this.hexInput.addEventListener("keydown", this.boundHandlers.hexKeydown)
+    this.dragSurfaces.forEach((surface) => {
+      surface.addEventListener("pointerdown", this.boundHandlers.pointerDown)
+      surface.addEventListener("pointermove", this.boundHandlers.pointerMove)
+      surface.addEventListener("pointerup", this.boundHandlers.pointerUp)
+      surface.addEventListener(
+        "pointercancel",
+        this.boundHandlers.pointerCancel,
+      )
+      surface.addEventListener(
+        "lostpointercapture",
+        this.boundHandlers.lostPointerCapture,
+      )
+      surface.addEventListener("keydown", this.boundHandlers.sliderKeydown)
+    })
+    this.formatInputs.forEach(([input, handler]) => {
+      input.addEventListener("input", handler)
+      input.addEventListener("keydown", this.boundHandlers.inputKeydown)
+    })
     this.hexInput.addEventListener("blur", this.boundHandlers.hexBlur)
-    this.rgbInputR.addEventListener("input", this.boundHandlers.rgbInput)
-    this.rgbInputG.addEventListener("input", this.boundHandlers.rgbInput)
-    this.rgbInputB.addEventListener("input", this.boundHandlers.rgbInput)
-    this.rgbInputR.addEventListener("keydown", this.boundHandlers.rgbKeydown)
-    this.rgbInputG.addEventListener("keydown", this.boundHandlers.rgbKeydown)
-    this.rgbInputB.addEventListener("keydown", this.boundHandlers.rgbKeydown)
-    this.hslInputH.addEventListener("input", this.boundHandlers.hslInput)
-    this.hslInputS.addEventListener("input", this.boundHandlers.hslInput)
-    this.hslInputL.addEventListener("input", this.boundHandlers.hslInput)
-    this.hslInputH.addEventListener("keydown", this.boundHandlers.hslKeydown)
-    this.hslInputS.addEventListener("keydown", this.boundHandlers.hslKeydown)
-    this.hslInputL.addEventListener("keydown", this.boundHandlers.hslKeydown)
     this.formatToggle.addEventListener(
       "click",
       this.boundHandlers.formatToggleClick,
     )
-    document.addEventListener("mousemove", this.boundHandlers.mouseMove)
-    document.addEventListener("mouseup", this.boundHandlers.mouseUp)
+    ;[this.visionType, this.visionMethod, this.visionSeverity].forEach(
+      (control) =>
+        control.addEventListener("input", this.boundHandlers.visionChange),
+    )
+    ;[this.temperatureSlider, this.temperatureInput].forEach((control) =>
+      control.addEventListener("input", this.boundHandlers.temperatureInput),
+    )
+    ;[this.harmonyScheme, this.harmonySpace].forEach((control) =>
+      control.addEventListener("change", this.boundHandlers.harmonyChange),
+    )
+    this.harmonyPanel.addEventListener(
+      "toggle",
+      this.boundHandlers.harmonyChange,
+    )
+    ;[this.scaleSpace, this.scaleCurve].forEach((control) =>
+      control.addEventListener("change", this.boundHandlers.scaleChange),
+    )
+    this.scalePanel.addEventListener("toggle", this.boundHandlers.scaleChange)
+    this.scaleExports.forEach((button) =>
+      button.addEventListener("click", this.boundHandlers.scaleExport),
+    )
+    this.mixAmount.addEventListener("input", this.boundHandlers.mixChange)
+    ;[this.mixSpace, this.mixHue].forEach((control) =>
+      control.addEventListener("change", this.boundHandlers.mixChange),
+    )
+    this.mixApply.addEventListener("click", this.boundHandlers.mixApply)
+    this.gradientPanel.addEventListener(
+      "toggle",
+      this.boundHandlers.gradientToggle,
+    )
+    this.gradientPosition.addEventListener(
+      "input",
+      this.boundHandlers.gradientPosition,
+    )
+    this.gradientAdd.addEventListener("click", this.boundHandlers.gradientAdd)
+    this.gradientRemove.addEventListener(
+      "click",
+      this.boundHandlers.gradientRemove,
+    )
+    ;[this.gradientType, this.gradientSpace, this.gradientHue].forEach(
+      (control) =>
+        control.addEventListener("change", this.boundHandlers.gradientChange),
+    )
+    this.gradientAngle.addEventListener(
+      "input",
+      this.boundHandlers.gradientChange,
+    )
+    this.gradientCopy.addEventListener("click", this.boundHandlers.gradientCopy)
+    this.quantizeMode.addEventListener(
+      "change",
+      this.boundHandlers.quantizeChange,
+    )
+    this.quantizePalette.addEventListener(
+      "input",
+      this.boundHandlers.quantizeChange,
+    )
+    this.adjustButtons.forEach((button) =>
+      button.addEventListener("click", this.boundHandlers.adjust),
+    )
+    this.adjustUndo.addEventListener("click", this.boundHandlers.adjustUndo)
   }
 
   cleanup() {
-    this.slArea.removeEventListener("mousedown", this.boundHandlers.slMouseDown)
-    this.hueSlider.removeEventListener(
-      "mousedown",
-      this.boundHandlers.hueMouseDown,
-    )
-    this.hexInput.removeEventListener("input", this.boundHandlers.hexInput)
-    this.hexInput.removeEventListener("keydown", this.boundHandlers.hexKeydown)
+    clearTimeout(this.announceTimer)
+
+    this.dragSurfaces.forEach((surface) => {
+      surface.removeEventListener("pointerdown", this.boundHandlers.pointerDown)
+      surface.removeEventListener("pointermove", this.boundHandlers.pointerMove)
+      surface.removeEventListener("pointerup", this.boundHandlers.pointerUp)
+      surface.removeEventListener(
+        "pointercancel",
+        this.boundHandlers.pointerCancel,
+      )
+      surface.removeEventListener(
+        "lostpointercapture",
+        this.boundHandlers.lostPointerCapture,
+      )
+      surface.removeEventListener("keydown", this.boundHandlers.sliderKeydown)
+    })
+    this.formatInputs.forEach(([input, handler]) => {
+      input.removeEventListener("input", handler)
+      input.removeEventListener("keydown", this.boundHandlers.inputKeydown)
+    })
     this.hexInput.removeEventListener("blur", this.boundHandlers.hexBlur)
-    this.rgbInputR.removeEventListener("input", this.boundHandlers.rgbInput)
-    this.rgbInputG.removeEventListener("input", this.boundHandlers.rgbInput)
-    this.rgbInputB.removeEventListener("input", this.boundHandlers.rgbInput)
-    this.rgbInputR.removeEventListener("keydown", this.boundHandlers.rgbKeydown)
-    this.rgbInputG.removeEventListener("keydown", this.boundHandlers.rgbKeydown)
-    this.rgbInputB.removeEventListener("keydown", this.boundHandlers.rgbKeydown)
-    this.hslInputH.removeEventListener("input", this.boundHandlers.hslInput)
-    this.hslInputS.removeEventListener("input", this.boundHandlers.hslInput)
-    this.hslInputL.removeEventListener("input", this.boundHandlers.hslInput)
-    this.hslInputH.removeEventListener("keydown", this.boundHandlers.hslKeydown)
-    this.hslInputS.removeEventListener("keydown", this.boundHandlers.hslKeydown)
-    this.hslInputL.removeEventListener("keydown", this.boundHandlers.hslKeydown)
     this.formatToggle.removeEventListener(
       "click",
       this.boundHandlers.formatToggleClick,
     )
-    document.removeEventListener("mousemove", this.boundHandlers.mouseMove)
-    document.removeEventListener("mouseup", this.boundHandlers.mouseUp)
+    ;[this.visionType, this.visionMethod, this.visionSeverity].forEach(
+      (control) =>
+        control.removeEventListener("input", this.boundHandlers.visionChange),
+    )
+    ;[this.temperatureSlider, this.temperatureInput].forEach((control) =>
+      control.removeEventListener("input", this.boundHandlers.temperatureInput),
+    )
+    ;[this.harmonyScheme, this.harmonySpace].forEach((control) =>
+      control.removeEventListener("change", this.boundHandlers.harmonyChange),
+    )
+    this.harmonyPanel.removeEventListener(
+      "toggle",
+      this.boundHandlers.harmonyChange,
+    )
+    ;[this.scaleSpace, this.scaleCurve].forEach((control) =>
+      control.removeEventListener("change", this.boundHandlers.scaleChange),
+    )
+    this.scalePanel.removeEventListener(
+      "toggle",
+      this.boundHandlers.scaleChange,
+    )
+    this.scaleExports.forEach((button) =>
+      button.removeEventListener("click", this.boundHandlers.scaleExport),
+    )
+    this.mixAmount.removeEventListener("input", this.boundHandlers.mixChange)
+    ;[this.mixSpace, this.mixHue].forEach((control) =>
+      control.removeEventListener("change", this.boundHandlers.mixChange),
+    )
+    this.mixApply.removeEventListener("click", this.boundHandlers.mixApply)
+    this.gradientPanel.removeEventListener(
+      "toggle",
+      this.boundHandlers.gradientToggle,
+    )
+    this.gradientPosition.removeEventListener(
+      "input",
+      this.boundHandlers.gradientPosition,
+    )
+    this.gradientAdd.removeEventListener(
+      "click",
+      this.boundHandlers.gradientAdd,
+    )
+    this.gradientRemove.removeEventListener(
+      "click",
+      this.boundHandlers.gradientRemove,
+    )
+    ;[this.gradientType, this.gradientSpace, this.gradientHue].forEach(
+      (control) =>
+        control.removeEventListener(
+          "change",
+          this.boundHandlers.gradientChange,
+        ),
+    )
+    this.gradientAngle.removeEventListener(
+      "input",
+      this.boundHandlers.gradientChange,
+    )
+    this.gradientCopy.removeEventListener(
+      "click",
+      this.boundHandlers.gradientCopy,
+    )
+    this.quantizeMode.removeEventListener(
+      "change",
+      this.boundHandlers.quantizeChange,
+    )
+    this.quantizePalette.removeEventListener(
+      "input",
+      this.boundHandlers.quantizeChange,
+    )
+    this.adjustButtons.forEach((button) =>
+      button.removeEventListener("click", this.boundHandlers.adjust),
+    )
+    this.adjustUndo.removeEventListener("click", this.boundHandlers.adjustUndo)
   }
 
-  _handleSLMouseDown(e) {
-    this.isDraggingSL = true
-    this._updateSL(e)
+  /**
+   * Start dragging on the SL area or a slider with a mouse, pen or finger.
+   * The surface captures the pointer, so the drag continues outside it and
+   * its release always comes back to the surface.
+   * @param {PointerEvent} e
+   */
+  _handlePointerDown(e) {
+    // A second finger starts a pinch or another gesture, not a second drag
+    if (this.drag) {
+      this._cancelDrag()
+      return
+    }
+
+    // Only the primary mouse button drags; touch and pen contacts are 0 too
+    if (e.button !== 0) {
+      return
+    }
+
+    // Keeps the compatibility mousedown from selecting text
+    e.preventDefault()
+    const surface = e.currentTarget
+    try {
+      surface.setPointerCapture(e.pointerId)
+    } catch {
+      // The pointer was released before the event got here. Without capture
+      // the release may land elsewhere and never end a drag, so only move
+      // to where it went down.
+      this._dragTo(surface, e)
+      return
+    }
+
+    this.drag = { surface, pointerId: e.pointerId, startColor: this.color }
+    this._dragTo(surface, e)
   }
 
-  _handleHueMouseDown(e) {
-    this.isDraggingHue = true
-    this._updateHue(e)
+  _handlePointerMove(e) {
+    if (this.drag?.pointerId === e.pointerId) {
+      this._dragTo(this.drag.surface, e)
+    }
   }
 
-  _handleMouseMove(e) {
-    if (this.isDraggingSL) {
-      this._updateSL(e)
-    } else if (this.isDraggingHue) {
-      this._updateHue(e)
+  _handlePointerUp(e) {
+    if (this.drag?.pointerId === e.pointerId) {
+      this.drag = null
+    }
+  }
+
+  /**
+   * The browser took the pointer over, e.g. for a pinch zoom, so the drag
+   * wasn't meant as one
+   * @param {PointerEvent} e
+   */
+  _handlePointerCancel(e) {
+    if (this.drag?.pointerId === e.pointerId) {
+      this._cancelDrag()
+    }
+  }
+
+  /**
+   * Capture ended without a pointerup reaching the surface, e.g. because the
+   * surface was hidden or another element took the capture: keep the color
+   * and end the drag, so the next press starts a new one
+   * @param {PointerEvent} e
+   */
+  _handleLostPointerCapture(e) {
+    if (this.drag?.pointerId === e.pointerId) {
+      this.drag = null
     }
   }
 
-  _handleMouseUp() {
-    this.isDraggingSL = false
-    this.isDraggingHue = false
+  /**
+   * End the drag in progress and go back to the color it started from
+   */
+  _cancelDrag() {
+    const { surface, pointerId, startColor } = this.drag
+    this.drag = null
+
+    if (surface.hasPointerCapture?.(pointerId)) {
+      surface.releasePointerCapture(pointerId)
+    }
+    this.setColor(startColor)
+  }
+
+  /**
+   * Move a slider from the keyboard: arrows by 1 (10 with Shift), Page Up
+   * and Page Down by 10, Home and End to the ends. On the SL area, left,
+   * right, Home and End change saturation and the other keys brightness.
+   * @param {KeyboardEvent} e
+   */
+  _handleSliderKeydown(e) {
+    const step = e.shiftKey ? 10 : 1
+    const moves = {
+      ArrowLeft: -step,
+      ArrowDown: -step,
+      ArrowRight: step,
+      ArrowUp: step,
+      PageDown: -10,
+      PageUp: 10,
+      Home: -Infinity,
+      End: Infinity,
+    }
+    if (!Object.hasOwn(moves, e.key)) {
+      return
+    }
+
+    e.preventDefault()
+    const move = moves[e.key]
+    const clamp = (value, max) => Math.max(0, Math.min(max, value))
+    const { coords } = this.color
+
+    if (e.currentTarget === this.slArea) {
+      const axis = ["ArrowLeft", "ArrowRight", "Home", "End"].includes(e.key)
+        ? "s"
+        : "v"
+      this.color = this.color.with({ [axis]: clamp(coords[axis] + move, 100) })
+    } else if (e.currentTarget === this.hueSlider) {
+      this.color = this.color.with({ h: clamp(coords.h + move, 360) })
+    } else {
+      this.color = this.color.withAlpha(
+        clamp(this.color.alpha * 100 + move, 100) / 100,
+      )
+    }
+
+    this._updatePickerControls()
+    this._updateColorDisplay()
+  }
+
+  /**
+   * Update the color for the pointer position on a drag surface
+   * @param {HTMLElement} surface - SL area, hue or alpha slider
+   * @param {PointerEvent} e
+   */
+  _dragTo(surface, e) {
+    if (surface === this.slArea) {
+      this._updateSL(e)
+    } else if (surface === this.hueSlider) {
+      this._updateHue(e)
+    } else {
+      this._updateAlpha(e)
+    }
   }
 
   _updateSL(e) {
@@ -157,8 +651,7 @@ export class PickerInteractions {
     const s = (x / rect.width) * 100
     const v = 100 - (y / rect.height) * 100
 
-    this.currentHSV.s = s
-    this.currentHSV.v = v
+    this.color = this.color.with({ s, v })
 
     this.slCursor.style.left = s + "%"
     this.slCursor.style.top = 100 - v + "%"
@@ -171,45 +664,114 @@ export class PickerInteractions {
     let x = e.clientX - rect.left
     x = Math.max(0, Math.min(x, rect.width))
 
-    const h = (x / rect.width) * 360
-    this.currentHSV.h = h
+    this.color = this.color.with({ h: (x / rect.width) * 360 })
 
-    this.hueThumb.style.left = (h / 360) * 100 + "%"
-    this.slArea.setAttribute("data-hue", h)
+    this._updatePickerControls()
+    this._updateColorDisplay()
+  }
+
+  _updateAlpha(e) {
+    const rect = this.alphaSlider.getBoundingClientRect()
+    let x = e.clientX - rect.left
+    x = Math.max(0, Math.min(x, rect.width))
 
-    // Update SL area background
-    const baseColor = hsvToHex({ h: h, s: 100, v: 100 })
-    this.slArea.style.backgroundColor = baseColor
+    this.color = this.color.withAlpha(x / rect.width)
 
     this._updateColorDisplay()
   }
 
-  _handleHexInput(e) {
-    let value = e.target.value
-    if (!value.startsWith("#")) {
-      value = "#" + value
+  /**
+   * Move the SL cursor, hue thumb and SL background to match the color
+   */
+  _updatePickerControls() {
+    const hsv = this.color.coords
+
+    this.slCursor.style.left = hsv.s + "%"
+    this.slCursor.style.top = 100 - hsv.v + "%"
+    this.hueThumb.style.left = (hsv.h / 360) * 100 + "%"
+    this.slArea.setAttribute("data-hue", hsv.h)
+    this.slArea.style.backgroundColor = hsvToHex({
+      h: hsv.h,
+      s: 100,
+      v: 100,
+    })
+
+    if (this.colorSpace === "display-p3") {
+      // Ignored by browsers without color() support, keeping the hex above
+      const base = hsvToUnitRGB(hsv.h, 100, 100)
+      this.slArea.style.backgroundColor = serializeColorFunction("display-p3", [
+        base.r,
+        base.g,
+        base.b,
+      ])
+      PickerUI.updateGamutBoundary(this.container, hsv.h)
+    }
+  }
+
+  /**
+   * Make a color the picker's state, converted to its HSV space. Grays have
+   * no hue and black has neither hue nor saturation, so those keep the
+   * current values rather than collapsing to 0, and dragging back out of
+   * them restores the color the user came from. A gray typed as HSB, HSL or
+   * HWB keeps the hue typed for it; grays in other formats, including LCH
+   * and OKLCH whose hues don't carry over to HSB, keep the current hue.
+   * @param {Color} color - Alpha is dropped unless the input has alpha
+   */
+  _applyColor(color) {
+    const current = this.color.coords
+    const { h, s, v } = color.to(this.stateSpace).coords
+    const hue = HUE_SPACES.includes(color.space) ? h : current.h
+    const alpha = this.alphaEnabled ? color.alpha : 1
+    // Display P3 round trips leave black with a tiny value
+    const EPSILON = 1e-6
+
+    // Colors already in the picker's space (typed HSB values) are kept as is
+    let coords = { h, s, v }
+    if (color.space !== this.stateSpace) {
+      if (v < EPSILON) {
+        coords = { h: hue, s: current.s, v: 0 }
+      } else if (s < EPSILON) {
+        coords = { h: hue, s: 0, v }
+      }
+    }
+
+    this.color = new Color(this.stateSpace, coords, alpha)
+  }
+
+  /**
+   * Parse a CSS color string into the picker state (and alpha, if enabled).
+   * Display P3 pickers keep color(display-p3 ...) values outside sRGB.
+   * @param {string} value - CSS color string
+   * @returns {boolean} Whether the string was a valid color
+   */
+  _applyColorString(value) {
+    const color = Color.parse(value)
+    if (!color) {
+      return false
     }
+    this._applyColor(color)
+    return true
+  }
 
-    if (/^#[0-9A-Fa-f]{6}$/.test(value)) {
-      const hsv = hexToHSV(value)
-      this.currentHSV = hsv
+  _handleHexInput(e) {
+    let value = e.target.value.trim()
 
-      // Update UI
-      this.slCursor.style.left = hsv.s + "%"
-      this.slCursor.style.top = 100 - hsv.v + "%"
-      this.hueThumb.style.left = (hsv.h / 360) * 100 + "%"
-      this.slArea.setAttribute("data-hue", hsv.h)
-      this.slArea.style.backgroundColor = hsvToHex({
-        h: hsv.h,
-        s: 100,
-        v: 100,
-      })
+    // Allow bare hex digits without the # prefix
+    if (/^[0-9a-f]+$/i.test(value)) {
+      value = "#" + value
+    }
 
+    if (this._applyColorString(value)) {
+      this._updatePickerControls()
       this._updateColorDisplay(false) // Don't update hex input to avoid cursor jump
     }
   }
 
-  _handleHexKeydown(e) {
+  _handleHexBlur() {
+    this._updateColorDisplay()
+  }
+
+  _handleInputKeydown(e) {
     if (e.key === "Enter") {
       e.preventDefault()
       if (this.onColorChange) {
@@ -218,10 +780,6 @@ export class PickerInteractions {
     }
   }
 
-  _handleHexBlur() {
-    this._updateColorDisplay()
-  }
-
   _handleRGBInput() {
     const r = parseInt(this.rgbInputR.value) || 0
     const g = parseInt(this.rgbInputG.value) || 0
@@ -232,39 +790,17 @@ export class PickerInteractions {
     const gClamped = Math.max(0, Math.min(255, g))
     const bClamped = Math.max(0, Math.min(255, b))
 
-    // Convert RGB to HSV
-    const hexColor =
-      "#" +
-      [rClamped, gClamped, bClamped]
-        .map((x) => x.toString(16).padStart(2, "0"))
-        .join("")
-
-    const hsv = hexToHSV(hexColor)
-    this.currentHSV = hsv
-
-    // Update UI
-    this.slCursor.style.left = hsv.s + "%"
-    this.slCursor.style.top = 100 - hsv.v + "%"
-    this.hueThumb.style.left = (hsv.h / 360) * 100 + "%"
-    this.slArea.setAttribute("data-hue", hsv.h)
-    this.slArea.style.backgroundColor = hsvToHex({
-      h: hsv.h,
-      s: 100,
-      v: 100,
-    })
-
+    this._applyColor(
+      new Color(
+        "srgb",
+        { r: rClamped, g: gClamped, b: bClamped },
+        this._readAlphaInput(this.rgbInputA),
+      ),
+    )
+    this._updatePickerControls()
     this._updateColorDisplay(false) // Don't update RGB inputs to avoid cursor jump
   }
 
-  _handleRGBKeydown(e) {
-    if (e.key === "Enter") {
-      e.preventDefault()
-      if (this.onColorChange) {
-        this.onColorChange("close")
-      }
-    }
-  }
-
   _handleHSLInput() {
     const h = parseInt(this.hslInputH.value) || 0
     const s = parseInt(this.hslInputS.value) || 0
@@ -275,135 +811,939 @@ export class PickerInteractions {
     const sClamped = Math.max(0, Math.min(100, s))
     const lClamped = Math.max(0, Math.min(100, l))
 
-    // Convert HSL to hex
-    const hexColor = hslToHex({ h: hClamped, s: sClamped, l: lClamped })
+    this._applyColor(
+      new Color(
+        "hsl",
+        { h: hClamped % 360, s: sClamped, l: lClamped },
+        this._readAlphaInput(this.hslInputA),
+      ),
+    )
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update HSL inputs to avoid cursor jump
+  }
 
-    const hsv = hexToHSV(hexColor)
-    this.currentHSV = hsv
+  /**
+   * Read alpha from an rgba/hsla alpha field, if the picker has one
+   * @param {HTMLInputElement|null} input - Alpha field (0-1)
+   * @returns {number} Alpha in 0-1, the current one without a field
+   */
+  _readAlphaInput(input) {
+    if (!input) {
+      return this.color.alpha
+    }
+    const alpha = parseFloat(input.value)
+    return Number.isNaN(alpha) ? 1 : Math.max(0, Math.min(1, alpha))
+  }
 
-    // Update UI
-    this.slCursor.style.left = hsv.s + "%"
-    this.slCursor.style.top = 100 - hsv.v + "%"
-    this.hueThumb.style.left = (hsv.h / 360) * 100 + "%"
-    this.slArea.setAttribute("data-hue", hsv.h)
-    this.slArea.style.backgroundColor = hsvToHex({
-      h: hsv.h,
-      s: 100,
-      v: 100,
-    })
+  _handleHSBInput() {
+    const [h, s, b] = this.hsbInputs.map((input) => parseInt(input.value) || 0)
 
-    this._updateColorDisplay(false) // Don't update HSL inputs to avoid cursor jump
+    this._applyColor(
+      new Color(
+        "hsv",
+        {
+          h: Math.max(0, Math.min(360, h)),
+          s: Math.max(0, Math.min(100, s)),
+          v: Math.max(0, Math.min(100, b)),
+        },
+        this.color.alpha,
+      ),
+    )
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update HSB inputs to avoid cursor jump
   }
 
-  _handleHSLKeydown(e) {
-    if (e.key === "Enter") {
-      e.preventDefault()
-      if (this.onColorChange) {
-        this.onColorChange("close")
-      }
-    }
+  _handleHWBInput() {
+    const [h, w, b] = this.hwbInputs.map((input) => parseInt(input.value) || 0)
+
+    this._applyColor(
+      new Color(
+        "hwb",
+        {
+          h: Math.max(0, Math.min(360, h)),
+          w: Math.max(0, Math.min(100, w)),
+          b: Math.max(0, Math.min(100, b)),
+        },
+        this.color.alpha,
+      ),
+    )
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update HWB inputs to avoid cursor jump
   }
 
-  _handleFormatToggle() {
-    if (this.currentFormat === "hex") {
-      // Switch to RGB
-      this.currentFormat = "rgb"
-      this.formatToggle.textContent = "RGB"
-      this.hexContainer.classList.add("bcp-hidden")
-      this.rgbContainer.classList.remove("bcp-hidden")
-      this.hslContainer.classList.add("bcp-hidden")
-    } else if (this.currentFormat === "rgb") {
-      // Switch to HSL
-      this.currentFormat = "hsl"
-      this.formatToggle.textContent = "HSL"
-      this.hexContainer.classList.add("bcp-hidden")
-      this.rgbContainer.classList.add("bcp-hidden")
-      this.hslContainer.classList.remove("bcp-hidden")
-    } else {
-      // Switch to HEX
-      this.currentFormat = "hex"
-      this.formatToggle.textContent = "HEX"
-      this.hexContainer.classList.remove("bcp-hidden")
-      this.rgbContainer.classList.add("bcp-hidden")
-      this.hslContainer.classList.add("bcp-hidden")
+  _handleCMYKInput() {
+    // Percentages, converted with full under-color removal
+    const [c, m, y, k] = this.cmykInputs.map((input) =>
+      Math.max(0, Math.min(100, parseFloat(input.value) || 0)),
+    )
+
+    this._applyColor(new Color("cmyk", { c, m, y, k }, this.color.alpha))
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update CMYK inputs to avoid cursor jump
+  }
+
+  _handleTemperatureInput(e) {
+    const kelvin = parseInt(e.target.value)
+
+    // Wait for the field to hold a complete temperature (NaN fails too)
+    if (!(kelvin >= KELVIN_RANGE.min && kelvin <= KELVIN_RANGE.max)) {
+      return
     }
+
+    // Keep the other control in step, without touching the one in use
+    const other =
+      e.target === this.temperatureSlider
+        ? this.temperatureInput
+        : this.temperatureSlider
+    other.value = kelvin
+
+    this._applyColor(new Color("srgb", kelvinToRGB(kelvin), this.color.alpha))
+    this._updatePickerControls()
     this._updateColorDisplay()
   }
 
-  _updateColorDisplay(updateInputs = true) {
-    if (!this.currentInput) {
-      return // Picker was closed, stop updating
-    }
+  _handleOKLCHInput() {
+    const l = parseFloat(this.oklchInputL.value) || 0
+    const c = parseFloat(this.oklchInputC.value) || 0
+    const h = parseFloat(this.oklchInputH.value) || 0
+
+    // Clamp values (lightness is entered as a percentage)
+    const lClamped = Math.max(0, Math.min(100, l)) / 100
+    const cClamped = Math.max(0, Math.min(0.4, c))
+    const hClamped = Math.max(0, Math.min(360, h))
 
-    const hexColor = hsvToHex(this.currentHSV)
-    const rgb = hsvToRGB(
-      this.currentHSV.h,
-      this.currentHSV.s,
-      this.currentHSV.v,
+    // Out-of-gamut values are gamut mapped into the picker's space
+    this._applyColor(
+      new Color(
+        "oklch",
+        { l: lClamped, c: cClamped, h: hClamped },
+        this.color.alpha,
+      ),
     )
-    const hsl = rgbToHSL(rgb.r, rgb.g, rgb.b)
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update OKLCH inputs to avoid cursor jump
+  }
 
-    if (updateInputs) {
-      // Update hex input
-      this.hexInput.value = hexColor.toUpperCase()
+  _handleLabInput() {
+    const l = parseFloat(this.labInputL.value) || 0
+    const a = parseFloat(this.labInputA.value) || 0
+    const b = parseFloat(this.labInputB.value) || 0
 
-      // Update RGB inputs
-      this.rgbInputR.value = rgb.r
-      this.rgbInputG.value = rgb.g
-      this.rgbInputB.value = rgb.b
+    // Clamp values
+    const lClamped = Math.max(0, Math.min(100, l))
+    const aClamped = Math.max(-125, Math.min(125, a))
+    const bClamped = Math.max(-125, Math.min(125, b))
 
-      // Update HSL inputs
-      this.hslInputH.value = Math.round(hsl.h)
-      this.hslInputS.value = Math.round(hsl.s)
-      this.hslInputL.value = Math.round(hsl.l)
-    }
+    this._applyColor(
+      new Color(
+        "lab",
+        { l: lClamped, a: aClamped, b: bClamped },
+        this.color.alpha,
+      ),
+    )
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update Lab inputs to avoid cursor jump
+  }
 
-    this.previewColor.style.backgroundColor = hexColor
+  _handleLCHInput() {
+    const l = parseFloat(this.lchInputL.value) || 0
+    const c = parseFloat(this.lchInputC.value) || 0
+    const h = parseFloat(this.lchInputH.value) || 0
 
-    // Update input value and trigger events
-    if (this.currentInput) {
-      this.currentInput.value = hexColor
-      this.currentInput.dispatchEvent(new Event("input", { bubbles: true }))
-      this.currentInput.dispatchEvent(new Event("change", { bubbles: true }))
-    }
+    // Clamp values
+    const lClamped = Math.max(0, Math.min(100, l))
+    const cClamped = Math.max(0, Math.min(150, c))
+    const hClamped = Math.max(0, Math.min(360, h))
+
+    this._applyColor(
+      new Color(
+        "lch",
+        { l: lClamped, c: cClamped, h: hClamped },
+        this.color.alpha,
+      ),
+    )
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update LCH inputs to avoid cursor jump
   }
 
-  /**
-   * Update picker UI from a hex color (for eyedropper, recent colors, etc.)
-   * @param {string} hexColor - Hex color value
-   */
-  updateFromHex(hexColor) {
-    const hsv = hexToHSV(hexColor)
-    this.currentHSV = hsv
+  _handleP3Input() {
+    // Display P3 channels are entered in 0-1 and may exceed sRGB
+    const [r, g, b] = [this.p3InputR, this.p3InputG, this.p3InputB].map(
+      (input) => Math.max(0, Math.min(1, parseFloat(input.value) || 0)),
+    )
 
-    // Update saturation/lightness cursor position
-    this.slCursor.style.left = hsv.s + "%"
-    this.slCursor.style.top = 100 - hsv.v + "%"
+    this._applyColor(new Color("display-p3", { r, g, b }, this.color.alpha))
+    this._updatePickerControls()
+    this._updateColorDisplay(false) // Don't update P3 inputs to avoid cursor jump
+  }
 
-    // Update hue slider position
-    this.hueThumb.style.left = (hsv.h / 360) * 100 + "%"
+  _handleFormatToggle() {
+    const index = this.formats.findIndex(({ id }) => id === this.currentFormat)
+    const next = this.formats[(index + 1) % this.formats.length]
 
-    // Update saturation/lightness area background
-    const baseColor = hsvToHex({ h: hsv.h, s: 100, v: 100 })
-    this.slArea.style.backgroundColor = baseColor
-    this.slArea.setAttribute("data-hue", hsv.h)
+    this.currentFormat = next.id
+    this.formatToggle.textContent =
+      this.alphaEnabled && next.alphaLabel ? next.alphaLabel : next.label
+    this.formats.forEach(({ id }) => {
+      this.formatContainers[id].classList.toggle("bcp-hidden", id !== next.id)
+    })
+
+    this._updateColorDisplay()
+  }
+
+  /**
+   * Write the current color into every format's input fields. Grays show
+   * the hue the picker keeps for them.
+   */
+  _updateFormatInputs() {
+    const { rgb, hsl, hsv, hwb, cmyk, oklch, lab, lch } = this.color
 
     // Update hex input
-    this.hexInput.value = hexColor.toUpperCase()
+    this.hexInput.value = this.color.hex.toUpperCase()
 
     // Update RGB inputs
-    const rgb = hsvToRGB(hsv.h, hsv.s, hsv.v)
     this.rgbInputR.value = rgb.r
     this.rgbInputG.value = rgb.g
     this.rgbInputB.value = rgb.b
 
+    // Update rgba/hsla alpha fields
+    if (this.alphaEnabled) {
+      this.rgbInputA.value = this.color.alpha.toFixed(2)
+      this.hslInputA.value = this.color.alpha.toFixed(2)
+    }
+
     // Update HSL inputs
-    const hsl = rgbToHSL(rgb.r, rgb.g, rgb.b)
     this.hslInputH.value = Math.round(hsl.h)
     this.hslInputS.value = Math.round(hsl.s)
     this.hslInputL.value = Math.round(hsl.l)
 
-    // Update preview
-    this.previewColor.style.backgroundColor = hexColor
+    // Update HSB and HWB inputs
+    const [hsbH, hsbS, hsbB] = this.hsbInputs
+    hsbH.value = Math.round(hsv.h)
+    hsbS.value = Math.round(hsv.s)
+    hsbB.value = Math.round(hsv.v)
+
+    const [hwbH, hwbW, hwbB] = this.hwbInputs
+    hwbH.value = Math.round(hwb.h)
+    hwbW.value = Math.round(hwb.w)
+    hwbB.value = Math.round(hwb.b)
+
+    // Update CMYK inputs
+    const [c, m, y, k] = this.cmykInputs
+    c.value = Math.round(cmyk.c)
+    m.value = Math.round(cmyk.m)
+    y.value = Math.round(cmyk.y)
+    k.value = Math.round(cmyk.k)
+
+    // Update OKLCH inputs
+    this.oklchInputL.value = (oklch.l * 100).toFixed(1)
+    this.oklchInputC.value = oklch.c.toFixed(3)
+    this.oklchInputH.value = Math.round(oklch.h)
+
+    // Update Lab inputs
+    this.labInputL.value = lab.l.toFixed(1)
+    this.labInputA.value = lab.a.toFixed(1)
+    this.labInputB.value = lab.b.toFixed(1)
+
+    // Update LCH inputs
+    this.lchInputL.value = lch.l.toFixed(1)
+    this.lchInputC.value = lch.c.toFixed(1)
+    this.lchInputH.value = Math.round(lch.h)
+
+    // Update Display P3 inputs
+    if (this.p3InputR) {
+      const { p3 } = this.color
+      this.p3InputR.value = p3.r.toFixed(3)
+      this.p3InputG.value = p3.g.toFixed(3)
+      this.p3InputB.value = p3.b.toFixed(3)
+    }
+  }
+
+  _updateColorDisplay(updateInputs = true) {
+    if (!this.currentInput) {
+      return // Picker was closed, stop updating
+    }
+
+    const { rgb } = this.color
+
+    if (updateInputs) {
+      this._updateFormatInputs()
+    }
+
+    this._updatePreview(rgb)
+    PickerUI.updateSliderValues(
+      this.container,
+      this.color.coords,
+      this.color.alpha,
+    )
+
+    const deltaE = deltaE2000(this.originalLab, this.color.lab)
+    this.deltaE.textContent = `ΔE ${deltaE.toFixed(1)}`
+
+    const named = nearestNamedColor(rgb)
+    this.colorName.textContent =
+      named.hex === rgbToHex(rgb.r, rgb.g, rgb.b)
+        ? named.name
+        : `≈ ${named.name} (ΔE ${named.deltaE.toFixed(1)})`
+
+    this._updateContrast(rgb)
+    this._scheduleAnnouncement()
+    this._updateHarmonies(rgb)
+    this._updateScale(rgb)
+    this._updateMix(rgb)
+    this._updateGradient(rgb)
+    this._updateQuantize(rgb)
+
+    if (this.alphaSlider) {
+      this.alphaThumb.style.left = this.color.alpha * 100 + "%"
+      this.alphaGradient.style.background = `linear-gradient(to right, transparent, ${rgbToHex(rgb.r, rgb.g, rgb.b)})`
+    }
+
+    // Update input value; like native color inputs, input fires while
+    // adjusting and change only when the color is committed
+    if (this.currentInput) {
+      const previousValue = this.currentInput.value
+      this._writeInputValue(rgb)
+      if (this.currentInput.value !== previousValue) {
+        this.currentInput.dispatchEvent(new Event("input", { bubbles: true }))
+      }
+    }
+  }
+
+  /**
+   * Show the current color in the preview, simulated if a vision deficiency
+   * simulation is active
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updatePreview(rgb) {
+    // The preview blends over the checkerboard in .bcp-preview-bg
+    if (this.visionSimulation) {
+      const { type, severity, method } = this.visionSimulation
+      const simulated = simulateCVD(rgb, type, severity, method)
+      this.previewColor.style.backgroundColor = rgbToHex(
+        simulated.r,
+        simulated.g,
+        simulated.b,
+        this.color.alpha,
+      )
+    } else {
+      this.previewColor.style.backgroundColor = rgbToHex(
+        rgb.r,
+        rgb.g,
+        rgb.b,
+        this.color.alpha,
+      )
+      if (this.colorSpace === "display-p3") {
+        this.previewColor.style.backgroundColor =
+          this.color.toString("display-p3")
+      }
+    }
+  }
+
+  _handleVisionChange() {
+    const type = this.visionType.value
+
+    this.visionSimulation = type
+      ? {
+          type,
+          severity: parseInt(this.visionSeverity.value) / 100,
+          method: this.visionMethod.value,
+        }
+      : null
+
+    // Method and severity only matter while simulating
+    this.visionMethod.disabled = !type || type === "achromat"
+    this.visionSeverity.disabled = !type
+    this.container.classList.toggle("bcp-simulating", Boolean(type))
+
+    this._updatePreview(this.color.rgb)
+
+    // Recent swatches keep their real color in data-color
+    this.container.querySelectorAll(".bcp-color-swatch").forEach((swatch) => {
+      const color = Color.parse(swatch.dataset.color)
+      if (!color || !this.visionSimulation) {
+        swatch.style.backgroundColor = swatch.dataset.color
+        return
+      }
+
+      const { type, severity, method } = this.visionSimulation
+      const simulated = simulateCVD(color.rgb, type, severity, method)
+      swatch.style.backgroundColor = rgbToHex(
+        simulated.r,
+        simulated.g,
+        simulated.b,
+        color.alpha,
+      )
+    })
+  }
+
+  /**
+   * Update the contrast panel for the current color against the reference
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updateContrast(rgb) {
+    const reference = this.contrastReference
+    const text = this._blendOverReference(rgb)
+    const ratio = contrastRatio(text, reference)
+    const compliance = wcagCompliance(ratio)
+
+    this.contrastSample.style.color = rgbToHex(
+      rgb.r,
+      rgb.g,
+      rgb.b,
+      this.color.alpha,
+    )
+    this.contrastSample.style.backgroundColor = rgbToHex(
+      reference.r,
+      reference.g,
+      reference.b,
+    )
+    // Truncate so 4.499 never shows as a passing 4.50
+    this.contrastRatio.textContent = `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`
+    this.apcaValue.textContent = `Lc ${apcaContrast(text, reference).toFixed(1)}`
+
+    this.contrastBadges.forEach((badge) => {
+      const pass = compliance[badge.dataset.criterion]
+      badge.classList.toggle("bcp-pass", pass)
+      badge.classList.toggle("bcp-fail", !pass)
+      badge.title = pass ? "Pass" : "Fail"
+    })
+  }
+
+  /**
+   * Update the harmony swatches for the current color. Harmony colors keep
+   * the current alpha. Does nothing while the panel is closed; opening it
+   * catches up.
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updateHarmonies(rgb) {
+    if (!this.harmonyPanel.open) {
+      return
+    }
+
+    const colors = generateHarmony(
+      rgb,
+      this.harmonyScheme.value,
+      this.harmonySpace.value,
+    ).map((color) => rgbToHex(color.r, color.g, color.b, this.color.alpha))
+
+    PickerUI.updateHarmonySwatches(this.container, colors, (color) =>
+      this.setColor(color),
+    )
+  }
+
+  _handleHarmonyChange() {
+    this._updateHarmonies(this.color.rgb)
+  }
+
+  /**
+   * Update the 50-950 scale swatches for the current color. Like the
+   * harmonies, the swatches keep the current alpha and are only updated
+   * while the panel is open; exports are opaque.
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updateScale(rgb) {
+    if (!this.scalePanel.open) {
+      return
+    }
+
+    const scale = generateScale(
+      rgb,
+      this.scaleSpace.value,
+      this.scaleCurve.value,
+    ).map(({ step, color }) => ({
+      step,
+      color: rgbToHex(color.r, color.g, color.b, this.color.alpha),
+    }))
+
+    PickerUI.updateScaleSwatches(this.container, scale, (color) =>
+      this.setColor(color),
+    )
+  }
+
+  _handleScaleChange() {
+    this._updateScale(this.color.rgb)
+  }
+
+  _handleScaleExport(e) {
+    const scale = generateScale(
+      this.color.rgb,
+      this.scaleSpace.value,
+      this.scaleCurve.value,
+    )
+    const text =
+      e.currentTarget.dataset.format === "tailwind"
+        ? scaleToTailwind(scale)
+        : scaleToCSS(scale)
+
+    this.scaleOutput.value = text
+    this.scaleOutput.hidden = false
+    this.scaleOutput.select()
+
+    // The clipboard API is only available on secure pages; the selected
+    // text in the output can be copied by hand everywhere else
+    navigator.clipboard?.writeText(text).catch(() => {})
+  }
+
+  /**
+   * Update the mix panel's result: the current color blended with the mix
+   * target like color-mix(in <space> <hue method> hue, current, target N%)
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updateMix(rgb) {
+    const target = Color.parse(this.mixTarget)
+    const amount = parseInt(this.mixAmount.value)
+    const space = this.mixSpace.value
+
+    // Inputs without alpha only mix with opaque colors
+    const mixed = mixColors(
+      { ...rgb, alpha: this.color.alpha },
+      { ...target.rgb, alpha: this.alphaEnabled ? target.alpha : 1 },
+      amount / 100,
+      space,
+      this.mixHue.value,
+    )
+    const hex = rgbToHex(mixed.r, mixed.g, mixed.b, mixed.alpha)
+
+    this.mixPercent.textContent = `${amount}%`
+    this.mixHue.disabled = !POLAR_MIX_SPACES.includes(space)
+    this.mixApply.style.backgroundColor = hex
+    this.mixApply.dataset.color = hex
+    this.mixValue.textContent = hex
+  }
+
+  _handleMixChange() {
+    this._updateMix(this.color.rgb)
+  }
+
+  _handleMixApply() {
+    this.setColor(this.mixApply.dataset.color)
+  }
+
+  /**
+   * Set the color the mix panel blends with
+   * @param {string} color - Any CSS color string
+   */
+  setMixTarget(color) {
+    if (!Color.parse(color)) {
+      return
+    }
+
+    this.mixTarget = color
+    this.container.querySelectorAll(".bcp-mix-swatch").forEach((swatch) => {
+      swatch.setAttribute(
+        "aria-pressed",
+        String(swatch.dataset.color === color),
+      )
+    })
+    this._updateMix(this.color.rgb)
+  }
+
+  /**
+   * Put the current color in the selected gradient stop and redraw the
+   * gradient panel. Does nothing while the panel is closed, so browsing
+   * colors doesn't change the gradient.
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updateGradient(rgb) {
+    if (!this.gradientPanel.open) {
+      return
+    }
+
+    const stop = this.gradient.stops[this.gradientStop]
+    stop.color = { ...rgb, alpha: this.color.alpha }
+    this._renderGradient()
+  }
+
+  _renderGradient() {
+    const { gradient } = this
+    const css = gradientToCSS(gradient)
+
+    PickerUI.updateGradientStops(
+      this.container,
+      gradient.stops,
+      this.gradientStop,
+      (index) => this._selectGradientStop(index),
+    )
+    this.container.querySelector(".bcp-gradient-track").style.background =
+      gradientToCSS({ ...gradient, type: "linear", angle: 90 })
+
+    // Don't overwrite the position while it is being typed
+    if (document.activeElement !== this.gradientPosition) {
+      this.gradientPosition.value = gradient.stops[this.gradientStop].position
+    }
+    this.gradientRemove.disabled = gradient.stops.length <= 2
+    this.gradientAngle.disabled = gradient.type === "radial"
+    this.gradientHue.disabled = !POLAR_MIX_SPACES.includes(gradient.space)
+    this.gradientResult.style.background = css
+    this.gradientOutput.value = css
+  }
+
+  /**
+   * Make a stop the one the picker edits and load its color
+   * @param {number} index - Index into the gradient's stops
+   */
+  _selectGradientStop(index) {
+    const { color } = this.gradient.stops[index]
+    this.gradientStop = index
+    this.setColor(rgbToHex(color.r, color.g, color.b, color.alpha))
+  }
+
+  _handleGradientToggle() {
+    this._updateGradient(this.color.rgb)
+  }
+
+  _handleGradientPosition() {
+    const position = parseFloat(this.gradientPosition.value)
+    if (isNaN(position)) {
+      return
+    }
+
+    this.gradient.stops[this.gradientStop].position = Math.max(
+      0,
+      Math.min(100, position),
+    )
+    this._renderGradient()
+  }
+
+  /**
+   * Add a stop in the middle of the widest gap between stops, with the
+   * color the gradient already has there, and select it
+   */
+  _handleGradientAdd() {
+    const stops = sortStops(this.gradient.stops)
+    let from = 0
+    let to = 100
+    let widest = -1
+
+    // Gaps before the first and after the last stop count too
+    const edges = [0, ...stops.map(({ position }) => position), 100]
+    for (let i = 1; i < edges.length; i++) {
+      if (edges[i] - edges[i - 1] > widest) {
+        widest = edges[i] - edges[i - 1]
+        from = edges[i - 1]
+        to = edges[i]
+      }
+    }
+
+    const position = Math.round((from + to) / 2)
+    this.gradient.stops.push({
+      color: sampleGradient(this.gradient, position),
+      position,
+    })
+    this._selectGradientStop(this.gradient.stops.length - 1)
+  }
+
+  _handleGradientRemove() {
+    if (this.gradient.stops.length <= 2) {
+      return
+    }
+
+    this.gradient.stops.splice(this.gradientStop, 1)
+    this._selectGradientStop(0)
+  }
+
+  _handleGradientChange() {
+    const angle = parseFloat(this.gradientAngle.value)
+
+    this.gradient.type = this.gradientType.value
+    this.gradient.angle = isNaN(angle) ? 0 : angle
+    this.gradient.space = this.gradientSpace.value
+    this.gradient.hueMethod = this.gradientHue.value
+    this._renderGradient()
+  }
+
+  _handleGradientCopy() {
+    const text = this.gradientOutput.value
+    this.gradientOutput.select()
+
+    // See _handleScaleExport
+    navigator.clipboard?.writeText(text).catch(() => {})
+  }
+
+  /**
+   * The current color snapped to the palette panel's mode
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   * @returns {{r: number, g: number, b: number}|null} Snapped color, or null
+   *   while any color may be output
+   */
+  _quantize(rgb) {
+    const { mode } = this.quantization
+    if (!mode || (mode === "custom" && !this.paletteColors.length)) {
+      return null
+    }
+    return quantizeColor(rgb, mode, this.paletteColors)
+  }
+
+  /**
+   * Show the original and snapped colors in the palette panel
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _updateQuantize(rgb) {
+    const snapped = this._quantize(rgb)
+
+    this.quantizeIndicator.hidden = !snapped
+    if (!snapped) {
+      this.quantizeValue.textContent =
+        this.quantization.mode === "custom" ? "Enter at least one color" : ""
+      return
+    }
+
+    const original = rgbToHex(rgb.r, rgb.g, rgb.b)
+    const output = rgbToHex(snapped.r, snapped.g, snapped.b)
+    const deltaE = deltaE2000(this.color.lab, new Color("srgb", snapped).lab)
+
+    this.quantizeOriginal.style.backgroundColor = original
+    this.quantizeOriginal.title = `Picked ${original}`
+    this.quantizeSnapped.style.backgroundColor = output
+    this.quantizeSnapped.title = `Output ${output}`
+    this.quantizeValue.textContent =
+      deltaE < 0.05
+        ? `Output ${output} (exact)`
+        : `Output ${output} (ΔE ${deltaE.toFixed(1)} from ${original})`
+  }
+
+  _handleQuantizeChange() {
+    this.setQuantization(this.quantizeMode.value, this.quantizePalette.value)
+
+    // Write the snapped (or unsnapped) value without touching the picker
+    this._updateColorDisplay(false)
+  }
+
+  /**
+   * Snap the input's value to a constrained palette
+   * @param {string} mode - One of QUANTIZE_MODES, or "" for any color
+   * @param {string} [palette] - CSS colors for the "custom" mode
+   */
+  setQuantization(mode, palette = "") {
+    this.quantization = { mode, palette }
+    this.paletteColors = parsePalette(palette)
+
+    this.quantizeMode.value = mode
+    if (this.quantizePalette.value !== palette) {
+      this.quantizePalette.value = palette
+    }
+    this.quantizePalette.hidden = mode !== "custom"
+    this._updateQuantize(this.color.rgb)
+  }
+
+  /**
+   * Apply one of the adjust panel's operations to the current color and
+   * record it in the history
+   * @param {Event} e - Click on a button with data-operation
+   */
+  _handleAdjust(e) {
+    const { operation } = e.currentTarget.dataset
+    const rotates = operation === "rotate"
+    const amount = parseFloat(
+      rotates ? this.adjustDegrees.value : this.adjustAmount.value,
+    )
+    if (isNaN(amount)) {
+      return
+    }
+
+    // Only the stepped operations show their amount
+    const label = ["invert", "grayscale", "complement"].includes(operation)
+      ? e.currentTarget.textContent
+      : `${e.currentTarget.textContent} ${amount}${rotates ? "°" : "%"}`
+
+    const before = this.color
+    const after = adjustColor(before, operation, amount, this.adjustSpace.value)
+    this.adjustHistory.push({ label, before, after })
+    this.setColor(after)
+    this._updateAdjustHistory()
+  }
+
+  _handleAdjustUndo() {
+    const step = this.adjustHistory.pop()
+    if (!step) {
+      return
+    }
+
+    this.setColor(step.before)
+    this._updateAdjustHistory()
+  }
+
+  /**
+   * Go back to the color after an earlier adjustment, dropping later ones
+   * @param {number} index - Index into the adjust history
+   */
+  _revertAdjustments(index) {
+    const step = this.adjustHistory[index]
+    this.adjustHistory.length = index + 1
+
+    this.setColor(step.after)
+    this._updateAdjustHistory()
+  }
+
+  _updateAdjustHistory() {
+    PickerUI.updateAdjustHistory(
+      this.container,
+      this.adjustHistory.map(({ label, after }) => {
+        const { r, g, b } = after.rgb
+        return { label, color: rgbToHex(r, g, b, after.alpha) }
+      }),
+      (index) => this._revertAdjustments(index),
+    )
+    this.adjustUndo.disabled = !this.adjustHistory.length
+  }
+
+  /**
+   * Serialize the color into the input the way the HTML spec does: #rrggbb
+   * without the alpha attribute, color(srgb r g b / a) with it, and
+   * color(display-p3 r g b) for colorspace="display-p3". With a palette
+   * mode, the snapped color is written instead.
+   * @param {{r: number, g: number, b: number}} rgb - Current color in sRGB
+   */
+  _writeInputValue(rgb) {
+    const snapped = this._quantize(rgb)
+    const color = snapped
+      ? new Color("srgb", snapped, this.color.alpha)
+      : this.color
+    if (snapped) {
+      rgb = snapped
+    }
+
+    if (this.colorSpace === "display-p3") {
+      this.currentInput.value = color.toString("display-p3")
+    } else if (!this.alphaEnabled) {
+      this.currentInput.value = rgbToHex(rgb.r, rgb.g, rgb.b)
+      return
+    } else {
+      this.currentInput.value = color.toString("srgb")
+    }
+
+    // Browsers without alpha/colorspace support sanitize color() values to
+    // #000000, so fall back to the opaque (gamut mapped) sRGB hex value
+    if (this.currentInput.value.startsWith("#")) {
+      this.currentInput.value = rgbToHex(rgb.r, rgb.g, rgb.b)
+    }
+  }
+
+  /**
+   * Blend a color with the current alpha over the contrast reference, since
+   * translucent colors are measured as they appear over it
+   * @param {{r: number, g: number, b: number}} rgb - Color in sRGB
+   * @returns {{r: number, g: number, b: number}}
+   */
+  _blendOverReference(rgb) {
+    const reference = this.contrastReference
+    const { alpha } = this.color
+    return {
+      r: rgb.r * alpha + reference.r * (1 - alpha),
+      g: rgb.g * alpha + reference.g * (1 - alpha),
+      b: rgb.b * alpha + reference.b * (1 - alpha),
+    }
+  }
+
+  /**
+   * Describe the current color for screen readers, e.g. "dark desaturated
+   * blue, #2A3B5C, contrast 11.6 against white"
+   * @returns {string}
+   */
+  describeCurrentColor() {
+    const { rgb, alpha } = this.color
+    const reference = this.contrastReference
+    const ratio = contrastRatio(this._blendOverReference(rgb), reference)
+
+    const referenceHex = rgbToHex(reference.r, reference.g, reference.b)
+    const named = nearestNamedColor(reference)
+    const referenceName =
+      named.hex === referenceHex ? named.name : referenceHex.toUpperCase()
+
+    const parts = [
+      describeColor(rgb),
+      rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+    ]
+    if (alpha < 1) {
+      parts.push(`${Math.round(alpha * 100)}% opacity`)
+    }
+    parts.push(`contrast ${ratio.toFixed(1)} against ${referenceName}`)
+    return parts.join(", ")
+  }
+
+  /**
+   * Announce the current color once it has stopped changing
+   */
+  _scheduleAnnouncement() {
+    clearTimeout(this.announceTimer)
+    this.announceTimer = setTimeout(() => {
+      this.announceTimer = null
+      const description = this.describeCurrentColor()
+      if (description !== this.announcedColor) {
+        this.announcedColor = description
+        this.liveRegion.textContent =
+          description[0].toUpperCase() + description.slice(1)
+      }
+    }, ANNOUNCE_DELAY)
+  }
+
+  /**
+   * Announce a message to screen readers right away, replacing a pending
+   * color announcement
+   * @param {string} message - e.g. "Picked vivid red, #FF0000, ..."
+   */
+  announce(message) {
+    clearTimeout(this.announceTimer)
+    this.announceTimer = null
+    this.announcedColor = this.describeCurrentColor()
+    this.liveRegion.textContent = message
+  }
+
+  /**
+   * Set the contrast panel's reference color
+   * @param {string} color - Any CSS color string (alpha is ignored)
+   */
+  setContrastReference(color) {
+    const reference = Color.parse(color)
+    if (!reference) {
+      return
+    }
+
+    this.contrastReference = reference.rgb
+    this._updateContrast(this.color.rgb)
+    this._scheduleAnnouncement()
+  }
+
+  /**
+   * Set the picker and its input to a color (for eyedropper, recent colors, etc.)
+   * @param {Color|string} color - Color or any CSS color string
+   */
+  setColor(color) {
+    if (color instanceof Color) {
+      this._applyColor(color)
+    } else if (!this._applyColorString(color)) {
+      return
+    }
+
+    this._updatePickerControls()
+    this._updateColorDisplay()
+  }
+
+  /**
+   * Commit the color, firing change on the input if its value differs from
+   * the last committed one (on Enter, outside clicks and swatch clicks)
+   */
+  commit() {
+    if (this.currentInput.value !== this.committedValue) {
+      this.committedValue = this.currentInput.value
+      this.currentInput.dispatchEvent(new Event("change", { bubbles: true }))
+    }
+  }
+
+  /**
+   * Cancel the adjustments: the picker goes back to the color it opened with
+   * and the input to its exact value from then, firing input if it changed
+   */
+  revert() {
+    this._applyColor(this.initialColor)
+    this._updatePickerControls()
+    this._updateColorDisplay()
+
+    // The picker may serialize the value differently than it was given
+    if (this.currentInput.value !== this.initialValue) {
+      this.currentInput.value = this.initialValue
+      this.currentInput.dispatchEvent(new Event("input", { bubbles: true }))
+    }
   }
 }
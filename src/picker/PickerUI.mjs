@@ -3,21 +3,81 @@
  */
 
 import {
-  hexToHSV,
-  hexToRGB,
-  hexToHSL,
+  rgbToHex,
   hsvToHex,
+  hsvToUnitRGB,
+  p3ToSRGB,
+  isInUnitGamut,
+  kelvinToRGB,
+  KELVIN_RANGE,
+  MIX_SPACES,
+  HUE_METHODS,
 } from "../utils/ColorConversions.mjs"
+import { Color } from "../utils/Color.mjs"
+import { HARMONY_SCHEMES } from "../utils/ColorHarmony.mjs"
+import { SCALE_CURVES } from "../utils/ColorScale.mjs"
+import { GRADIENT_TYPES } from "../utils/ColorGradient.mjs"
+import { QUANTIZE_MODES } from "../utils/ColorQuantize.mjs"
+import { ADJUSTMENTS } from "../utils/ColorAdjust.mjs"
+import { describeColor } from "../utils/ColorNaming.mjs"
+
+// Option text for the mix and gradient panels' interpolation spaces
+const MIX_SPACE_LABELS = {
+  srgb: "sRGB",
+  "srgb-linear": "Linear sRGB",
+  hsl: "HSL",
+  hwb: "HWB",
+  lab: "Lab",
+  lch: "LCH",
+  oklab: "OKLab",
+  oklch: "OKLCH",
+}
+
+// Option text for the palette panel's quantization modes
+const QUANTIZE_MODE_LABELS = {
+  "web-safe": "Web-safe (216)",
+  "12-bit": "12-bit (#rgb)",
+  vga: "VGA (256)",
+  ega: "EGA (64)",
+  cga: "CGA (16)",
+  custom: "Custom palette",
+}
+
+// Button text for the adjust panel's operations
+const ADJUSTMENT_LABELS = {
+  lighten: "Lighten",
+  darken: "Darken",
+  saturate: "Saturate",
+  desaturate: "Desaturate",
+  rotate: "Rotate hue",
+  complement: "Complement",
+  invert: "Invert",
+  grayscale: "Grayscale",
+}
 
 export class PickerUI {
-  static createPickerElement(initialColor) {
+  /**
+   * Build the picker DOM
+   * @param {string} initialColor - Any CSS color string
+   * @param {Object} options
+   * @param {boolean} options.alpha - Add the alpha slider and alpha fields
+   * @param {string} options.colorSpace - "display-p3" adds the P3 fields and
+   *   the sRGB gamut boundary
+   * @returns {HTMLElement} Picker container
+   */
+  static createPickerElement(initialColor, options = {}) {
     const container = document.createElement("div")
     container.className = "bcp-color-picker"
+    container.setAttribute("role", "dialog")
+    container.setAttribute("aria-label", "Color picker")
 
-    const hsv = hexToHSV(initialColor)
-    const rgb = hexToRGB(initialColor)
-    const hsl = hexToHSL(initialColor)
+    const parsed =
+      Color.parse(initialColor) || new Color("srgb", { r: 0, g: 0, b: 0 })
+    const color = options.alpha ? parsed : parsed.withAlpha(1)
+    const { rgb, alpha, hsv, hsl, hwb, cmyk, oklch, lab, lch } = color
+    const hexColor = color.hex
     const baseColor = hsvToHex({ h: hsv.h, s: 100, v: 100 })
+    const isP3 = options.colorSpace === "display-p3"
 
     // Create main content container
     const content = document.createElement("div")
@@ -28,6 +88,8 @@ export class PickerUI {
     slArea.className = "bcp-saturation-lightness"
     slArea.setAttribute("data-hue", hsv.h.toString())
     slArea.style.backgroundColor = baseColor
+    PickerUI._makeSlider(slArea, "Saturation and brightness", 100)
+    slArea.setAttribute("aria-roledescription", "2D slider")
 
     const slWhiteOverlay = document.createElement("div")
     slWhiteOverlay.className = "bcp-sl-overlay-white"
@@ -37,6 +99,27 @@ export class PickerUI {
     slBlackOverlay.className = "bcp-sl-overlay-black"
     slArea.appendChild(slBlackOverlay)
 
+    // Outline of the sRGB gamut, drawn by updateGamutBoundary for the hue
+    if (isP3) {
+      const boundary = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "svg",
+      )
+      boundary.setAttribute("class", "bcp-gamut-boundary")
+      boundary.setAttribute("viewBox", "0 0 100 100")
+      boundary.setAttribute("preserveAspectRatio", "none")
+      boundary.setAttribute("aria-hidden", "true")
+
+      const line = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "polyline",
+      )
+      line.setAttribute("fill", "none")
+      line.setAttribute("vector-effect", "non-scaling-stroke")
+      boundary.appendChild(line)
+      slArea.appendChild(boundary)
+    }
+
     const slCursor = document.createElement("div")
     slCursor.className = "bcp-sl-cursor"
     slCursor.style.left = `${hsv.s}%`
@@ -62,40 +145,7 @@ export class PickerUI {
     eyedropperBtn.className = "bcp-eyedropper-btn"
     eyedropperBtn.title = "Pick color from page"
     eyedropperBtn.setAttribute("aria-label", "Pick color from page")
-
-    // Create eyedropper icon (SVG)
-    const iconSvg = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "svg",
-    )
-    iconSvg.setAttribute("viewBox", "0 0 24 24")
-    iconSvg.setAttribute("width", "24")
-    iconSvg.setAttribute("height", "24")
-    iconSvg.setAttribute("fill", "none")
-
-    const path1 = document.createElementNS("http://www.w3.org/2000/svg", "path")
-    path1.setAttribute(
-      "d",
-      "M7 13.161L12.4644 7.6966C12.8549 7.30607 13.4881 7.30607 13.8786 7.6966L15.9999 9.81792C16.3904 10.2084 16.3904 10.8416 15.9999 11.2321L14.0711 13.161M7 13.161L4.82764 15.3334C4.73428 15.4267 4.66034 15.5376 4.61007 15.6597L3.58204 18.1563C3.07438 19.3892 4.30728 20.6221 5.54018 20.1145L8.03681 19.0865C8.1589 19.0362 8.26981 18.9622 8.36317 18.8689L14.0711 13.161M7 13.161H14.0711",
-    )
-    path1.setAttribute("stroke", "currentColor")
-    path1.setAttribute("stroke-width", "1.5")
-    path1.setAttribute("stroke-linecap", "round")
-    path1.setAttribute("stroke-linejoin", "round")
-
-    const path2 = document.createElementNS("http://www.w3.org/2000/svg", "path")
-    path2.setAttribute(
-      "d",
-      "M13.878 3.45401L15.9993 5.57533M20.242 9.81798L18.1206 7.69666M15.9993 5.57533L17.4135 4.16112C17.8041 3.7706 18.4372 3.7706 18.8277 4.16112L19.5349 4.86823C19.9254 5.25875 19.9254 5.89192 19.5349 6.28244L18.1206 7.69666M15.9993 5.57533L18.1206 7.69666",
-    )
-    path2.setAttribute("stroke", "currentColor")
-    path2.setAttribute("stroke-width", "1.5")
-    path2.setAttribute("stroke-linecap", "round")
-    path2.setAttribute("stroke-linejoin", "round")
-
-    iconSvg.appendChild(path1)
-    iconSvg.appendChild(path2)
-    eyedropperBtn.appendChild(iconSvg)
+    eyedropperBtn.appendChild(PickerUI._createEyedropperIcon())
     toolPreviewInner.appendChild(eyedropperBtn)
 
     const colorPreview = document.createElement("div")
@@ -107,7 +157,7 @@ export class PickerUI {
 
     const previewColor = document.createElement("div")
     previewColor.className = "bcp-preview-color"
-    previewColor.style.backgroundColor = initialColor
+    previewColor.style.backgroundColor = hexColor
     colorPreview.appendChild(previewColor)
 
     toolPreviewInner.appendChild(colorPreview)
@@ -123,6 +173,7 @@ export class PickerUI {
 
     const hueSlider = document.createElement("div")
     hueSlider.className = "bcp-hue-slider"
+    PickerUI._makeSlider(hueSlider, "Hue", 360)
 
     const sliderTrack = document.createElement("div")
     sliderTrack.className = "bcp-slider-track bcp-hue-track"
@@ -135,6 +186,33 @@ export class PickerUI {
 
     sliderRow.appendChild(hueSlider)
     sliders.appendChild(sliderRow)
+
+    // Create alpha slider (only for inputs with the alpha attribute)
+    if (options.alpha) {
+      const alphaRow = document.createElement("div")
+      alphaRow.className = "bcp-slider-row"
+
+      const alphaSlider = document.createElement("div")
+      alphaSlider.className = "bcp-alpha-slider"
+      PickerUI._makeSlider(alphaSlider, "Alpha", 100)
+
+      const alphaTrack = document.createElement("div")
+      alphaTrack.className = "bcp-slider-track bcp-alpha-track"
+
+      const alphaGradient = document.createElement("div")
+      alphaGradient.className = "bcp-alpha-gradient"
+      alphaGradient.style.background = `linear-gradient(to right, transparent, ${rgbToHex(rgb.r, rgb.g, rgb.b)})`
+      alphaTrack.appendChild(alphaGradient)
+      alphaSlider.appendChild(alphaTrack)
+
+      const alphaThumb = document.createElement("div")
+      alphaThumb.className = "bcp-slider-thumb"
+      alphaThumb.style.left = `${alpha * 100}%`
+      alphaSlider.appendChild(alphaThumb)
+
+      alphaRow.appendChild(alphaSlider)
+      sliders.appendChild(alphaRow)
+    }
     controls.appendChild(sliders)
 
     content.appendChild(controls)
@@ -158,89 +236,1309 @@ export class PickerUI {
     const hexInput = document.createElement("input")
     hexInput.type = "text"
     hexInput.className = "bcp-color-input bcp-hex-input"
-    hexInput.value = initialColor.toUpperCase()
-    hexInput.maxLength = 7
+    hexInput.value = hexColor.toUpperCase()
+    hexInput.title = "Hex value or any CSS color"
+    hexInput.spellcheck = false
     hexInputContainer.appendChild(hexInput)
     colorInputRow.appendChild(hexInputContainer)
 
-    // Create RGB inputs container
-    const rgbInputContainer = document.createElement("div")
-    rgbInputContainer.className =
-      "bcp-input-container bcp-rgb-container bcp-hidden"
-
-    const rgbInputR = document.createElement("input")
-    rgbInputR.type = "number"
-    rgbInputR.className = "bcp-color-input bcp-rgb-input"
-    rgbInputR.placeholder = "R"
-    rgbInputR.min = "0"
-    rgbInputR.max = "255"
-    rgbInputR.value = rgb.r
-    rgbInputContainer.appendChild(rgbInputR)
-
-    const rgbInputG = document.createElement("input")
-    rgbInputG.type = "number"
-    rgbInputG.className = "bcp-color-input bcp-rgb-input"
-    rgbInputG.placeholder = "G"
-    rgbInputG.min = "0"
-    rgbInputG.max = "255"
-    rgbInputG.value = rgb.g
-    rgbInputContainer.appendChild(rgbInputG)
-
-    const rgbInputB = document.createElement("input")
-    rgbInputB.type = "number"
-    rgbInputB.className = "bcp-color-input bcp-rgb-input"
-    rgbInputB.placeholder = "B"
-    rgbInputB.min = "0"
-    rgbInputB.max = "255"
-    rgbInputB.value = rgb.b
-    rgbInputContainer.appendChild(rgbInputB)
-    colorInputRow.appendChild(rgbInputContainer)
-
-    // Create HSL inputs container
-    const hslInputContainer = document.createElement("div")
-    hslInputContainer.className =
-      "bcp-input-container bcp-hsl-container bcp-hidden"
-
-    const hslInputH = document.createElement("input")
-    hslInputH.type = "number"
-    hslInputH.className = "bcp-color-input bcp-hsl-input"
-    hslInputH.placeholder = "H"
-    hslInputH.min = "0"
-    hslInputH.max = "360"
-    hslInputH.value = Math.round(hsl.h)
-    hslInputContainer.appendChild(hslInputH)
-
-    const hslInputS = document.createElement("input")
-    hslInputS.type = "number"
-    hslInputS.className = "bcp-color-input bcp-hsl-input"
-    hslInputS.placeholder = "S"
-    hslInputS.min = "0"
-    hslInputS.max = "100"
-    hslInputS.value = Math.round(hsl.s)
-    hslInputContainer.appendChild(hslInputS)
-
-    const hslInputL = document.createElement("input")
-    hslInputL.type = "number"
-    hslInputL.className = "bcp-color-input bcp-hsl-input"
-    hslInputL.placeholder = "L"
-    hslInputL.min = "0"
-    hslInputL.max = "100"
-    hslInputL.value = Math.round(hsl.l)
-    hslInputContainer.appendChild(hslInputL)
-
-    colorInputRow.appendChild(hslInputContainer)
+    // RGB and HSL get a fourth field (rgba/hsla) when alpha is enabled
+    const alphaFields = options.alpha
+      ? [
+          {
+            placeholder: "A",
+            label: "Alpha",
+            min: 0,
+            max: 1,
+            step: 0.01,
+            value: alpha.toFixed(2),
+          },
+        ]
+      : []
+
+    // Create numeric inputs for each additional format
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("rgb", [
+        { placeholder: "R", label: "Red", min: 0, max: 255, value: rgb.r },
+        { placeholder: "G", label: "Green", min: 0, max: 255, value: rgb.g },
+        { placeholder: "B", label: "Blue", min: 0, max: 255, value: rgb.b },
+        ...alphaFields,
+      ]),
+    )
+
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("hsl", [
+        {
+          placeholder: "H",
+          label: "HSL hue",
+          min: 0,
+          max: 360,
+          value: Math.round(hsl.h),
+        },
+        {
+          placeholder: "S",
+          label: "HSL saturation",
+          min: 0,
+          max: 100,
+          value: Math.round(hsl.s),
+        },
+        {
+          placeholder: "L",
+          label: "HSL lightness",
+          min: 0,
+          max: 100,
+          value: Math.round(hsl.l),
+        },
+        ...alphaFields,
+      ]),
+    )
+
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("hsb", [
+        {
+          placeholder: "H",
+          label: "HSB hue",
+          min: 0,
+          max: 360,
+          value: Math.round(hsv.h),
+        },
+        {
+          placeholder: "S",
+          label: "HSB saturation",
+          min: 0,
+          max: 100,
+          value: Math.round(hsv.s),
+        },
+        {
+          placeholder: "B",
+          label: "HSB brightness",
+          min: 0,
+          max: 100,
+          value: Math.round(hsv.v),
+        },
+      ]),
+    )
+
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("hwb", [
+        {
+          placeholder: "H",
+          label: "HWB hue",
+          min: 0,
+          max: 360,
+          value: Math.round(hwb.h),
+        },
+        {
+          placeholder: "W",
+          label: "HWB whiteness",
+          min: 0,
+          max: 100,
+          value: Math.round(hwb.w),
+        },
+        {
+          placeholder: "B",
+          label: "HWB blackness",
+          min: 0,
+          max: 100,
+          value: Math.round(hwb.b),
+        },
+      ]),
+    )
+
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs(
+        "cmyk",
+        [
+          ["C", "Cyan"],
+          ["M", "Magenta"],
+          ["Y", "Yellow"],
+          ["K", "Black"],
+        ].map(([placeholder, label]) => ({
+          placeholder,
+          label,
+          min: 0,
+          max: 100,
+          value: Math.round(cmyk[placeholder.toLowerCase()]),
+        })),
+      ),
+    )
+
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("oklch", [
+        {
+          placeholder: "L",
+          label: "OKLCH lightness",
+          min: 0,
+          max: 100,
+          step: 0.1,
+          value: (oklch.l * 100).toFixed(1),
+        },
+        {
+          placeholder: "C",
+          label: "OKLCH chroma",
+          min: 0,
+          max: 0.4,
+          step: 0.001,
+          value: oklch.c.toFixed(3),
+        },
+        {
+          placeholder: "H",
+          label: "OKLCH hue",
+          min: 0,
+          max: 360,
+          value: Math.round(oklch.h),
+        },
+      ]),
+    )
+
+    // CIE Lab/LCH use the D50 white point, like CSS lab() and lch()
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("lab", [
+        {
+          placeholder: "L",
+          label: "Lab lightness",
+          min: 0,
+          max: 100,
+          step: 0.1,
+          value: lab.l.toFixed(1),
+        },
+        {
+          placeholder: "a",
+          label: "Lab a",
+          min: -125,
+          max: 125,
+          step: 0.1,
+          value: lab.a.toFixed(1),
+        },
+        {
+          placeholder: "b",
+          label: "Lab b",
+          min: -125,
+          max: 125,
+          step: 0.1,
+          value: lab.b.toFixed(1),
+        },
+      ]),
+    )
+
+    colorInputRow.appendChild(
+      PickerUI._createNumberInputs("lch", [
+        {
+          placeholder: "L",
+          label: "LCH lightness",
+          min: 0,
+          max: 100,
+          step: 0.1,
+          value: lch.l.toFixed(1),
+        },
+        {
+          placeholder: "C",
+          label: "LCH chroma",
+          min: 0,
+          max: 150,
+          step: 0.1,
+          value: lch.c.toFixed(1),
+        },
+        {
+          placeholder: "H",
+          label: "LCH hue",
+          min: 0,
+          max: 360,
+          value: Math.round(lch.h),
+        },
+      ]),
+    )
+
+    // Display P3 channels, only for inputs with colorspace="display-p3"
+    if (isP3) {
+      const { p3 } = color
+      colorInputRow.appendChild(
+        PickerUI._createNumberInputs(
+          "p3",
+          [
+            ["R", "Display P3 red"],
+            ["G", "Display P3 green"],
+            ["B", "Display P3 blue"],
+          ].map(([placeholder, label]) => ({
+            placeholder,
+            label,
+            min: 0,
+            max: 1,
+            step: 0.001,
+            value: p3[placeholder.toLowerCase()].toFixed(3),
+          })),
+        ),
+      )
+    }
+
     content.appendChild(colorInputRow)
 
+    // Difference from the color the input had when the picker opened
+    const colorInfo = document.createElement("div")
+    colorInfo.className = "bcp-color-info"
+
+    // Closest CSS named color, e.g. "≈ cornflowerblue (ΔE 1.8)"
+    const colorName = document.createElement("span")
+    colorName.className = "bcp-color-name"
+    colorName.title = "Closest CSS named color (CIEDE2000)"
+    colorInfo.appendChild(colorName)
+
+    const deltaE = document.createElement("span")
+    deltaE.className = "bcp-delta-e"
+    deltaE.title = "CIEDE2000 difference from the color when the picker opened"
+    deltaE.textContent = "ΔE 0.0"
+    colorInfo.appendChild(deltaE)
+
+    content.appendChild(colorInfo)
+
     // Create recent colors container
     const recentColors = document.createElement("div")
     recentColors.className = "bcp-recent-colors"
     content.appendChild(recentColors)
 
+    content.appendChild(PickerUI._createContrastPanel())
+    content.appendChild(PickerUI._createVisionPanel())
+    content.appendChild(PickerUI._createTemperaturePanel())
+    content.appendChild(PickerUI._createHarmonyPanel())
+    content.appendChild(PickerUI._createScalePanel())
+    content.appendChild(PickerUI._createMixPanel())
+    content.appendChild(PickerUI._createGradientPanel())
+    content.appendChild(PickerUI._createQuantizePanel())
+    content.appendChild(PickerUI._createAdjustPanel())
+
     container.appendChild(content)
 
+    // Screen reader announcements of color changes
+    const liveRegion = document.createElement("div")
+    liveRegion.className = "bcp-live-region"
+    liveRegion.setAttribute("aria-live", "polite")
+    liveRegion.setAttribute("aria-atomic", "true")
+    container.appendChild(liveRegion)
+
+    PickerUI.updateSliderValues(container, hsv, alpha)
+
     return container
   }
 
+  /**
+   * Make an element a focusable ARIA slider from 0 to max
+   * @param {HTMLElement} element - Slider element
+   * @param {string} label - Accessible name
+   * @param {number} max - Largest value
+   */
+  static _makeSlider(element, label, max) {
+    element.tabIndex = 0
+    element.setAttribute("role", "slider")
+    element.setAttribute("aria-label", label)
+    element.setAttribute("aria-valuemin", "0")
+    element.setAttribute("aria-valuemax", String(max))
+  }
+
+  /**
+   * Update the sliders' ARIA values. The SL area reports saturation as its
+   * value and describes both axes in its value text.
+   * @param {HTMLElement} container - Picker container
+   * @param {{h: number, s: number, v: number}} hsv - Picker color
+   * @param {number} alpha - Alpha in 0-1
+   */
+  static updateSliderValues(container, hsv, alpha) {
+    const s = Math.round(hsv.s)
+    const v = Math.round(hsv.v)
+    const h = Math.round(hsv.h)
+    const percent = Math.round(alpha * 100)
+
+    const slArea = container.querySelector(".bcp-saturation-lightness")
+    slArea.setAttribute("aria-valuenow", String(s))
+    slArea.setAttribute("aria-valuetext", `Saturation ${s}%, brightness ${v}%`)
+
+    const hueSlider = container.querySelector(".bcp-hue-slider")
+    hueSlider.setAttribute("aria-valuenow", String(h))
+    hueSlider.setAttribute("aria-valuetext", `${h} degrees`)
+
+    const alphaSlider = container.querySelector(".bcp-alpha-slider")
+    if (alphaSlider) {
+      alphaSlider.setAttribute("aria-valuenow", String(percent))
+      alphaSlider.setAttribute("aria-valuetext", `${percent}%`)
+    }
+  }
+
+  /**
+   * Create the eyedropper icon (SVG)
+   * @returns {SVGElement}
+   */
+  static _createEyedropperIcon() {
+    const iconSvg = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "svg",
+    )
+    iconSvg.setAttribute("viewBox", "0 0 24 24")
+    iconSvg.setAttribute("width", "24")
+    iconSvg.setAttribute("height", "24")
+    iconSvg.setAttribute("fill", "none")
+
+    const path1 = document.createElementNS("http://www.w3.org/2000/svg", "path")
+    path1.setAttribute(
+      "d",
+      "M7 13.161L12.4644 7.6966C12.8549 7.30607 13.4881 7.30607 13.8786 7.6966L15.9999 9.81792C16.3904 10.2084 16.3904 10.8416 15.9999 11.2321L14.0711 13.161M7 13.161L4.82764 15.3334C4.73428 15.4267 4.66034 15.5376 4.61007 15.6597L3.58204 18.1563C3.07438 19.3892 4.30728 20.6221 5.54018 20.1145L8.03681 19.0865C8.1589 19.0362 8.26981 18.9622 8.36317 18.8689L14.0711 13.161M7 13.161H14.0711",
+    )
+    path1.setAttribute("stroke", "currentColor")
+    path1.setAttribute("stroke-width", "1.5")
+    path1.setAttribute("stroke-linecap", "round")
+    path1.setAttribute("stroke-linejoin", "round")
+
+    const path2 = document.createElementNS("http://www.w3.org/2000/svg", "path")
+    path2.setAttribute(
+      "d",
+      "M13.878 3.45401L15.9993 5.57533M20.242 9.81798L18.1206 7.69666M15.9993 5.57533L17.4135 4.16112C17.8041 3.7706 18.4372 3.7706 18.8277 4.16112L19.5349 4.86823C19.9254 5.25875 19.9254 5.89192 19.5349 6.28244L18.1206 7.69666M15.9993 5.57533L18.1206 7.69666",
+    )
+    path2.setAttribute("stroke", "currentColor")
+    path2.setAttribute("stroke-width", "1.5")
+    path2.setAttribute("stroke-linecap", "round")
+    path2.setAttribute("stroke-linejoin", "round")
+
+    iconSvg.appendChild(path1)
+    iconSvg.appendChild(path2)
+
+    return iconSvg
+  }
+
+  /**
+   * Create the collapsible contrast checker. Values are filled in by
+   * PickerInteractions, reference swatches by updateContrastReferences.
+   * @returns {HTMLElement} Contrast panel
+   */
+  static _createContrastPanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-contrast-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-contrast-summary"
+    summary.textContent = "Contrast"
+    panel.appendChild(summary)
+
+    const body = document.createElement("div")
+    body.className = "bcp-contrast-body"
+
+    const result = document.createElement("div")
+    result.className = "bcp-contrast-result"
+
+    const sample = document.createElement("div")
+    sample.className = "bcp-contrast-sample"
+    sample.textContent = "Aa"
+    result.appendChild(sample)
+
+    const ratio = document.createElement("span")
+    ratio.className = "bcp-contrast-ratio"
+    ratio.title = "WCAG 2 contrast ratio"
+    result.appendChild(ratio)
+
+    const apca = document.createElement("span")
+    apca.className = "bcp-apca"
+    apca.title = "APCA lightness contrast"
+    result.appendChild(apca)
+
+    body.appendChild(result)
+
+    // AA/AAA badges for normal and large text
+    const badges = document.createElement("div")
+    badges.className = "bcp-contrast-badges"
+
+    ;[
+      ["Normal text", "normal"],
+      ["Large text", "large"],
+    ].forEach(([text, size]) => {
+      const label = document.createElement("span")
+      label.className = "bcp-contrast-label"
+      label.textContent = text
+      badges.appendChild(label)
+
+      ;["AA", "AAA"].forEach((level) => {
+        const badge = document.createElement("span")
+        badge.className = "bcp-contrast-badge"
+        badge.dataset.criterion = size + level
+        badge.textContent = level
+        badges.appendChild(badge)
+      })
+    })
+    body.appendChild(badges)
+
+    // Reference color: white, black, a recent color or a picked one
+    const references = document.createElement("div")
+    references.className = "bcp-contrast-references"
+
+    const referenceLabel = document.createElement("span")
+    referenceLabel.className = "bcp-recent-label"
+    referenceLabel.textContent = "Against:"
+    references.appendChild(referenceLabel)
+
+    const swatches = document.createElement("div")
+    swatches.className = "bcp-contrast-swatches"
+    references.appendChild(swatches)
+
+    const eyedropperBtn = document.createElement("button")
+    eyedropperBtn.type = "button"
+    eyedropperBtn.className = "bcp-contrast-eyedropper"
+    eyedropperBtn.title = "Pick reference color from page"
+    eyedropperBtn.setAttribute("aria-label", "Pick reference color from page")
+    eyedropperBtn.appendChild(PickerUI._createEyedropperIcon())
+    references.appendChild(eyedropperBtn)
+
+    body.appendChild(references)
+    panel.appendChild(body)
+
+    return panel
+  }
+
+  /**
+   * Create the collapsible color vision deficiency simulation controls
+   * @returns {HTMLElement} Vision panel
+   */
+  static _createVisionPanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-vision-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-vision-summary"
+    summary.textContent = "Vision simulation"
+    panel.appendChild(summary)
+
+    const body = document.createElement("div")
+    body.className = "bcp-vision-body"
+
+    body.appendChild(
+      PickerUI._createSelect("bcp-vision-type", "Simulated vision", [
+        ["", "Normal vision"],
+        ["protan", "Protan (red-blind)"],
+        ["deutan", "Deutan (green-blind)"],
+        ["tritan", "Tritan (blue-blind)"],
+        ["achromat", "Achromatopsia"],
+      ]),
+    )
+
+    // Method and severity are enabled once a deficiency is chosen
+    const method = PickerUI._createSelect(
+      "bcp-vision-method",
+      "Simulation method",
+      [
+        ["brettel", "Brettel 1997"],
+        ["vienot", "Viénot 1999"],
+        ["machado", "Machado 2009"],
+      ],
+    )
+    method.disabled = true
+    body.appendChild(method)
+
+    const severityLabel = document.createElement("label")
+    severityLabel.className = "bcp-vision-severity-label"
+    severityLabel.textContent = "Severity"
+
+    const severity = document.createElement("input")
+    severity.type = "range"
+    severity.className = "bcp-vision-severity"
+    severity.min = "0"
+    severity.max = "100"
+    severity.step = "10"
+    severity.value = "100"
+    severity.disabled = true
+    severityLabel.appendChild(severity)
+    body.appendChild(severityLabel)
+
+    panel.appendChild(body)
+
+    return panel
+  }
+
+  /**
+   * Create the collapsible color temperature panel: a Kelvin slider over a
+   * blackbody gradient, and a Kelvin field
+   * @returns {HTMLElement} Temperature panel
+   */
+  static _createTemperaturePanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-temperature-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-temperature-summary"
+    summary.textContent = "Temperature"
+    panel.appendChild(summary)
+
+    const body = document.createElement("div")
+    body.className = "bcp-temperature-body"
+
+    const slider = document.createElement("input")
+    slider.type = "range"
+    slider.className = "bcp-temperature-slider"
+    slider.setAttribute("aria-label", "Color temperature")
+    slider.min = String(KELVIN_RANGE.min)
+    slider.max = String(KELVIN_RANGE.max)
+    slider.step = "100"
+    slider.value = "6500"
+
+    // Sample the blackbody colors along the slider's range
+    const stops = []
+    for (let i = 0; i <= 40; i++) {
+      const kelvin =
+        KELVIN_RANGE.min + ((KELVIN_RANGE.max - KELVIN_RANGE.min) * i) / 40
+      const rgb = kelvinToRGB(kelvin)
+      stops.push(`${rgbToHex(rgb.r, rgb.g, rgb.b)} ${i * 2.5}%`)
+    }
+    slider.style.background = `linear-gradient(to right, ${stops.join(", ")})`
+    body.appendChild(slider)
+
+    const field = document.createElement("input")
+    field.type = "number"
+    field.className = "bcp-temperature-input"
+    field.setAttribute("aria-label", "Color temperature in Kelvin")
+    field.min = String(KELVIN_RANGE.min)
+    field.max = String(KELVIN_RANGE.max)
+    field.step = "100"
+    field.value = "6500"
+    body.appendChild(field)
+
+    const unit = document.createElement("span")
+    unit.className = "bcp-temperature-unit"
+    unit.textContent = "K"
+    body.appendChild(unit)
+
+    panel.appendChild(body)
+
+    return panel
+  }
+
+  /**
+   * Create the collapsible harmony panel: scheme and hue space selectors
+   * above a row of swatches
+   * @returns {HTMLElement} Harmony panel
+   */
+  static _createHarmonyPanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-harmony-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-harmony-summary"
+    summary.textContent = "Harmonies"
+    panel.appendChild(summary)
+
+    const controls = document.createElement("div")
+    controls.className = "bcp-harmony-controls"
+
+    controls.appendChild(
+      PickerUI._createSelect(
+        "bcp-harmony-scheme",
+        "Harmony scheme",
+        Object.keys(HARMONY_SCHEMES).map((name) => [
+          name,
+          name.charAt(0).toUpperCase() + name.slice(1),
+        ]),
+      ),
+    )
+    controls.appendChild(
+      PickerUI._createSelect("bcp-harmony-space", "Hue rotation space", [
+        ["hsv", "HSV hue"],
+        ["oklch", "OKLCH hue"],
+      ]),
+    )
+
+    panel.appendChild(controls)
+
+    const swatches = document.createElement("div")
+    swatches.className = "bcp-harmony-swatches"
+    panel.appendChild(swatches)
+
+    return panel
+  }
+
+  /**
+   * Fill the harmony panel's swatch row. Existing swatches are updated in
+   * place, so a focused swatch keeps focus when choosing it changes the
+   * colors; swatches are only added or removed when the scheme needs more
+   * or fewer.
+   * @param {HTMLElement} container - Picker container
+   * @param {string[]} colors - Hex colors, base color first
+   * @param {Function} onSelect - Called with the clicked color
+   */
+  static updateHarmonySwatches(container, colors, onSelect) {
+    const swatchContainer = container.querySelector(".bcp-harmony-swatches")
+    if (!swatchContainer) return
+
+    while (swatchContainer.children.length > colors.length) {
+      swatchContainer.lastElementChild.remove()
+    }
+    while (swatchContainer.children.length < colors.length) {
+      const swatch = document.createElement("button")
+      swatch.type = "button"
+      swatch.className = "bcp-harmony-swatch"
+      if (swatchContainer.children.length === 0) {
+        swatch.classList.add("bcp-harmony-base")
+      }
+      swatch.addEventListener("click", () => onSelect(swatch.dataset.color))
+      swatchContainer.appendChild(swatch)
+    }
+
+    colors.forEach((color, index) => {
+      const swatch = swatchContainer.children[index]
+      swatch.style.backgroundColor = color
+      swatch.title = color
+      swatch.dataset.color = color
+      PickerUI._labelSwatch(swatch, color)
+    })
+  }
+
+  /**
+   * Create the collapsible tint/shade scale panel: space and curve
+   * selectors, the 50-950 swatches and the export buttons
+   * @returns {HTMLElement} Scale panel
+   */
+  static _createScalePanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-scale-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-scale-summary"
+    summary.textContent = "Scale"
+    panel.appendChild(summary)
+
+    const controls = document.createElement("div")
+    controls.className = "bcp-scale-controls"
+    controls.appendChild(
+      PickerUI._createSelect("bcp-scale-space", "Scale color space", [
+        ["oklch", "OKLCH"],
+        ["hsl", "HSL"],
+      ]),
+    )
+    controls.appendChild(
+      PickerUI._createSelect(
+        "bcp-scale-curve",
+        "Lightness curve",
+        Object.keys(SCALE_CURVES).map((name) => [
+          name,
+          name.charAt(0).toUpperCase() + name.slice(1),
+        ]),
+      ),
+    )
+    panel.appendChild(controls)
+
+    const swatches = document.createElement("div")
+    swatches.className = "bcp-scale-swatches"
+    panel.appendChild(swatches)
+
+    const exports = document.createElement("div")
+    exports.className = "bcp-scale-exports"
+    ;[
+      ["css", "Copy CSS"],
+      ["tailwind", "Copy Tailwind"],
+    ].forEach(([format, text]) => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "bcp-scale-export"
+      button.dataset.format = format
+      button.textContent = text
+      exports.appendChild(button)
+    })
+    panel.appendChild(exports)
+
+    // Filled on export so the text can also be copied by hand
+    const output = document.createElement("textarea")
+    output.className = "bcp-scale-output"
+    output.readOnly = true
+    output.rows = 6
+    output.hidden = true
+    output.setAttribute("aria-label", "Exported scale")
+    panel.appendChild(output)
+
+    return panel
+  }
+
+  /**
+   * Fill the scale panel's swatch row. The swatches are created once and
+   * then updated in place, so a focused swatch keeps focus when choosing it
+   * changes the scale.
+   * @param {HTMLElement} container - Picker container
+   * @param {Array<{step: number, color: string}>} scale - Hex color per step
+   * @param {Function} onSelect - Called with the clicked color
+   */
+  static updateScaleSwatches(container, scale, onSelect) {
+    const swatchContainer = container.querySelector(".bcp-scale-swatches")
+    if (!swatchContainer) return
+
+    scale.forEach(({ step, color }, index) => {
+      let swatch = swatchContainer.children[index]
+      if (!swatch) {
+        swatch = document.createElement("button")
+        swatch.type = "button"
+        swatch.className = "bcp-scale-swatch"
+        if (step === 500) swatch.classList.add("bcp-scale-base")
+        swatch.dataset.step = step
+        swatch.addEventListener("click", () => onSelect(swatch.dataset.color))
+        swatchContainer.appendChild(swatch)
+      }
+      swatch.style.backgroundColor = color
+      swatch.title = `${step} ${color}`
+      swatch.dataset.color = color
+      PickerUI._labelSwatch(swatch, color, `${step}: `)
+    })
+  }
+
+  /**
+   * Create the collapsible mix panel: the color to mix with, how much of it,
+   * the interpolation space and hue method, and the mixed color
+   * @returns {HTMLElement} Mix panel
+   */
+  static _createMixPanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-mix-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-mix-summary"
+    summary.textContent = "Mix"
+    panel.appendChild(summary)
+
+    // Color to mix with: white, black or a recent color
+    const targets = document.createElement("div")
+    targets.className = "bcp-mix-targets"
+
+    const targetLabel = document.createElement("span")
+    targetLabel.className = "bcp-recent-label"
+    targetLabel.textContent = "With:"
+    targets.appendChild(targetLabel)
+
+    const swatches = document.createElement("div")
+    swatches.className = "bcp-mix-swatches"
+    targets.appendChild(swatches)
+    panel.appendChild(targets)
+
+    const amountRow = document.createElement("div")
+    amountRow.className = "bcp-mix-amount-row"
+
+    const amount = document.createElement("input")
+    amount.type = "range"
+    amount.className = "bcp-mix-amount"
+    amount.min = 0
+    amount.max = 100
+    amount.value = 50
+    amount.setAttribute("aria-label", "Amount of the other color")
+    amountRow.appendChild(amount)
+
+    const percent = document.createElement("span")
+    percent.className = "bcp-mix-percent"
+    percent.textContent = "50%"
+    amountRow.appendChild(percent)
+    panel.appendChild(amountRow)
+
+    const controls = document.createElement("div")
+    controls.className = "bcp-mix-controls"
+
+    const space = PickerUI._createSelect(
+      "bcp-mix-space",
+      "Interpolation space",
+      MIX_SPACES.map((name) => [name, MIX_SPACE_LABELS[name]]),
+    )
+    space.value = "oklab" // The color-mix() default
+    controls.appendChild(space)
+
+    controls.appendChild(
+      PickerUI._createSelect(
+        "bcp-mix-hue",
+        "Hue interpolation method",
+        HUE_METHODS.map((method) => [
+          method,
+          method.charAt(0).toUpperCase() + method.slice(1) + " hue",
+        ]),
+      ),
+    )
+    panel.appendChild(controls)
+
+    // Clicking the result makes it the current color
+    const result = document.createElement("div")
+    result.className = "bcp-mix-result"
+
+    const apply = document.createElement("button")
+    apply.type = "button"
+    apply.className = "bcp-mix-apply"
+    apply.title = "Use the mixed color"
+    apply.setAttribute("aria-label", "Use the mixed color")
+    result.appendChild(apply)
+
+    const value = document.createElement("span")
+    value.className = "bcp-mix-value"
+    result.appendChild(value)
+    panel.appendChild(result)
+
+    return panel
+  }
+
+  /**
+   * Fill the mix panel's swatches: white, black, then the recent colors
+   * @param {HTMLElement} container - Picker container
+   * @param {string[]} recentColors - Recent colors
+   * @param {string} selected - Color currently mixed with
+   * @param {Function} onSelect - Called with the chosen color
+   */
+  static updateMixTargets(container, recentColors, selected, onSelect) {
+    const swatchContainer = container.querySelector(".bcp-mix-swatches")
+    swatchContainer.textContent = ""
+
+    const colors = ["#ffffff", "#000000", ...(recentColors || [])]
+    new Set(colors).forEach((color) => {
+      const swatch = document.createElement("button")
+      swatch.type = "button"
+      swatch.className = "bcp-mix-swatch"
+      swatch.style.backgroundColor = color
+      swatch.title = color
+      swatch.dataset.color = color
+      PickerUI._labelSwatch(swatch, color, "Mix with ")
+      swatch.setAttribute("aria-pressed", String(color === selected))
+      swatch.addEventListener("click", () => onSelect(color))
+      swatchContainer.appendChild(swatch)
+    })
+  }
+
+  /**
+   * Create the collapsible gradient panel: a stop track edited with the main
+   * picker, stop position controls, gradient type, angle, interpolation
+   * space and hue method, and the resulting CSS
+   * @returns {HTMLElement} Gradient panel
+   */
+  static _createGradientPanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-gradient-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-gradient-summary"
+    summary.textContent = "Gradient"
+    panel.appendChild(summary)
+
+    // Filled with stop markers by updateGradientStops()
+    const track = document.createElement("div")
+    track.className = "bcp-gradient-track"
+    panel.appendChild(track)
+
+    const stopControls = document.createElement("div")
+    stopControls.className = "bcp-gradient-stop-controls"
+
+    const position = document.createElement("input")
+    position.type = "number"
+    position.className = "bcp-gradient-position"
+    position.min = 0
+    position.max = 100
+    position.step = 1
+    position.setAttribute("aria-label", "Stop position in percent")
+    stopControls.appendChild(position)
+
+    ;[
+      ["bcp-gradient-add", "Add stop"],
+      ["bcp-gradient-remove", "Remove stop"],
+    ].forEach(([className, text]) => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = className
+      button.textContent = text
+      stopControls.appendChild(button)
+    })
+    panel.appendChild(stopControls)
+
+    const controls = document.createElement("div")
+    controls.className = "bcp-gradient-controls"
+    controls.appendChild(
+      PickerUI._createSelect(
+        "bcp-gradient-type",
+        "Gradient type",
+        GRADIENT_TYPES.map((type) => [
+          type,
+          type.charAt(0).toUpperCase() + type.slice(1),
+        ]),
+      ),
+    )
+
+    const angle = document.createElement("input")
+    angle.type = "number"
+    angle.className = "bcp-gradient-angle"
+    angle.min = 0
+    angle.max = 360
+    angle.step = 1
+    angle.value = 90
+    angle.setAttribute("aria-label", "Angle in degrees")
+    controls.appendChild(angle)
+    panel.appendChild(controls)
+
+    const interpolation = document.createElement("div")
+    interpolation.className = "bcp-gradient-controls"
+
+    const space = PickerUI._createSelect(
+      "bcp-gradient-space",
+      "Gradient interpolation space",
+      MIX_SPACES.map((name) => [name, MIX_SPACE_LABELS[name]]),
+    )
+    space.value = "oklab"
+    interpolation.appendChild(space)
+
+    interpolation.appendChild(
+      PickerUI._createSelect(
+        "bcp-gradient-hue",
+        "Gradient hue interpolation method",
+        HUE_METHODS.map((method) => [
+          method,
+          method.charAt(0).toUpperCase() + method.slice(1) + " hue",
+        ]),
+      ),
+    )
+    panel.appendChild(interpolation)
+
+    const result = document.createElement("div")
+    result.className = "bcp-gradient-result"
+    panel.appendChild(result)
+
+    const copy = document.createElement("button")
+    copy.type = "button"
+    copy.className = "bcp-gradient-copy"
+    copy.textContent = "Copy CSS"
+    panel.appendChild(copy)
+
+    const output = document.createElement("textarea")
+    output.className = "bcp-gradient-output"
+    output.readOnly = true
+    output.rows = 3
+    output.setAttribute("aria-label", "Gradient CSS")
+    panel.appendChild(output)
+
+    return panel
+  }
+
+  /**
+   * Draw the gradient panel's stop markers along the track. Existing markers
+   * are updated in place, so a focused marker keeps focus when selecting it
+   * redraws the gradient; markers are only added or removed with stops.
+   * @param {HTMLElement} container - Picker container
+   * @param {Array<{color: Object, position: number}>} stops - Gradient stops
+   * @param {number} selected - Index of the stop the picker edits
+   * @param {Function} onSelect - Called with the clicked stop's index
+   */
+  static updateGradientStops(container, stops, selected, onSelect) {
+    const track = container.querySelector(".bcp-gradient-track")
+
+    while (track.children.length > stops.length) {
+      track.lastElementChild.remove()
+    }
+    while (track.children.length < stops.length) {
+      const marker = document.createElement("button")
+      marker.type = "button"
+      marker.className = "bcp-gradient-stop"
+      marker.dataset.index = track.children.length
+      marker.addEventListener("click", () =>
+        onSelect(Number(marker.dataset.index)),
+      )
+      track.appendChild(marker)
+    }
+
+    stops.forEach(({ color, position }, index) => {
+      const hex = rgbToHex(color.r, color.g, color.b, color.alpha ?? 1)
+      const marker = track.children[index]
+      marker.style.left = `${position}%`
+      marker.style.backgroundColor = hex
+      marker.title = `${hex} ${position}%`
+      marker.setAttribute(
+        "aria-label",
+        `Stop ${index + 1}, ${hex} at ${position}%`,
+      )
+      marker.setAttribute("aria-pressed", String(index === selected))
+    })
+  }
+
+  /**
+   * Create the collapsible palette panel: the mode that snaps the input's
+   * value to a constrained palette, a field for a custom palette, and the
+   * original and snapped colors. The colors are shown in the summary too,
+   * so the snapping stays visible with the panel closed.
+   * @returns {HTMLElement} Palette panel
+   */
+  static _createQuantizePanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-quantize-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-quantize-summary"
+    summary.textContent = "Palette"
+
+    const indicator = document.createElement("span")
+    indicator.className = "bcp-quantize-indicator"
+    indicator.hidden = true
+    ;["bcp-quantize-original", "bcp-quantize-snapped"].forEach((className) => {
+      const swatch = document.createElement("span")
+      swatch.className = className
+      indicator.appendChild(swatch)
+    })
+    summary.appendChild(indicator)
+    panel.appendChild(summary)
+
+    const controls = document.createElement("div")
+    controls.className = "bcp-quantize-controls"
+    controls.appendChild(
+      PickerUI._createSelect("bcp-quantize-mode", "Snap output to", [
+        ["", "Any color"],
+        ...QUANTIZE_MODES.map((mode) => [mode, QUANTIZE_MODE_LABELS[mode]]),
+      ]),
+    )
+    panel.appendChild(controls)
+
+    const palette = document.createElement("textarea")
+    palette.className = "bcp-quantize-palette"
+    palette.rows = 3
+    palette.hidden = true
+    palette.spellcheck = false
+    palette.placeholder = "#000000, #ff0000, #00ff00, ..."
+    palette.setAttribute("aria-label", "Custom palette colors")
+    panel.appendChild(palette)
+
+    const value = document.createElement("div")
+    value.className = "bcp-quantize-value"
+    panel.appendChild(value)
+
+    return panel
+  }
+
+  /**
+   * Create the collapsible adjust panel: step sizes and space, a button per
+   * adjustment, and the history of adjustments with undo
+   * @returns {HTMLElement} Adjust panel
+   */
+  static _createAdjustPanel() {
+    const panel = document.createElement("details")
+    panel.className = "bcp-adjust-panel"
+
+    const summary = document.createElement("summary")
+    summary.className = "bcp-adjust-summary"
+    summary.textContent = "Adjust"
+    panel.appendChild(summary)
+
+    const controls = document.createElement("div")
+    controls.className = "bcp-adjust-controls"
+    ;[
+      ["bcp-adjust-amount", "Step in percent", 10, 100],
+      ["bcp-adjust-degrees", "Hue rotation in degrees", 30, 360],
+    ].forEach(([className, label, value, max]) => {
+      const input = document.createElement("input")
+      input.type = "number"
+      input.className = className
+      input.min = 1
+      input.max = max
+      input.step = 1
+      input.value = value
+      input.title = label
+      input.setAttribute("aria-label", label)
+      controls.appendChild(input)
+    })
+    controls.appendChild(
+      PickerUI._createSelect("bcp-adjust-space", "Adjustment color space", [
+        ["oklch", "OKLCH"],
+        ["hsl", "HSL"],
+      ]),
+    )
+    panel.appendChild(controls)
+
+    const buttons = document.createElement("div")
+    buttons.className = "bcp-adjust-buttons"
+    ADJUSTMENTS.forEach((operation) => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "bcp-adjust-btn"
+      button.dataset.operation = operation
+      button.textContent = ADJUSTMENT_LABELS[operation]
+      buttons.appendChild(button)
+    })
+    panel.appendChild(buttons)
+
+    const historyRow = document.createElement("div")
+    historyRow.className = "bcp-adjust-history-row"
+
+    const undo = document.createElement("button")
+    undo.type = "button"
+    undo.className = "bcp-adjust-undo"
+    undo.textContent = "Undo"
+    undo.disabled = true
+    historyRow.appendChild(undo)
+
+    // Filled by updateAdjustHistory()
+    const history = document.createElement("ol")
+    history.className = "bcp-adjust-history"
+    history.setAttribute("aria-label", "Adjustment history")
+    historyRow.appendChild(history)
+    panel.appendChild(historyRow)
+
+    return panel
+  }
+
+  /**
+   * List the adjustments made so far, oldest first. Existing entries are
+   * updated in place, so going back to a step from the keyboard keeps focus
+   * on it; only the dropped or new steps are removed or added.
+   * @param {HTMLElement} container - Picker container
+   * @param {Array<{label: string, color: string}>} history - Description
+   *   of each step and the color it produced
+   * @param {Function} onSelect - Called with the index of the clicked step
+   */
+  static updateAdjustHistory(container, history, onSelect) {
+    const list = container.querySelector(".bcp-adjust-history")
+
+    while (list.children.length > history.length) {
+      list.lastElementChild.remove()
+    }
+    while (list.children.length < history.length) {
+      const item = document.createElement("li")
+      const step = document.createElement("button")
+      step.type = "button"
+      step.className = "bcp-adjust-step"
+      step.dataset.index = list.children.length
+
+      const swatch = document.createElement("span")
+      swatch.className = "bcp-adjust-step-swatch"
+      step.appendChild(swatch)
+      step.appendChild(document.createTextNode(""))
+
+      step.addEventListener("click", () => onSelect(Number(step.dataset.index)))
+      item.appendChild(step)
+      list.appendChild(item)
+    }
+
+    history.forEach(({ label, color }, index) => {
+      const step = list.children[index].firstElementChild
+      step.title = `Go back to ${color}`
+      step.firstElementChild.style.backgroundColor = color
+      step.lastChild.textContent = label
+    })
+  }
+
+  /**
+   * Create a labelled select
+   * @param {string} className - Class name of the select
+   * @param {string} label - Accessible label
+   * @param {Array<[string, string]>} options - Value and text per option
+   * @returns {HTMLSelectElement}
+   */
+  static _createSelect(className, label, options) {
+    const select = document.createElement("select")
+    select.className = className
+    select.setAttribute("aria-label", label)
+    options.forEach(([value, text]) => {
+      const option = document.createElement("option")
+      option.value = value
+      option.textContent = text
+      select.appendChild(option)
+    })
+    return select
+  }
+
+  /**
+   * Fill the contrast panel's reference swatches: white, black, then the
+   * recent colors
+   * @param {HTMLElement} container - Picker container
+   * @param {string[]} recentColors - Recent colors
+   * @param {Function} onSelect - Called with the chosen color
+   */
+  static updateContrastReferences(container, recentColors, onSelect) {
+    const swatchContainer = container.querySelector(".bcp-contrast-swatches")
+    swatchContainer.textContent = ""
+
+    const colors = ["#ffffff", "#000000", ...(recentColors || [])]
+    new Set(colors).forEach((color) => {
+      const swatch = document.createElement("button")
+      swatch.type = "button"
+      swatch.className = "bcp-contrast-swatch"
+      swatch.style.backgroundColor = color
+      swatch.title = color
+      PickerUI._labelSwatch(swatch, color, "Compare against ")
+      swatch.addEventListener("click", () => onSelect(color))
+      swatchContainer.appendChild(swatch)
+    })
+  }
+
+  /**
+   * Name a color swatch for screen readers, e.g. "dark desaturated blue,
+   * #2a3b5c", since it only shows its color
+   * @param {HTMLElement} swatch - Swatch button
+   * @param {string} color - Any CSS color string
+   * @param {string} [prefix] - Text before the description, e.g. what
+   *   choosing the swatch does
+   */
+  static _labelSwatch(swatch, color, prefix = "") {
+    const parsed = Color.parse(color)
+    if (parsed) {
+      swatch.setAttribute(
+        "aria-label",
+        `${prefix}${describeColor(parsed.rgb)}, ${color}`,
+      )
+    }
+  }
+
+  /**
+   * Create a hidden container of numeric inputs for one color format
+   * @param {string} format - Format id, used for the CSS class names
+   * @param {Array<Object>} fields - Placeholder, accessible label, min, max,
+   *   step and value per input
+   * @returns {HTMLElement} Input container
+   */
+  static _createNumberInputs(format, fields) {
+    const inputContainer = document.createElement("div")
+    inputContainer.className = `bcp-input-container bcp-${format}-container bcp-hidden`
+
+    fields.forEach((field) => {
+      const input = document.createElement("input")
+      input.type = "number"
+      input.className = `bcp-color-input bcp-${format}-input`
+      input.placeholder = field.placeholder
+      input.setAttribute("aria-label", field.label)
+      input.min = String(field.min)
+      input.max = String(field.max)
+      if (field.step) {
+        input.step = String(field.step)
+      }
+      input.value = field.value
+      inputContainer.appendChild(input)
+    })
+
+    return inputContainer
+  }
+
+  /**
+   * Redraw the sRGB gamut boundary on the SL area for a Display P3 hue.
+   * Points above the line (brighter, for each saturation) are outside sRGB.
+   * @param {HTMLElement} container - Picker container
+   * @param {number} hue - Hue in degrees
+   */
+  static updateGamutBoundary(container, hue) {
+    const line = container.querySelector(".bcp-gamut-boundary polyline")
+    if (!line) {
+      return
+    }
+
+    const inSRGB = (s, v) => {
+      const p3 = hsvToUnitRGB(hue, s, v)
+      const srgb = p3ToSRGB(p3.r, p3.g, p3.b)
+      return isInUnitGamut(srgb.r, srgb.g, srgb.b)
+    }
+
+    const points = []
+    for (let s = 0; s <= 100; s += 2) {
+      // Brightness only scales the channels, so each column has a single
+      // crossing point that a binary search can find
+      let low = 0
+      let high = 100
+      if (inSRGB(s, high)) {
+        low = high
+      }
+      while (high - low > 0.1) {
+        const mid = (low + high) / 2
+        if (inSRGB(s, mid)) {
+          low = mid
+        } else {
+          high = mid
+        }
+      }
+      points.push(`${s},${(100 - low).toFixed(1)}`)
+    }
+
+    line.setAttribute("points", points.join(" "))
+  }
+
   static updateRecentColorsDisplay(container, recentColors, onColorClick) {
     const recentContainer = container.querySelector(".bcp-recent-colors")
 
@@ -264,8 +1562,10 @@ export class PickerUI {
     recentColors.forEach((color) => {
       const swatch = document.createElement("button")
       swatch.className = "bcp-color-swatch"
+      swatch.dataset.color = color
       swatch.style.backgroundColor = color
       swatch.title = color
+      PickerUI._labelSwatch(swatch, color)
       swatch.addEventListener("click", () => onColorClick(color))
       swatchContainer.appendChild(swatch)
     })
@@ -0,0 +1,409 @@
+/**
+ * Immutable color value shared by the picker modules. A Color keeps the
+ * coordinates it was created with, unrounded, and converts to other spaces
+ * on first access, so values are only rounded when they are displayed.
+ */
+
+import {
+  rgbToHSV,
+  hsvToUnitRGB,
+  hsvToHWB,
+  hwbToHSV,
+  rgbToHex,
+  rgbToHSL,
+  hslToUnitRGB,
+  rgbToCMYK,
+  srgbToLinear,
+  linearToSRGB,
+  linearRGBToOKLab,
+  oklabToLinearRGB,
+  oklabToOKLCH,
+  oklchToOKLab,
+  rgbToLab,
+  labToLCH,
+  lchToLab,
+  p3ToSRGB,
+  srgbToP3,
+  gamutMapToSRGB,
+  labToUnitSRGB,
+  ACHROMATIC,
+  parseCSSColor,
+  parseDisplayP3,
+  parseLabColor,
+  serializeColorFunction,
+} from "./ColorConversions.mjs"
+
+// Spaces whose hue is kept when a color in them has none (grays)
+export const HUE_SPACES = ["hsv", "hsl", "hwb", "display-p3-hsv"]
+
+const clip = (x) => Math.max(0, Math.min(1, x))
+
+function linearToUnitSRGB({ r, g, b }) {
+  return { r: linearToSRGB(r), g: linearToSRGB(g), b: linearToSRGB(b) }
+}
+
+// Gamma-encoded sRGB (0-1, unclipped) for the coordinates of each space
+const TO_SRGB = {
+  srgb: ({ r, g, b }) => ({ r: r / 255, g: g / 255, b: b / 255 }),
+  hsv: ({ h, s, v }) => hsvToUnitRGB(h, s, v),
+  hsl: ({ h, s, l }) => hslToUnitRGB(h, s, l),
+  hwb: ({ h, w, b }) => {
+    const hsv = hwbToHSV(h, w, b)
+    return hsvToUnitRGB(hsv.h, hsv.s, hsv.v)
+  },
+  cmyk: ({ c, m, y, k }) => {
+    const black = 1 - k / 100
+    return {
+      r: (1 - c / 100) * black,
+      g: (1 - m / 100) * black,
+      b: (1 - y / 100) * black,
+    }
+  },
+  oklch: ({ l, c, h }) => {
+    const lab = oklchToOKLab(l, c, h)
+    return linearToUnitSRGB(oklabToLinearRGB(lab.l, lab.a, lab.b))
+  },
+  lab: ({ l, a, b }) => labToUnitSRGB(l, a, b),
+  lch: ({ l, c, h }) => {
+    const lab = lchToLab(l, c, h)
+    return labToUnitSRGB(lab.l, lab.a, lab.b)
+  },
+  "display-p3": ({ r, g, b }) => p3ToSRGB(r, g, b),
+  "display-p3-hsv": ({ h, s, v }) => {
+    const p3 = hsvToUnitRGB(h, s, v)
+    return p3ToSRGB(p3.r, p3.g, p3.b)
+  },
+}
+
+export const COLOR_SPACES = Object.keys(TO_SRGB)
+
+export class Color {
+  /**
+   * @param {string} space - One of COLOR_SPACES: "srgb" (r, g, b in 0-255),
+   *   "hsv", "hsl", "hwb", "cmyk" (percentages, hue in degrees), "oklch"
+   *   (l in 0-1), "lab" and "lch" (D50, as in CSS), "display-p3" (r, g, b in
+   *   0-1) or "display-p3-hsv" (HSV of a Display P3 color)
+   * @param {Object<string, number>} coords - Channels of that space
+   * @param {number} alpha - Alpha in 0-1
+   */
+  constructor(space, coords, alpha = 1) {
+    if (!TO_SRGB[space]) {
+      throw new TypeError(`Unknown color space: ${space}`)
+    }
+
+    this.space = space
+    this.coords = Object.freeze({ ...coords })
+    this.alpha = Math.max(0, Math.min(1, alpha))
+    // Converted values, filled in on first access
+    this._cache = new Map()
+    Object.freeze(this)
+  }
+
+  /**
+   * Parse a CSS color string. color(display-p3 ...), lab(), lch(), oklab()
+   * and oklch() keep their own space, so colors outside sRGB are gamut mapped
+   * rather than clipped; everything else is read as sRGB.
+   * @param {string} value - CSS color string
+   * @returns {Color|null} Null if the string is not a valid color
+   */
+  static parse(value) {
+    if (
+      typeof value === "string" &&
+      /^color\(\s*display-p3\s/i.test(value.trim())
+    ) {
+      const p3 = parseDisplayP3(value)
+      return (
+        p3 && new Color("display-p3", { r: p3.r, g: p3.g, b: p3.b }, p3.alpha)
+      )
+    }
+
+    const lab = parseLabColor(value)
+    if (lab) {
+      return new Color(lab.space, lab.coords, lab.alpha)
+    }
+
+    const rgb = parseCSSColor(value)
+    return rgb && new Color("srgb", { r: rgb.r, g: rgb.g, b: rgb.b }, rgb.alpha)
+  }
+
+  _cached(key, compute) {
+    if (!this._cache.has(key)) {
+      this._cache.set(key, Object.freeze(compute()))
+    }
+    return this._cache.get(key)
+  }
+
+  /**
+   * Gamma-encoded sRGB in 0-1, outside that range for wide-gamut colors
+   * @returns {{r: number, g: number, b: number}}
+   */
+  get unitRGB() {
+    return this._cached("unitRGB", () => TO_SRGB[this.space](this.coords))
+  }
+
+  /**
+   * Gamma-encoded sRGB in 0-1, gamut mapped into sRGB
+   * @returns {{r: number, g: number, b: number}}
+   */
+  get mappedRGB() {
+    return this._cached("mappedRGB", () => {
+      const { r, g, b } = this.unitRGB
+      const mapped = gamutMapToSRGB(r, g, b)
+      return { r: clip(mapped.r), g: clip(mapped.g), b: clip(mapped.b) }
+    })
+  }
+
+  /**
+   * Gamut-mapped sRGB channels in 0-255, rounded
+   * @returns {{r: number, g: number, b: number}}
+   */
+  get rgb() {
+    return this._cached("rgb", () => {
+      const { r, g, b } = this.mappedRGB
+      return {
+        r: Math.round(r * 255),
+        g: Math.round(g * 255),
+        b: Math.round(b * 255),
+      }
+    })
+  }
+
+  /** @returns {string} #rrggbb, or #rrggbbaa when translucent */
+  get hex() {
+    return this._cached("hex", () => {
+      const { r, g, b } = this.rgb
+      return rgbToHex(r, g, b, this.alpha)
+    })
+  }
+
+  /** @returns {{h: number, s: number, v: number}} */
+  get hsv() {
+    return this._cached("hsv", () => {
+      if (this.space === "hsv") {
+        return this.coords
+      }
+      const { r, g, b } = this.mappedRGB
+      return this._keepHue(rgbToHSV(r * 255, g * 255, b * 255))
+    })
+  }
+
+  /** @returns {{h: number, s: number, l: number}} */
+  get hsl() {
+    return this._cached("hsl", () => {
+      if (this.space === "hsl") {
+        return this.coords
+      }
+      const { r, g, b } = this.mappedRGB
+      return this._keepHue(rgbToHSL(r * 255, g * 255, b * 255))
+    })
+  }
+
+  /** @returns {{h: number, w: number, b: number}} */
+  get hwb() {
+    return this._cached("hwb", () => {
+      if (this.space === "hwb") {
+        return this.coords
+      }
+      const { h, s, v } = this.hsv
+      return hsvToHWB(h, s, v)
+    })
+  }
+
+  /** @returns {{c: number, m: number, y: number, k: number}} */
+  get cmyk() {
+    return this._cached("cmyk", () => {
+      if (this.space === "cmyk") {
+        return this.coords
+      }
+      const { r, g, b } = this.mappedRGB
+      return rgbToCMYK(r * 255, g * 255, b * 255)
+    })
+  }
+
+  /**
+   * OKLCH of the color itself, without gamut mapping
+   * @returns {{l: number, c: number, h: number}}
+   */
+  get oklch() {
+    return this._cached("oklch", () => {
+      if (this.space === "oklch") {
+        return this.coords
+      }
+      const { r, g, b } = this.unitRGB
+      const lab = linearRGBToOKLab(
+        srgbToLinear(r),
+        srgbToLinear(g),
+        srgbToLinear(b),
+      )
+      return oklabToOKLCH(lab.l, lab.a, lab.b)
+    })
+  }
+
+  /**
+   * CIE Lab (D50) of the color itself, without gamut mapping
+   * @returns {{l: number, a: number, b: number}}
+   */
+  get lab() {
+    return this._cached("lab", () => {
+      if (this.space === "lab") {
+        return this.coords
+      }
+      if (this.space === "lch") {
+        const { l, c, h } = this.coords
+        return lchToLab(l, c, h)
+      }
+      const { r, g, b } = this.unitRGB
+      return rgbToLab(r * 255, g * 255, b * 255)
+    })
+  }
+
+  /**
+   * CIE LCH (D50) of the color itself, without gamut mapping
+   * @returns {{l: number, c: number, h: number}}
+   */
+  get lch() {
+    return this._cached("lch", () => {
+      if (this.space === "lch") {
+        return this.coords
+      }
+      const { l, a, b } = this.lab
+      return labToLCH(l, a, b)
+    })
+  }
+
+  /**
+   * Gamma-encoded Display P3 in 0-1, outside that range for colors beyond P3
+   * @returns {{r: number, g: number, b: number}}
+   */
+  get p3() {
+    return this._cached("p3", () => {
+      if (this.space === "display-p3") {
+        return this.coords
+      }
+      if (this.space === "display-p3-hsv") {
+        const { h, s, v } = this.coords
+        return hsvToUnitRGB(h, s, v)
+      }
+      const { r, g, b } = this.unitRGB
+      return srgbToP3(r, g, b)
+    })
+  }
+
+  /**
+   * Grays have no hue, so one converted to a hue-based space takes the hue
+   * of the color it was created from, when that space has one, or 0
+   */
+  _keepHue(color) {
+    if (color.s >= ACHROMATIC) {
+      return color
+    }
+    const h = HUE_SPACES.includes(this.space) ? this.coords.h : 0
+    return { ...color, h, s: 0 }
+  }
+
+  /**
+   * Convert to another space. sRGB-based spaces are gamut mapped and Display
+   * P3 is clipped, so the result always has valid coordinates.
+   * @param {string} space - One of COLOR_SPACES
+   * @returns {Color}
+   */
+  to(space) {
+    if (space === this.space) {
+      return this
+    }
+
+    let coords
+    if (space === "srgb") {
+      const { r, g, b } = this.mappedRGB
+      coords = { r: r * 255, g: g * 255, b: b * 255 }
+    } else if (space === "display-p3" || space === "display-p3-hsv") {
+      const p3 = this.p3
+      coords = { r: clip(p3.r), g: clip(p3.g), b: clip(p3.b) }
+      if (space === "display-p3-hsv") {
+        coords = this._keepHue(
+          rgbToHSV(coords.r * 255, coords.g * 255, coords.b * 255),
+        )
+      }
+    } else if (TO_SRGB[space]) {
+      coords = this[space]
+    } else {
+      throw new TypeError(`Unknown color space: ${space}`)
+    }
+
+    return new Color(space, coords, this.alpha)
+  }
+
+  /**
+   * Copy with some coordinates of this color's space replaced
+   * @param {Object<string, number>} changes - e.g. {h: 120}
+   * @returns {Color}
+   */
+  with(changes) {
+    return new Color(this.space, { ...this.coords, ...changes }, this.alpha)
+  }
+
+  /**
+   * @param {number} alpha - Alpha in 0-1
+   * @returns {Color}
+   */
+  withAlpha(alpha) {
+    return new Color(this.space, this.coords, alpha)
+  }
+
+  /**
+   * Whether two colors are the same, whatever spaces they were created in
+   * @param {Color} other
+   * @param {number} epsilon - Tolerance on sRGB channels (0-1) and alpha
+   * @returns {boolean}
+   */
+  equals(other, epsilon = 1e-6) {
+    if (!(other instanceof Color)) {
+      return false
+    }
+
+    const a = this.unitRGB
+    const b = other.unitRGB
+    return ["r", "g", "b"]
+      .map((channel) => a[channel] - b[channel])
+      .concat(this.alpha - other.alpha)
+      .every((difference) => Math.abs(difference) <= epsilon)
+  }
+
+  /**
+   * Serialize as CSS. Only "display-p3" keeps colors outside sRGB; the other
+   * formats are gamut mapped, and "srgb" uses the 8-bit channels of the hex
+   * value so both serializations agree.
+   * @param {string} format - "hex", "rgb", "hsl", "srgb" or "display-p3"
+   * @returns {string}
+   */
+  toString(format = "hex") {
+    const alphaPart = this.alpha < 1 ? ` / ${+this.alpha.toFixed(3)}` : ""
+
+    switch (format) {
+      case "hex":
+        return this.hex
+      case "rgb": {
+        const { r, g, b } = this.rgb
+        return `rgb(${r} ${g} ${b}${alphaPart})`
+      }
+      case "hsl": {
+        const { h, s, l } = this.hsl
+        return `hsl(${Math.round(h)} ${Math.round(s)}% ${Math.round(l)}%${alphaPart})`
+      }
+      case "srgb": {
+        const { r, g, b } = this.rgb
+        return serializeColorFunction(
+          "srgb",
+          [r / 255, g / 255, b / 255],
+          this.alpha,
+        )
+      }
+      case "display-p3": {
+        const { r, g, b } = this.p3
+        return serializeColorFunction("display-p3", [r, g, b], this.alpha)
+      }
+      default:
+        throw new TypeError(`Unknown color format: ${format}`)
+    }
+  }
+}
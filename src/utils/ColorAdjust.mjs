@@ -0,0 +1,80 @@
+/**
+ * Step adjustments like Sass's color functions (lighten, darken, saturate,
+ * desaturate, adjust-hue, complement, invert, grayscale), in OKLCH or HSL
+ */
+
+import { Color } from "./Color.mjs"
+
+export const ADJUSTMENTS = [
+  "lighten",
+  "darken",
+  "saturate",
+  "desaturate",
+  "rotate",
+  "complement",
+  "invert",
+  "grayscale",
+]
+
+export const ADJUST_SPACES = ["oklch", "hsl"]
+
+// OKLCH chroma that CSS treats as 100%
+const OKLCH_MAX_CHROMA = 0.4
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+const wrapHue = (h) => ((h % 360) + 360) % 360
+
+/**
+ * Adjust a color by one step. Lightness and saturation change by absolute
+ * percentage points like in Sass: HSL lightness and saturation, or OKLCH
+ * lightness and chroma (100% being 0.4, as in CSS).
+ * @param {Color} color - Color to adjust; alpha is kept
+ * @param {string} operation - One of ADJUSTMENTS
+ * @param {number} amount - Percentage points for lighten, darken, saturate
+ *   and desaturate, degrees for rotate; unused by the others
+ * @param {string} space - "oklch" (the default) or "hsl"
+ * @returns {Color} Adjusted color in the space used. Invert works on sRGB
+ *   channels like Sass and returns an sRGB color.
+ * @throws {TypeError} For unknown operations
+ */
+export function adjustColor(color, operation, amount = 0, space = "oklch") {
+  if (!ADJUSTMENTS.includes(operation)) {
+    throw new TypeError(`Unknown adjustment: ${operation}`)
+  }
+
+  if (operation === "invert") {
+    const { r, g, b } = color.mappedRGB
+    return new Color(
+      "srgb",
+      { r: (1 - r) * 255, g: (1 - g) * 255, b: (1 - b) * 255 },
+      color.alpha,
+    )
+  }
+
+  if (space === "hsl") {
+    const { h, s, l } = color.hsl
+    const adjusted = {
+      lighten: { l: clamp(l + amount, 0, 100) },
+      darken: { l: clamp(l - amount, 0, 100) },
+      saturate: { s: clamp(s + amount, 0, 100) },
+      desaturate: { s: clamp(s - amount, 0, 100) },
+      rotate: { h: wrapHue(h + amount) },
+      complement: { h: wrapHue(h + 180) },
+      grayscale: { s: 0 },
+    }[operation]
+    return new Color("hsl", { h, s, l, ...adjusted }, color.alpha)
+  }
+
+  const { l, c, h } = color.oklch
+  const chroma = (amount / 100) * OKLCH_MAX_CHROMA
+  const adjusted = {
+    lighten: { l: clamp(l + amount / 100, 0, 1) },
+    darken: { l: clamp(l - amount / 100, 0, 1) },
+    saturate: { c: Math.max(0, c + chroma) },
+    desaturate: { c: Math.max(0, c - chroma) },
+    rotate: { h: wrapHue(h + amount) },
+    complement: { h: wrapHue(h + 180) },
+    grayscale: { c: 0 },
+  }[operation]
+  return new Color("oklch", { l, c, h, ...adjusted }, color.alpha)
+}
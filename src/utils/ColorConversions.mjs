@@ -1,7 +1,12 @@
 /**
- * Color conversion utilities for RGB, HSV, and Hex formats
+ * Color conversion utilities for RGB, HSV, HSL, HWB, CMYK, OKLab/OKLCH, CIE
+ * XYZ/Lab/LCH, Display P3, and Hex formats and color temperatures, plus
+ * color-mix() interpolation and a parser for CSS color strings
  */
 
+import { NAMED_COLORS } from "./NamedColors.mjs"
+import { deltaEOK } from "./ColorDifference.mjs"
+
 export function hexToRGB(hex) {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
   return result
@@ -46,7 +51,11 @@ export function rgbToHSV(r, g, b) {
   return { h, s, v }
 }
 
-export function hsvToRGB(h, s, v) {
+/**
+ * Convert HSV to unrounded RGB channels in 0-1
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function hsvToUnitRGB(h, s, v) {
   s /= 100
   v /= 100
 
@@ -70,10 +79,16 @@ export function hsvToRGB(h, s, v) {
     ;[r, g, b] = [c, 0, x]
   }
 
+  return { r: r + m, g: g + m, b: b + m }
+}
+
+export function hsvToRGB(h, s, v) {
+  const rgb = hsvToUnitRGB(h, s, v)
+
   return {
-    r: Math.round((r + m) * 255),
-    g: Math.round((g + m) * 255),
-    b: Math.round((b + m) * 255),
+    r: Math.round(rgb.r * 255),
+    g: Math.round(rgb.g * 255),
+    b: Math.round(rgb.b * 255),
   }
 }
 
@@ -85,6 +100,41 @@ export function hsvToHex(hsv) {
   )
 }
 
+/**
+ * Convert HSV (HSB) to HWB. Whiteness and blackness are percentages.
+ * @returns {{h: number, w: number, b: number}}
+ */
+export function hsvToHWB(h, s, v) {
+  return { h, w: ((100 - s) * v) / 100, b: 100 - v }
+}
+
+/**
+ * Convert HWB to HSV (HSB). Whiteness and blackness adding up to 100% or
+ * more are scaled down proportionally and give a gray, as in CSS hwb().
+ * @returns {{h: number, s: number, v: number}}
+ */
+export function hwbToHSV(h, w, b) {
+  if (w + b >= 100) {
+    return { h, s: 0, v: (w / (w + b)) * 100 }
+  }
+
+  const v = 100 - b
+  return { h, s: (1 - w / v) * 100, v }
+}
+
+/**
+ * Serialize RGB (0-255) as hex, adding an alpha byte when not fully opaque
+ * @param {number} alpha - Alpha in 0-1
+ * @returns {string} #rrggbb or #rrggbbaa
+ */
+export function rgbToHex(r, g, b, alpha = 1) {
+  const bytes = [r, g, b]
+  if (alpha < 1) {
+    bytes.push(Math.round(Math.max(0, alpha) * 255))
+  }
+  return "#" + bytes.map((x) => x.toString(16).padStart(2, "0")).join("")
+}
+
 export function rgbToHSL(r, g, b) {
   r /= 255
   g /= 255
@@ -115,7 +165,11 @@ export function rgbToHSL(r, g, b) {
   return { h, s: s * 100, l: l * 100 }
 }
 
-export function hslToRGB(h, s, l) {
+/**
+ * Convert HSL to unrounded RGB channels in 0-1
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function hslToUnitRGB(h, s, l) {
   s /= 100
   l /= 100
 
@@ -139,10 +193,16 @@ export function hslToRGB(h, s, l) {
     ;[r, g, b] = [c, 0, x]
   }
 
+  return { r: r + m, g: g + m, b: b + m }
+}
+
+export function hslToRGB(h, s, l) {
+  const rgb = hslToUnitRGB(h, s, l)
+
   return {
-    r: Math.round((r + m) * 255),
-    g: Math.round((g + m) * 255),
-    b: Math.round((b + m) * 255),
+    r: Math.round(rgb.r * 255),
+    g: Math.round(rgb.g * 255),
+    b: Math.round(rgb.b * 255),
   }
 }
 
@@ -158,3 +218,1186 @@ export function hslToHex(hsl) {
     [rgb.r, rgb.g, rgb.b].map((x) => x.toString(16).padStart(2, "0")).join("")
   )
 }
+
+/**
+ * Convert RGB to device-independent CMYK percentages.
+ * The naive conversion (ucr = 0) inverts each channel and prints no black.
+ * Under-color removal replaces that fraction of the gray shared by C, M and
+ * Y with black ink; ucr = 1 gives the usual K = 1 - max(R, G, B) formula.
+ * @param {number} ucr - Fraction of under-color removal, 0-1
+ * @returns {{c: number, m: number, y: number, k: number}} Values in 0-100
+ */
+export function rgbToCMYK(r, g, b, ucr = 1) {
+  const cmy = [1 - r / 255, 1 - g / 255, 1 - b / 255]
+  const k = Math.min(...cmy) * ucr
+
+  // Pure black has no ink left to rescale
+  const [c, m, y] = cmy.map((x) => (k < 1 ? (x - k) / (1 - k) : 0))
+
+  return { c: c * 100, m: m * 100, y: y * 100, k: k * 100 }
+}
+
+/**
+ * Convert CMYK percentages to RGB. Inverts rgbToCMYK for any amount of
+ * under-color removal.
+ * @returns {{r: number, g: number, b: number}} Channels in 0-255
+ */
+export function cmykToRGB(c, m, y, k) {
+  const black = 1 - k / 100
+  return {
+    r: Math.round(255 * (1 - c / 100) * black),
+    g: Math.round(255 * (1 - m / 100) * black),
+    b: Math.round(255 * (1 - y / 100) * black),
+  }
+}
+
+export const KELVIN_RANGE = { min: 1000, max: 40000 }
+
+/**
+ * Convert a color temperature to RGB with Tanner Helland's fit to Mitchell
+ * Charity's blackbody data, which covers 1000K-40000K. 6600K is white.
+ * @param {number} kelvin - Temperature, clamped to KELVIN_RANGE
+ * @returns {{r: number, g: number, b: number}} Channels in 0-255
+ */
+export function kelvinToRGB(kelvin) {
+  const temp =
+    Math.max(KELVIN_RANGE.min, Math.min(KELVIN_RANGE.max, kelvin)) / 100
+  const toByte = (x) => Math.round(Math.max(0, Math.min(255, x)))
+
+  const r =
+    temp <= 66 ? 255 : 329.698727446 * Math.pow(temp - 60, -0.1332047592)
+  const g =
+    temp <= 66
+      ? 99.4708025861 * Math.log(temp) - 161.1195681661
+      : 288.1221695283 * Math.pow(temp - 60, -0.0755148492)
+  let b = 255
+  if (temp <= 19) {
+    b = 0
+  } else if (temp < 66) {
+    b = 138.5177312231 * Math.log(temp - 10) - 305.0447927307
+  }
+
+  return { r: toByte(r), g: toByte(g), b: toByte(b) }
+}
+
+/**
+ * Convert a gamma-encoded sRGB channel (0-1) to linear light
+ * @param {number} c - Encoded channel value
+ * @returns {number} Linear channel value
+ */
+export function srgbToLinear(c) {
+  const abs = Math.abs(c)
+  if (abs <= 0.04045) {
+    return c / 12.92
+  }
+  return Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4)
+}
+
+/**
+ * Convert a linear-light channel (0-1) back to gamma-encoded sRGB
+ * @param {number} c - Linear channel value
+ * @returns {number} Encoded channel value
+ */
+export function linearToSRGB(c) {
+  const abs = Math.abs(c)
+  if (abs <= 0.0031308) {
+    return c * 12.92
+  }
+  return Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055)
+}
+
+/**
+ * Convert linear sRGB (0-1) to OKLab
+ * @returns {{l: number, a: number, b: number}} L in 0-1
+ */
+export function linearRGBToOKLab(r, g, b) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b)
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b)
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b)
+
+  return {
+    l: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  }
+}
+
+/**
+ * Convert OKLab to linear sRGB (0-1, unclamped)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function oklabToLinearRGB(l, a, b) {
+  const l_ = l + 0.3963377774 * a + 0.2158037573 * b
+  const m_ = l - 0.1055613458 * a - 0.0638541728 * b
+  const s_ = l - 0.0894841775 * a - 1.291485548 * b
+
+  const l3 = l_ * l_ * l_
+  const m3 = m_ * m_ * m_
+  const s3 = s_ * s_ * s_
+
+  return {
+    r: 4.0767416621 * l3 - 3.3077115913 * m3 + 0.2309699292 * s3,
+    g: -1.2684380046 * l3 + 2.6097574011 * m3 - 0.3413193965 * s3,
+    b: -0.0041960863 * l3 - 0.7034186147 * m3 + 1.707614701 * s3,
+  }
+}
+
+export function rgbToOKLab(r, g, b) {
+  return linearRGBToOKLab(
+    srgbToLinear(r / 255),
+    srgbToLinear(g / 255),
+    srgbToLinear(b / 255),
+  )
+}
+
+export function oklabToRGB(l, a, b) {
+  const linear = oklabToLinearRGB(l, a, b)
+  const toByte = (c) =>
+    Math.round(Math.max(0, Math.min(1, linearToSRGB(c))) * 255)
+
+  return {
+    r: toByte(linear.r),
+    g: toByte(linear.g),
+    b: toByte(linear.b),
+  }
+}
+
+export function oklabToOKLCH(l, a, b) {
+  const c = Math.sqrt(a * a + b * b)
+  let h = c < 1e-7 ? 0 : (Math.atan2(b, a) * 180) / Math.PI
+
+  if (h < 0) h += 360
+
+  return { l, c, h }
+}
+
+export function oklchToOKLab(l, c, h) {
+  const rad = (h * Math.PI) / 180
+  return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) }
+}
+
+export function rgbToOKLCH(r, g, b) {
+  const lab = rgbToOKLab(r, g, b)
+  return oklabToOKLCH(lab.l, lab.a, lab.b)
+}
+
+export function oklchToRGB(l, c, h) {
+  const lab = oklchToOKLab(l, c, h)
+  return oklabToRGB(lab.l, lab.a, lab.b)
+}
+
+/**
+ * Convert OKLCH to sRGB, gamut mapping colors that fall outside sRGB
+ * instead of clipping them
+ * @returns {{r: number, g: number, b: number}} Channels in 0-255
+ */
+export function oklchToGamutMappedRGB(l, c, h) {
+  const lab = oklchToOKLab(l, c, h)
+  const linear = oklabToLinearRGB(lab.l, lab.a, lab.b)
+  const mapped = gamutMapToSRGB(
+    linearToSRGB(linear.r),
+    linearToSRGB(linear.g),
+    linearToSRGB(linear.b),
+  )
+
+  return {
+    r: Math.round(mapped.r * 255),
+    g: Math.round(mapped.g * 255),
+    b: Math.round(mapped.b * 255),
+  }
+}
+
+/**
+ * Reference white points as XYZ tristimulus values (Y = 1), using the
+ * chromaticities from CSS Color 4
+ */
+export const WHITE_POINTS = {
+  D50: { x: 0.3457 / 0.3585, y: 1, z: (1 - 0.3457 - 0.3585) / 0.3585 },
+  D65: { x: 0.3127 / 0.329, y: 1, z: (1 - 0.3127 - 0.329) / 0.329 },
+}
+
+// Bradford cone response matrix and its inverse
+const BRADFORD = [
+  [0.8951, 0.2664, -0.1614],
+  [-0.7502, 1.7135, 0.0367],
+  [0.0389, -0.0685, 1.0296],
+]
+const BRADFORD_INVERSE = [
+  [0.9869929054667121, -0.14705425642099013, 0.15996265166373122],
+  [0.4323052697233945, 0.5183602715367774, 0.049291228212855594],
+  [-0.00852866457517732, 0.04004282165408486, 0.96848669578755],
+]
+
+function multiplyMatrix(m, [x, y, z]) {
+  return [
+    m[0][0] * x + m[0][1] * y + m[0][2] * z,
+    m[1][0] * x + m[1][1] * y + m[1][2] * z,
+    m[2][0] * x + m[2][1] * y + m[2][2] * z,
+  ]
+}
+
+/**
+ * Convert linear sRGB (0-1) to CIE XYZ relative to D65
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function linearRGBToXYZ(r, g, b) {
+  const [x, y, z] = multiplyMatrix(
+    [
+      [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+      [87098 / 409605, 175762 / 245763, 12673 / 175545],
+      [7918 / 409605, 87881 / 737289, 1001167 / 1053270],
+    ],
+    [r, g, b],
+  )
+  return { x, y, z }
+}
+
+/**
+ * Convert CIE XYZ relative to D65 to linear sRGB (0-1, unclamped)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function xyzToLinearRGB(x, y, z) {
+  const [r, g, b] = multiplyMatrix(
+    [
+      [12831 / 3959, -329 / 214, -1974 / 3959],
+      [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+      [705 / 12673, -2585 / 12673, 705 / 667],
+    ],
+    [x, y, z],
+  )
+  return { r, g, b }
+}
+
+export function rgbToXYZ(r, g, b) {
+  return linearRGBToXYZ(
+    srgbToLinear(r / 255),
+    srgbToLinear(g / 255),
+    srgbToLinear(b / 255),
+  )
+}
+
+export function xyzToRGB(x, y, z) {
+  const linear = xyzToLinearRGB(x, y, z)
+  const toByte = (c) =>
+    Math.round(Math.max(0, Math.min(1, linearToSRGB(c))) * 255)
+
+  return {
+    r: toByte(linear.r),
+    g: toByte(linear.g),
+    b: toByte(linear.b),
+  }
+}
+
+/**
+ * Chromatically adapt XYZ from one white point to another (Bradford)
+ * @param {{x: number, y: number, z: number}} xyz - Color relative to `from`
+ * @param {{x: number, y: number, z: number}} from - Source white point
+ * @param {{x: number, y: number, z: number}} to - Destination white point
+ * @returns {{x: number, y: number, z: number}} Color relative to `to`
+ */
+export function adaptXYZ(xyz, from, to) {
+  if (from === to) {
+    return { ...xyz }
+  }
+
+  const source = multiplyMatrix(BRADFORD, [from.x, from.y, from.z])
+  const destination = multiplyMatrix(BRADFORD, [to.x, to.y, to.z])
+  const cone = multiplyMatrix(BRADFORD, [xyz.x, xyz.y, xyz.z])
+  const [x, y, z] = multiplyMatrix(
+    BRADFORD_INVERSE,
+    cone.map((c, i) => (c * destination[i]) / source[i]),
+  )
+
+  return { x, y, z }
+}
+
+// CIE constants for the Lab companding function
+const LAB_EPSILON = 216 / 24389
+const LAB_KAPPA = 24389 / 27
+
+/**
+ * Convert CIE XYZ to CIE Lab
+ * @param {{x: number, y: number, z: number}} whitePoint - White the XYZ is relative to
+ * @returns {{l: number, a: number, b: number}} L in 0-100
+ */
+export function xyzToLab(x, y, z, whitePoint = WHITE_POINTS.D50) {
+  const f = (t) => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116)
+
+  const fx = f(x / whitePoint.x)
+  const fy = f(y / whitePoint.y)
+  const fz = f(z / whitePoint.z)
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz),
+  }
+}
+
+/**
+ * Convert CIE Lab to CIE XYZ
+ * @param {{x: number, y: number, z: number}} whitePoint - White the Lab is relative to
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function labToXYZ(l, a, b, whitePoint = WHITE_POINTS.D50) {
+  const fy = (l + 16) / 116
+  const fx = fy + a / 500
+  const fz = fy - b / 200
+
+  const x = fx ** 3 > LAB_EPSILON ? fx ** 3 : (116 * fx - 16) / LAB_KAPPA
+  const y = l > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : l / LAB_KAPPA
+  const z = fz ** 3 > LAB_EPSILON ? fz ** 3 : (116 * fz - 16) / LAB_KAPPA
+
+  return {
+    x: x * whitePoint.x,
+    y: y * whitePoint.y,
+    z: z * whitePoint.z,
+  }
+}
+
+/**
+ * Convert RGB (0-255) to CIE Lab. CSS `lab()` uses the D50 default.
+ * @param {{x: number, y: number, z: number}} whitePoint - Lab reference white
+ */
+export function rgbToLab(r, g, b, whitePoint = WHITE_POINTS.D50) {
+  const xyz = adaptXYZ(rgbToXYZ(r, g, b), WHITE_POINTS.D65, whitePoint)
+  return xyzToLab(xyz.x, xyz.y, xyz.z, whitePoint)
+}
+
+export function labToRGB(l, a, b, whitePoint = WHITE_POINTS.D50) {
+  const xyz = adaptXYZ(
+    labToXYZ(l, a, b, whitePoint),
+    whitePoint,
+    WHITE_POINTS.D65,
+  )
+  return xyzToRGB(xyz.x, xyz.y, xyz.z)
+}
+
+/**
+ * Convert CSS (D50) Lab to gamma-encoded sRGB without rounding or clipping
+ * @returns {{r: number, g: number, b: number}} Channels in 0-1, outside
+ *   that range for colors outside sRGB
+ */
+export function labToUnitSRGB(l, a, b) {
+  const xyz = adaptXYZ(labToXYZ(l, a, b), WHITE_POINTS.D50, WHITE_POINTS.D65)
+  const linear = xyzToLinearRGB(xyz.x, xyz.y, xyz.z)
+  return {
+    r: linearToSRGB(linear.r),
+    g: linearToSRGB(linear.g),
+    b: linearToSRGB(linear.b),
+  }
+}
+
+export function labToLCH(l, a, b) {
+  const c = Math.sqrt(a * a + b * b)
+  let h = c < 1e-4 ? 0 : (Math.atan2(b, a) * 180) / Math.PI
+
+  if (h < 0) h += 360
+
+  return { l, c, h }
+}
+
+export function lchToLab(l, c, h) {
+  const rad = (h * Math.PI) / 180
+  return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) }
+}
+
+export function rgbToLCH(r, g, b, whitePoint = WHITE_POINTS.D50) {
+  const lab = rgbToLab(r, g, b, whitePoint)
+  return labToLCH(lab.l, lab.a, lab.b)
+}
+
+export function lchToRGB(l, c, h, whitePoint = WHITE_POINTS.D50) {
+  const lab = lchToLab(l, c, h)
+  return labToRGB(lab.l, lab.a, lab.b, whitePoint)
+}
+
+/**
+ * Convert linear Display P3 (0-1) to CIE XYZ relative to D65
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function linearP3ToXYZ(r, g, b) {
+  const [x, y, z] = multiplyMatrix(
+    [
+      [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+      [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+      [0, 32229 / 714400, 5220557 / 5000800],
+    ],
+    [r, g, b],
+  )
+  return { x, y, z }
+}
+
+/**
+ * Convert CIE XYZ relative to D65 to linear Display P3 (0-1, unclamped)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function xyzToLinearP3(x, y, z) {
+  const [r, g, b] = multiplyMatrix(
+    [
+      [446124 / 178915, -333277 / 357830, -72051 / 178915],
+      [-14852 / 17905, 63121 / 35810, 423 / 17905],
+      [11844 / 330415, -50337 / 660830, 316169 / 330415],
+    ],
+    [x, y, z],
+  )
+  return { r, g, b }
+}
+
+/**
+ * Convert gamma-encoded Display P3 (0-1) to gamma-encoded sRGB (0-1).
+ * Wide-gamut colors come out below 0 or above 1.
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function p3ToSRGB(r, g, b) {
+  const xyz = linearP3ToXYZ(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b))
+  const linear = xyzToLinearRGB(xyz.x, xyz.y, xyz.z)
+  return {
+    r: linearToSRGB(linear.r),
+    g: linearToSRGB(linear.g),
+    b: linearToSRGB(linear.b),
+  }
+}
+
+/**
+ * Convert gamma-encoded sRGB (0-1) to gamma-encoded Display P3 (0-1)
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function srgbToP3(r, g, b) {
+  const xyz = linearRGBToXYZ(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b))
+  const linear = xyzToLinearP3(xyz.x, xyz.y, xyz.z)
+  return {
+    r: linearToSRGB(linear.r),
+    g: linearToSRGB(linear.g),
+    b: linearToSRGB(linear.b),
+  }
+}
+
+/**
+ * Whether gamma-encoded channels (0-1) fit in the gamut, with a small
+ * tolerance for rounding error
+ */
+export function isInUnitGamut(r, g, b, epsilon = 0.0001) {
+  return [r, g, b].every((c) => c >= -epsilon && c <= 1 + epsilon)
+}
+
+/**
+ * Bring a gamma-encoded sRGB color (0-1, possibly out of range) into the
+ * sRGB gamut with the CSS Color 4 algorithm: reduce OKLCH chroma until
+ * clipping the result is no longer noticeable (deltaEOK below 0.02).
+ * @returns {{r: number, g: number, b: number}} In-gamut channels in 0-1
+ */
+export function gamutMapToSRGB(r, g, b) {
+  const clip = (rgb) => ({
+    r: Math.max(0, Math.min(1, rgb.r)),
+    g: Math.max(0, Math.min(1, rgb.g)),
+    b: Math.max(0, Math.min(1, rgb.b)),
+  })
+  const toOKLab = (rgb) =>
+    linearRGBToOKLab(
+      srgbToLinear(rgb.r),
+      srgbToLinear(rgb.g),
+      srgbToLinear(rgb.b),
+    )
+  const fromOKLCH = (l, c, h) => {
+    const lab = oklchToOKLab(l, c, h)
+    const linear = oklabToLinearRGB(lab.l, lab.a, lab.b)
+    return {
+      r: linearToSRGB(linear.r),
+      g: linearToSRGB(linear.g),
+      b: linearToSRGB(linear.b),
+    }
+  }
+
+  const JND = 0.02
+  const EPSILON = 0.0001
+  const origin = { r, g, b }
+
+  if (isInUnitGamut(r, g, b, 0)) {
+    return origin
+  }
+
+  const lab = toOKLab(origin)
+  const lch = oklabToOKLCH(lab.l, lab.a, lab.b)
+  if (lch.l >= 1) {
+    return { r: 1, g: 1, b: 1 }
+  }
+  if (lch.l <= 0) {
+    return { r: 0, g: 0, b: 0 }
+  }
+
+  let clipped = clip(origin)
+  if (deltaEOK(toOKLab(clipped), lab) < JND) {
+    return clipped
+  }
+
+  let min = 0
+  let max = lch.c
+  let minInGamut = true
+
+  while (max - min > EPSILON) {
+    const chroma = (min + max) / 2
+    const current = fromOKLCH(lch.l, chroma, lch.h)
+
+    if (minInGamut && isInUnitGamut(current.r, current.g, current.b, 0)) {
+      min = chroma
+      continue
+    }
+
+    clipped = clip(current)
+    const E = deltaEOK(toOKLab(clipped), toOKLab(current))
+    if (E < JND) {
+      if (JND - E < EPSILON) {
+        return clipped
+      }
+      minInGamut = false
+      min = chroma
+    } else {
+      max = chroma
+    }
+  }
+
+  return clipped
+}
+
+// Mixing colors, as CSS color-mix() does
+
+function unitSRGBToOKLab({ r, g, b }) {
+  return linearRGBToOKLab(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b))
+}
+
+// Below this chroma or saturation (percent) a hue is powerless: the color
+// is gray. Display P3 and Lab round trips leave grays with a tiny one.
+export const ACHROMATIC = 1e-4
+
+// Interpolation spaces: channels of a gamma-encoded sRGB color (0-1) in the
+// space and the way back. Polar spaces give the index of their hue and when
+// that hue is powerless.
+const INTERPOLATION_SPACES = {
+  srgb: {
+    from: ({ r, g, b }) => [r, g, b],
+    to: ([r, g, b]) => ({ r, g, b }),
+  },
+  "srgb-linear": {
+    from: ({ r, g, b }) => [r, g, b].map(srgbToLinear),
+    to: (channels) => {
+      const [r, g, b] = channels.map(linearToSRGB)
+      return { r, g, b }
+    },
+  },
+  hsl: {
+    from: ({ r, g, b }) => {
+      const { h, s, l } = rgbToHSL(r * 255, g * 255, b * 255)
+      return [h, s, l]
+    },
+    to: ([h, s, l]) => hslToUnitRGB(h, s, l),
+    hue: 0,
+    powerless: ([, s, l]) =>
+      s < ACHROMATIC || l < ACHROMATIC || l > 100 - ACHROMATIC,
+  },
+  hwb: {
+    from: ({ r, g, b }) => {
+      const hsv = rgbToHSV(r * 255, g * 255, b * 255)
+      const hwb = hsvToHWB(hsv.h, hsv.s, hsv.v)
+      return [hwb.h, hwb.w, hwb.b]
+    },
+    to: ([h, w, b]) => {
+      const hsv = hwbToHSV(h, w, b)
+      return hsvToUnitRGB(hsv.h, hsv.s, hsv.v)
+    },
+    hue: 0,
+    powerless: ([, w, b]) => w + b > 100 - ACHROMATIC,
+  },
+  lab: {
+    from: ({ r, g, b }) => {
+      const lab = rgbToLab(r * 255, g * 255, b * 255)
+      return [lab.l, lab.a, lab.b]
+    },
+    to: ([l, a, b]) => labToUnitSRGB(l, a, b),
+  },
+  lch: {
+    from: ({ r, g, b }) => {
+      const lch = rgbToLCH(r * 255, g * 255, b * 255)
+      return [lch.l, lch.c, lch.h]
+    },
+    to: ([l, c, h]) => {
+      const lab = lchToLab(l, c, h)
+      return labToUnitSRGB(lab.l, lab.a, lab.b)
+    },
+    hue: 2,
+    powerless: ([, c]) => c < ACHROMATIC,
+  },
+  oklab: {
+    from: (rgb) => {
+      const lab = unitSRGBToOKLab(rgb)
+      return [lab.l, lab.a, lab.b]
+    },
+    to: ([l, a, b]) => {
+      const linear = oklabToLinearRGB(l, a, b)
+      return {
+        r: linearToSRGB(linear.r),
+        g: linearToSRGB(linear.g),
+        b: linearToSRGB(linear.b),
+      }
+    },
+  },
+  oklch: {
+    from: (rgb) => {
+      const lab = unitSRGBToOKLab(rgb)
+      const lch = oklabToOKLCH(lab.l, lab.a, lab.b)
+      return [lch.l, lch.c, lch.h]
+    },
+    to: ([l, c, h]) => {
+      const lab = oklchToOKLab(l, c, h)
+      return INTERPOLATION_SPACES.oklab.to([lab.l, lab.a, lab.b])
+    },
+    hue: 2,
+    powerless: ([, c]) => c < ACHROMATIC,
+  },
+}
+
+export const MIX_SPACES = Object.keys(INTERPOLATION_SPACES)
+
+// Spaces with a hue, where the hue interpolation method applies
+export const POLAR_MIX_SPACES = MIX_SPACES.filter(
+  (space) => INTERPOLATION_SPACES[space].hue !== undefined,
+)
+
+export const HUE_METHODS = ["shorter", "longer", "increasing", "decreasing"]
+
+/**
+ * Fix up two hues (0-360) so that interpolating between them goes the way
+ * the CSS hue interpolation method asks for
+ * @returns {number[]} Both hues, one of them possibly plus 360
+ */
+function adjustHues(h1, h2, method) {
+  const delta = h2 - h1
+
+  switch (method) {
+    case "longer":
+      if (delta > 0 && delta < 180) {
+        h1 += 360
+      } else if (delta > -180 && delta <= 0) {
+        h2 += 360
+      }
+      break
+    case "increasing":
+      if (delta < 0) {
+        h2 += 360
+      }
+      break
+    case "decreasing":
+      if (delta > 0) {
+        h1 += 360
+      }
+      break
+    default:
+      if (delta > 180) {
+        h1 += 360
+      } else if (delta < -180) {
+        h2 += 360
+      }
+  }
+
+  return [h1, h2]
+}
+
+/**
+ * Mix two colors like CSS color-mix(): interpolate in the given space with
+ * premultiplied alpha, taking an achromatic color's hue from the other
+ * color, and gamut map the result into sRGB
+ * @param {{r: number, g: number, b: number, alpha?: number}} color1 - 0-255
+ * @param {{r: number, g: number, b: number, alpha?: number}} color2 - 0-255
+ * @param {number} amount - Share of color2, 0-1
+ * @param {string} space - One of MIX_SPACES; unknown spaces use oklab
+ * @param {string} hueMethod - One of HUE_METHODS, for polar spaces
+ * @returns {{r: number, g: number, b: number, alpha: number}} Channels in
+ *   0-255 and alpha in 0-1
+ */
+export function mixColors(
+  color1,
+  color2,
+  amount = 0.5,
+  space = "oklab",
+  hueMethod = "shorter",
+) {
+  const definition = INTERPOLATION_SPACES[space] || INTERPOLATION_SPACES.oklab
+  const { hue } = definition
+  const t = Math.max(0, Math.min(1, amount))
+  const toChannels = ({ r, g, b }) =>
+    definition.from({ r: r / 255, g: g / 255, b: b / 255 })
+
+  const channels1 = toChannels(color1)
+  const channels2 = toChannels(color2)
+  const alpha1 = color1.alpha ?? 1
+  const alpha2 = color2.alpha ?? 1
+  const alpha = alpha1 + (alpha2 - alpha1) * t
+
+  if (hue !== undefined) {
+    const missing1 = definition.powerless(channels1)
+    const missing2 = definition.powerless(channels2)
+    if (missing1 && !missing2) {
+      channels1[hue] = channels2[hue]
+    } else if (missing2 && !missing1) {
+      channels2[hue] = channels1[hue]
+    }
+    ;[channels1[hue], channels2[hue]] = adjustHues(
+      channels1[hue],
+      channels2[hue],
+      hueMethod,
+    )
+  }
+
+  const mixed = channels1.map((c1, i) => {
+    const c2 = channels2[i]
+    if (i === hue) {
+      return (((c1 + (c2 - c1) * t) % 360) + 360) % 360
+    }
+    // Fully transparent colors have nothing to premultiply
+    if (alpha === 0) {
+      return c1 + (c2 - c1) * t
+    }
+    return (c1 * alpha1 + (c2 * alpha2 - c1 * alpha1) * t) / alpha
+  })
+
+  const rgb = definition.to(mixed)
+  const mapped = gamutMapToSRGB(rgb.r, rgb.g, rgb.b)
+  const toByte = (c) => Math.round(Math.max(0, Math.min(1, c)) * 255)
+
+  return {
+    r: toByte(mapped.r),
+    g: toByte(mapped.g),
+    b: toByte(mapped.b),
+    alpha,
+  }
+}
+
+// Parsing CSS color strings
+
+const HUE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 }
+
+/**
+ * Parse a number or percentage component. `percentScale` is the value 100%
+ * maps to; it is null when percentages are not allowed.
+ */
+function parseComponent(token, percentScale) {
+  if (token === "none") {
+    return 0
+  }
+
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/i.exec(token)
+  if (!match) {
+    return null
+  }
+
+  const value = parseFloat(match[1])
+  if (match[2]) {
+    return percentScale === null ? null : (value / 100) * percentScale
+  }
+  return value
+}
+
+function parseHue(token) {
+  if (token === "none") {
+    return 0
+  }
+
+  const match =
+    /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/i.exec(
+      token,
+    )
+  if (!match) {
+    return null
+  }
+
+  const degrees =
+    parseFloat(match[1]) * HUE_UNITS[(match[2] || "deg").toLowerCase()]
+  return ((degrees % 360) + 360) % 360
+}
+
+function parseAlpha(token) {
+  if (token === undefined) {
+    return 1
+  }
+  const alpha = parseComponent(token, 1)
+  return alpha === null ? null : Math.max(0, Math.min(1, alpha))
+}
+
+function clampRGBA(r, g, b, alpha) {
+  const toByte = (c) => Math.round(Math.max(0, Math.min(255, c)))
+  return { r: toByte(r), g: toByte(g), b: toByte(b), alpha }
+}
+
+function parseHexColor(hex) {
+  if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+    return null
+  }
+
+  // Expand the short forms (#RGB, #RGBA) to one byte per channel
+  const digits =
+    hex.length <= 4
+      ? hex
+          .split("")
+          .map((d) => d + d)
+          .join("")
+      : hex
+  const bytes = digits.match(/../g).map((pair) => parseInt(pair, 16))
+
+  return {
+    r: bytes[0],
+    g: bytes[1],
+    b: bytes[2],
+    alpha: bytes.length === 4 ? bytes[3] / 255 : 1,
+  }
+}
+
+/**
+ * Split the arguments of a color function into its three channels and an
+ * optional alpha, for both the legacy comma syntax and the modern space
+ * syntax. Returns null for malformed argument lists.
+ */
+function splitArguments(args, allowLegacy) {
+  if (args.includes(",")) {
+    if (!allowLegacy || args.includes("/")) {
+      return null
+    }
+    const parts = args.split(",").map((part) => part.trim())
+    if (parts.length < 3 || parts.length > 4 || parts.includes("none")) {
+      return null
+    }
+    return { channels: parts.slice(0, 3), alpha: parts[3], legacy: true }
+  }
+
+  const [channelPart, alphaPart, ...rest] = args.split("/")
+  const channels = channelPart.trim().split(/\s+/)
+  if (rest.length > 0 || channels.length !== 3) {
+    return null
+  }
+
+  let alpha
+  if (alphaPart !== undefined) {
+    alpha = alphaPart.trim()
+    if (!alpha || /\s/.test(alpha)) {
+      return null
+    }
+  }
+
+  return { channels, alpha, legacy: false }
+}
+
+// lab(), lch(), oklab() and oklch() as converters from channel tokens to the
+// coordinates of the space they are written in. oklab() is read as OKLCH,
+// the space the picker has for it.
+const LAB_FUNCTIONS = {
+  lab(channels) {
+    const l = parseComponent(channels[0], 100)
+    const a = parseComponent(channels[1], 125)
+    const b = parseComponent(channels[2], 125)
+    if (l === null || a === null || b === null) {
+      return null
+    }
+    return { space: "lab", coords: { l: Math.max(0, Math.min(100, l)), a, b } }
+  },
+
+  lch(channels) {
+    const l = parseComponent(channels[0], 100)
+    const c = parseComponent(channels[1], 150)
+    const h = parseHue(channels[2])
+    if (l === null || c === null || h === null) {
+      return null
+    }
+    return {
+      space: "lch",
+      coords: { l: Math.max(0, Math.min(100, l)), c: Math.max(0, c), h },
+    }
+  },
+
+  oklab(channels) {
+    const l = parseComponent(channels[0], 1)
+    const a = parseComponent(channels[1], 0.4)
+    const b = parseComponent(channels[2], 0.4)
+    if (l === null || a === null || b === null) {
+      return null
+    }
+    return {
+      space: "oklch",
+      coords: oklabToOKLCH(Math.max(0, Math.min(1, l)), a, b),
+    }
+  },
+
+  oklch(channels) {
+    const l = parseComponent(channels[0], 1)
+    const c = parseComponent(channels[1], 0.4)
+    const h = parseHue(channels[2])
+    if (l === null || c === null || h === null) {
+      return null
+    }
+    return {
+      space: "oklch",
+      coords: { l: Math.max(0, Math.min(1, l)), c: Math.max(0, c), h },
+    }
+  },
+}
+
+// Gamma-encoded sRGB (0-1, unclipped) for the coordinates LAB_FUNCTIONS return
+const LAB_SPACES_TO_UNIT_SRGB = {
+  lab: ({ l, a, b }) => labToUnitSRGB(l, a, b),
+  lch: ({ l, c, h }) => {
+    const lab = lchToLab(l, c, h)
+    return labToUnitSRGB(lab.l, lab.a, lab.b)
+  },
+  oklch: ({ l, c, h }) => {
+    const lab = oklchToOKLab(l, c, h)
+    const linear = oklabToLinearRGB(lab.l, lab.a, lab.b)
+    return {
+      r: linearToSRGB(linear.r),
+      g: linearToSRGB(linear.g),
+      b: linearToSRGB(linear.b),
+    }
+  },
+}
+
+// 0-255 RGB channels for a LAB_FUNCTIONS result, gamut mapped into sRGB
+function labFunctionToRGB(parsed) {
+  if (!parsed) {
+    return null
+  }
+  const unit = LAB_SPACES_TO_UNIT_SRGB[parsed.space](parsed.coords)
+  const mapped = gamutMapToSRGB(unit.r, unit.g, unit.b)
+  return [mapped.r * 255, mapped.g * 255, mapped.b * 255]
+}
+
+const COLOR_FUNCTIONS = {
+  rgb(channels, legacy) {
+    // Legacy syntax requires all channels to be numbers or all percentages
+    if (legacy && new Set(channels.map((c) => c.endsWith("%"))).size > 1) {
+      return null
+    }
+    const [r, g, b] = channels.map((c) => parseComponent(c, 255))
+    return r === null || g === null || b === null ? null : [r, g, b]
+  },
+
+  hsl(channels, legacy) {
+    const h = parseHue(channels[0])
+    // The legacy syntax requires percentages for saturation and lightness
+    if (legacy && !channels.slice(1).every((c) => c.endsWith("%"))) {
+      return null
+    }
+    const s = parseComponent(channels[1], 100)
+    const l = parseComponent(channels[2], 100)
+    if (h === null || s === null || l === null) {
+      return null
+    }
+    const rgb = hslToRGB(
+      h,
+      Math.max(0, Math.min(100, s)),
+      Math.max(0, Math.min(100, l)),
+    )
+    return [rgb.r, rgb.g, rgb.b]
+  },
+
+  hwb(channels) {
+    const h = parseHue(channels[0])
+    const w = parseComponent(channels[1], 100)
+    const bl = parseComponent(channels[2], 100)
+    if (h === null || w === null || bl === null) {
+      return null
+    }
+
+    const hsv = hwbToHSV(
+      h,
+      Math.max(0, Math.min(100, w)),
+      Math.max(0, Math.min(100, bl)),
+    )
+    const rgb = hsvToUnitRGB(hsv.h, hsv.s, hsv.v)
+    return [rgb.r * 255, rgb.g * 255, rgb.b * 255]
+  },
+
+  lab: (channels) => labFunctionToRGB(LAB_FUNCTIONS.lab(channels)),
+  lch: (channels) => labFunctionToRGB(LAB_FUNCTIONS.lch(channels)),
+  oklab: (channels) => labFunctionToRGB(LAB_FUNCTIONS.oklab(channels)),
+  oklch: (channels) => labFunctionToRGB(LAB_FUNCTIONS.oklch(channels)),
+}
+
+// Predefined color spaces accepted by color(), as converters from 0-1
+// channels to 0-255 RGB
+const PREDEFINED_SPACES = {
+  srgb: (r, g, b) => [r * 255, g * 255, b * 255],
+  "srgb-linear": (r, g, b) =>
+    [r, g, b].map((c) => linearToSRGB(Math.max(0, Math.min(1, c))) * 255),
+  "display-p3": (r, g, b) => {
+    const srgb = p3ToSRGB(r, g, b)
+    const mapped = gamutMapToSRGB(srgb.r, srgb.g, srgb.b)
+    return [mapped.r * 255, mapped.g * 255, mapped.b * 255]
+  },
+}
+
+function parseColorFunction(args) {
+  const match = /^([a-z0-9-]+)\s+(.*)$/i.exec(args)
+  if (!match) {
+    return null
+  }
+
+  const toRGB = PREDEFINED_SPACES[match[1].toLowerCase()]
+  const parsed = splitArguments(match[2], false)
+  if (!toRGB || !parsed) {
+    return null
+  }
+
+  const channels = parsed.channels.map((c) => parseComponent(c, 1))
+  if (channels.includes(null)) {
+    return null
+  }
+
+  return { channels: toRGB(...channels), alpha: parsed.alpha }
+}
+
+/**
+ * Parse any CSS Color Level 4 color string: hex (3, 4, 6 or 8 digits), named
+ * colors, `transparent`, rgb()/rgba(), hsl()/hsla(), hwb(), lab(), lch(),
+ * oklab(), oklch() and color(srgb | srgb-linear | display-p3 ...).
+ * Out-of-range rgb(), hsl(), hwb() and color(srgb ...) channels are
+ * clipped; lab(), lch(), oklab(), oklch() and display-p3 colors outside the
+ * sRGB gamut are gamut mapped. Use parseLabColor to keep them unmapped.
+ * @param {string} value - CSS color string
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} RGB in
+ *   0-255 and alpha in 0-1, or null if the string is not a valid color
+ */
+export function parseCSSColor(value) {
+  if (typeof value !== "string") {
+    return null
+  }
+
+  const input = value.trim().toLowerCase()
+
+  if (input.startsWith("#")) {
+    return parseHexColor(input.slice(1))
+  }
+
+  if (input === "transparent") {
+    return { r: 0, g: 0, b: 0, alpha: 0 }
+  }
+
+  if (Object.hasOwn(NAMED_COLORS, input)) {
+    return { ...parseHexColor(NAMED_COLORS[input].slice(1)), alpha: 1 }
+  }
+
+  const match = /^([a-z]+)\(\s*(.*?)\s*\)$/.exec(input)
+  if (!match) {
+    return null
+  }
+
+  const [, name, args] = match
+
+  let channels
+  let alphaToken
+  if (name === "color") {
+    const parsed = parseColorFunction(args)
+    if (!parsed) {
+      return null
+    }
+    channels = parsed.channels
+    alphaToken = parsed.alpha
+  } else {
+    // rgba() and hsla() are aliases of rgb() and hsl()
+    const fnName = name.replace(/^(rgb|hsl)a$/, "$1")
+    const convert = COLOR_FUNCTIONS[fnName]
+    const parsed =
+      convert && splitArguments(args, fnName === "rgb" || fnName === "hsl")
+    if (!parsed) {
+      return null
+    }
+    channels = convert(parsed.channels, parsed.legacy)
+    alphaToken = parsed.alpha
+    if (!channels) {
+      return null
+    }
+  }
+
+  const alpha = parseAlpha(alphaToken)
+  if (alpha === null) {
+    return null
+  }
+
+  return clampRGBA(...channels, alpha)
+}
+
+/**
+ * Parse lab(), lch(), oklab() or oklch() into the coordinates it is written
+ * in, so colors outside sRGB are kept. oklab() comes back as OKLCH.
+ * @param {string} value - CSS color string
+ * @returns {{space: string, coords: Object<string, number>, alpha: number}|null}
+ *   A Color space ("lab", "lch" or "oklch"), its coordinates and alpha in
+ *   0-1, or null for other syntaxes and invalid strings
+ */
+export function parseLabColor(value) {
+  const match =
+    typeof value === "string" &&
+    /^(lab|lch|oklab|oklch)\(\s*(.*?)\s*\)$/.exec(value.trim().toLowerCase())
+  if (!match) {
+    return null
+  }
+
+  const parsed = splitArguments(match[2], false)
+  const color = parsed && LAB_FUNCTIONS[match[1]](parsed.channels)
+  const alpha = parsed && parseAlpha(parsed.alpha)
+  if (!color || alpha === null) {
+    return null
+  }
+
+  return { ...color, alpha }
+}
+
+// Serializing CSS color strings
+
+function formatNumber(value, digits = 6) {
+  // Drop trailing zeros and negative zero
+  return String(parseFloat(value.toFixed(digits)) + 0)
+}
+
+/**
+ * Serialize channels as a CSS `color()` function, omitting an opaque alpha
+ * @param {string} space - Predefined color space, e.g. "srgb"
+ * @param {number[]} channels - Three channel values in 0-1
+ * @param {number} alpha - Alpha in 0-1
+ * @returns {string} e.g. "color(srgb 1 0.5 0 / 0.25)"
+ */
+export function serializeColorFunction(space, channels, alpha = 1) {
+  const components = channels.map((c) => formatNumber(c)).join(" ")
+  const alphaPart = alpha < 1 ? ` / ${formatNumber(alpha)}` : ""
+  return `color(${space} ${components}${alphaPart})`
+}
+
+/**
+ * Parse a CSS color string into Display P3 channels without losing colors
+ * outside sRGB. Only color(display-p3 ...) can express those; every other
+ * syntax goes through parseCSSColor and is converted.
+ * @param {string} value - CSS color string
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} Channels
+ *   in 0-1 and alpha in 0-1, or null if the string is not a valid color
+ */
+export function parseDisplayP3(value) {
+  const match =
+    typeof value === "string" &&
+    /^color\(\s*display-p3\s+(.*?)\s*\)$/i.exec(value.trim())
+
+  if (match) {
+    const parsed = splitArguments(match[1].toLowerCase(), false)
+    const channels = parsed && parsed.channels.map((c) => parseComponent(c, 1))
+    const alpha = parsed && parseAlpha(parsed.alpha)
+    if (!parsed || channels.includes(null) || alpha === null) {
+      return null
+    }
+    const [r, g, b] = channels.map((c) => Math.max(0, Math.min(1, c)))
+    return { r, g, b, alpha }
+  }
+
+  const rgb = parseCSSColor(value)
+  if (!rgb) {
+    return null
+  }
+  return {
+    ...srgbToP3(rgb.r / 255, rgb.g / 255, rgb.b / 255),
+    alpha: rgb.alpha,
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Color difference (Delta E) metrics: CIE76, CIE94 and CIEDE2000 on CIE Lab,
+ * and Euclidean distance in OKLab
+ */
+
+// Application weights for CIE94
+export const CIE94_WEIGHTS = {
+  graphicArts: { kL: 1, k1: 0.045, k2: 0.015 },
+  textiles: { kL: 2, k1: 0.048, k2: 0.014 },
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+/**
+ * CIE76: Euclidean distance in Lab
+ * @param {{l: number, a: number, b: number}} lab1
+ * @param {{l: number, a: number, b: number}} lab2
+ * @returns {number}
+ */
+export function deltaE76(lab1, lab2) {
+  return Math.hypot(lab1.l - lab2.l, lab1.a - lab2.a, lab1.b - lab2.b)
+}
+
+/**
+ * CIE94. Not symmetric: chroma weighting comes from the reference color.
+ * @param {{l: number, a: number, b: number}} reference
+ * @param {{l: number, a: number, b: number}} sample
+ * @param {{kL: number, k1: number, k2: number}} weights - CIE94_WEIGHTS entry
+ * @returns {number}
+ */
+export function deltaE94(
+  reference,
+  sample,
+  weights = CIE94_WEIGHTS.graphicArts,
+) {
+  const c1 = Math.hypot(reference.a, reference.b)
+  const c2 = Math.hypot(sample.a, sample.b)
+
+  const deltaL = reference.l - sample.l
+  const deltaC = c1 - c2
+  // Hue difference squared, from what is left of the Lab distance
+  const deltaH2 = Math.max(
+    0,
+    (reference.a - sample.a) ** 2 + (reference.b - sample.b) ** 2 - deltaC ** 2,
+  )
+
+  const sC = 1 + weights.k1 * c1
+  const sH = 1 + weights.k2 * c1
+
+  return Math.sqrt(
+    (deltaL / weights.kL) ** 2 + (deltaC / sC) ** 2 + deltaH2 / sH ** 2,
+  )
+}
+
+/**
+ * CIEDE2000, following Sharma, Wu and Dalal (2005)
+ * @param {{l: number, a: number, b: number}} lab1
+ * @param {{l: number, a: number, b: number}} lab2
+ * @param {number} kL - Lightness weight
+ * @param {number} kC - Chroma weight
+ * @param {number} kH - Hue weight
+ * @returns {number}
+ */
+export function deltaE2000(lab1, lab2, kL = 1, kC = 1, kH = 1) {
+  const pow25to7 = 25 ** 7
+
+  // Stretch a* so neutral colors get hue angles that behave
+  const cBar = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2
+  const g = 0.5 * (1 - Math.sqrt(cBar ** 7 / (cBar ** 7 + pow25to7)))
+
+  const a1 = (1 + g) * lab1.a
+  const a2 = (1 + g) * lab2.a
+  const c1 = Math.hypot(a1, lab1.b)
+  const c2 = Math.hypot(a2, lab2.b)
+  const hueAngle = (a, b) =>
+    a === 0 && b === 0 ? 0 : ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360
+  const h1 = hueAngle(a1, lab1.b)
+  const h2 = hueAngle(a2, lab2.b)
+
+  const deltaL = lab2.l - lab1.l
+  const deltaC = c2 - c1
+
+  let deltaHue = 0
+  if (c1 * c2 !== 0) {
+    deltaHue = h2 - h1
+    if (deltaHue > 180) {
+      deltaHue -= 360
+    } else if (deltaHue < -180) {
+      deltaHue += 360
+    }
+  }
+  const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaHue / 2))
+
+  const lBarPrime = (lab1.l + lab2.l) / 2
+  const cBarPrime = (c1 + c2) / 2
+
+  let hBarPrime = h1 + h2
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) {
+      hBarPrime /= 2
+    } else if (h1 + h2 < 360) {
+      hBarPrime = (hBarPrime + 360) / 2
+    } else {
+      hBarPrime = (hBarPrime - 360) / 2
+    }
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos(toRadians(hBarPrime - 30)) +
+    0.24 * Math.cos(toRadians(2 * hBarPrime)) +
+    0.32 * Math.cos(toRadians(3 * hBarPrime + 6)) -
+    0.2 * Math.cos(toRadians(4 * hBarPrime - 63))
+
+  const deltaTheta = 30 * Math.exp(-(((hBarPrime - 275) / 25) ** 2))
+  const rC = 2 * Math.sqrt(cBarPrime ** 7 / (cBarPrime ** 7 + pow25to7))
+  const sL =
+    1 + (0.015 * (lBarPrime - 50) ** 2) / Math.sqrt(20 + (lBarPrime - 50) ** 2)
+  const sC = 1 + 0.045 * cBarPrime
+  const sH = 1 + 0.015 * cBarPrime * t
+  const rT = -Math.sin(toRadians(2 * deltaTheta)) * rC
+
+  const lightness = deltaL / (kL * sL)
+  const chroma = deltaC / (kC * sC)
+  const hue = deltaH / (kH * sH)
+
+  return Math.sqrt(lightness ** 2 + chroma ** 2 + hue ** 2 + rT * chroma * hue)
+}
+
+/**
+ * Euclidean distance in OKLab, as used by CSS Color 4 gamut mapping.
+ * A difference of about 0.02 is just noticeable.
+ * @param {{l: number, a: number, b: number}} oklab1
+ * @param {{l: number, a: number, b: number}} oklab2
+ * @returns {number}
+ */
+export function deltaEOK(oklab1, oklab2) {
+  return Math.hypot(
+    oklab1.l - oklab2.l,
+    oklab1.a - oklab2.a,
+    oklab1.b - oklab2.b,
+  )
+}
@@ -0,0 +1,94 @@
+/**
+ * CSS gradients with any number of color stops, interpolated in any of the
+ * color-mix() spaces
+ */
+
+import { rgbToHex, mixColors, POLAR_MIX_SPACES } from "./ColorConversions.mjs"
+
+export const GRADIENT_TYPES = ["linear", "radial", "conic"]
+
+/**
+ * @typedef {Object} Gradient
+ * @property {string} type - One of GRADIENT_TYPES
+ * @property {number} angle - Degrees; the direction of linear gradients and
+ *   the start of conic ones, unused by radial gradients
+ * @property {string} space - Interpolation space, one of MIX_SPACES
+ * @property {string} hueMethod - Hue interpolation method for polar spaces
+ * @property {Array<{color: Object, position: number}>} stops - Colors (0-255
+ *   channels and optional alpha) and positions in percent, in any order
+ */
+
+/**
+ * Stops in the order they appear along the gradient
+ * @param {Array<{color: Object, position: number}>} stops
+ * @returns {Array<{color: Object, position: number}>} New array
+ */
+export function sortStops(stops) {
+  return [...stops].sort((a, b) => a.position - b.position)
+}
+
+/**
+ * Color at a position along a gradient, as a browser would render it
+ * @param {Gradient} gradient
+ * @param {number} position - Percent
+ * @returns {{r: number, g: number, b: number, alpha: number}}
+ */
+export function sampleGradient(gradient, position) {
+  const stops = sortStops(gradient.stops)
+  const first = stops[0]
+  const last = stops[stops.length - 1]
+
+  if (position <= first.position) {
+    return { alpha: 1, ...first.color }
+  }
+  if (position >= last.position) {
+    return { alpha: 1, ...last.color }
+  }
+
+  const index = stops.findIndex((stop) => stop.position > position)
+  const from = stops[index - 1]
+  const to = stops[index]
+
+  return mixColors(
+    from.color,
+    to.color,
+    (position - from.position) / (to.position - from.position),
+    gradient.space,
+    gradient.hueMethod,
+  )
+}
+
+/**
+ * Serialize a gradient as a CSS image. sRGB, the default for gradients, is
+ * left out, as is the default shorter hue method.
+ * @param {Gradient} gradient
+ * @returns {string} e.g. "linear-gradient(90deg in oklab, #ff0000 0%, ...)"
+ */
+export function gradientToCSS(gradient) {
+  const type = GRADIENT_TYPES.includes(gradient.type) ? gradient.type : "linear"
+  const prelude = []
+
+  if (type === "linear") {
+    prelude.push(`${gradient.angle}deg`)
+  } else if (type === "conic") {
+    prelude.push(`from ${gradient.angle}deg`)
+  }
+
+  if (gradient.space && gradient.space !== "srgb") {
+    const hue =
+      POLAR_MIX_SPACES.includes(gradient.space) &&
+      gradient.hueMethod &&
+      gradient.hueMethod !== "shorter"
+        ? ` ${gradient.hueMethod} hue`
+        : ""
+    prelude.push(`in ${gradient.space}${hue}`)
+  }
+
+  const stops = sortStops(gradient.stops).map(({ color, position }) => {
+    const hex = rgbToHex(color.r, color.g, color.b, color.alpha ?? 1)
+    return `${hex} ${+position.toFixed(1)}%`
+  })
+
+  const args = prelude.length ? [prelude.join(" "), ...stops] : stops
+  return `${type}-gradient(${args.join(", ")})`
+}
@@ -0,0 +1,63 @@
+/**
+ * Color harmony schemes built by rotating the hue of a base color, in HSV or
+ * OKLCH
+ */
+
+import {
+  rgbToHSV,
+  hsvToRGB,
+  rgbToOKLCH,
+  oklchToGamutMappedRGB,
+} from "./ColorConversions.mjs"
+
+// Hue offsets in degrees for each scheme, starting with the base color
+export const HARMONY_SCHEMES = {
+  complementary: [0, 180],
+  "split-complementary": [0, 150, 210],
+  analogous: [0, -30, 30],
+  triadic: [0, 120, 240],
+  tetradic: [0, 60, 180, 240],
+  square: [0, 90, 180, 270],
+}
+
+/**
+ * Rotate the hue of a color
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @param {number} degrees - Hue rotation
+ * @param {string} space - "hsv" or "oklch". OKLCH keeps perceived lightness
+ *   and gamut maps colors that leave sRGB.
+ * @returns {{r: number, g: number, b: number}} Channels in 0-255
+ */
+export function rotateHue(rgb, degrees, space = "hsv") {
+  if (space === "oklch") {
+    const lch = rgbToOKLCH(rgb.r, rgb.g, rgb.b)
+    return oklchToGamutMappedRGB(
+      lch.l,
+      lch.c,
+      (((lch.h + degrees) % 360) + 360) % 360,
+    )
+  }
+
+  const hsv = rgbToHSV(rgb.r, rgb.g, rgb.b)
+  return hsvToRGB((((hsv.h + degrees) % 360) + 360) % 360, hsv.s, hsv.v)
+}
+
+/**
+ * Generate a harmony scheme from a base color
+ * @param {{r: number, g: number, b: number}} rgb - Base color, 0-255
+ * @param {string} scheme - Key of HARMONY_SCHEMES
+ * @param {string} space - "hsv" or "oklch"
+ * @returns {Array<{r: number, g: number, b: number}>} Base color first
+ */
+export function generateHarmony(rgb, scheme, space = "hsv") {
+  const offsets = HARMONY_SCHEMES[scheme]
+  if (!offsets) {
+    return []
+  }
+
+  return offsets.map((degrees) =>
+    degrees === 0
+      ? { r: rgb.r, g: rgb.g, b: rgb.b }
+      : rotateHue(rgb, degrees, space),
+  )
+}
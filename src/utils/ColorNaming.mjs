@@ -0,0 +1,110 @@
+/**
+ * Nearest named color lookup by CIEDE2000 distance, and plain-language
+ * color descriptions
+ */
+
+import { NAMED_COLORS } from "./NamedColors.mjs"
+import { hexToRGB, rgbToHSL, rgbToLab } from "./ColorConversions.mjs"
+import { deltaE2000 } from "./ColorDifference.mjs"
+
+// Lab values per name table, computed on first lookup
+const labCache = new WeakMap()
+
+function getLabEntries(names) {
+  if (!labCache.has(names)) {
+    labCache.set(
+      names,
+      Object.entries(names).map(([name, hex]) => {
+        const rgb = hexToRGB(hex)
+        return { name, hex, lab: rgbToLab(rgb.r, rgb.g, rgb.b) }
+      }),
+    )
+  }
+  return labCache.get(names)
+}
+
+/**
+ * Find the named color closest to a color
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @param {Object<string, string>} names - Name to hex table, the CSS named
+ *   colors by default. Pass an extended table to search more names.
+ * @returns {{name: string, hex: string, deltaE: number}} Closest match; the
+ *   first name wins for aliases such as aqua and cyan
+ */
+export function nearestNamedColor(rgb, names = NAMED_COLORS) {
+  const lab = rgbToLab(rgb.r, rgb.g, rgb.b)
+  let nearest = null
+
+  for (const entry of getLabEntries(names)) {
+    const deltaE = deltaE2000(lab, entry.lab)
+    if (!nearest || deltaE < nearest.deltaE) {
+      nearest = { name: entry.name, hex: entry.hex, deltaE }
+    }
+  }
+
+  return nearest
+}
+
+// Hue names by the HSL hue they start at
+const HUE_NAMES = [
+  [0, "red"],
+  [15, "orange"],
+  [45, "yellow"],
+  [70, "green"],
+  [165, "cyan"],
+  [190, "blue"],
+  [255, "purple"],
+  [285, "magenta"],
+  [335, "red"],
+]
+
+/**
+ * Describe a color in words, like "dark desaturated blue" for #2a3b5c or
+ * "light gray" for #c0c0c0, for screen reader announcements
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @returns {string} Lowercase description: an optional lightness
+ *   ("very dark", "dark", "light", "very light"), an optional saturation
+ *   ("grayish", "desaturated", "vivid") and a hue name; grays only get a
+ *   lightness
+ */
+export function describeColor(rgb) {
+  const { h, s, l } = rgbToHSL(rgb.r, rgb.g, rgb.b)
+
+  if (l < 4) return "black"
+  if (l > 97) return "white"
+
+  const lightness =
+    l < 20
+      ? "very dark"
+      : l < 35
+        ? "dark"
+        : l > 85
+          ? "very light"
+          : l > 65
+            ? "light"
+            : ""
+
+  if (s < 8) {
+    return [lightness, "gray"].filter(Boolean).join(" ")
+  }
+
+  let hue = HUE_NAMES.findLast(([start]) => h >= start)[1]
+  if ((hue === "orange" || hue === "yellow") && l < 35) {
+    hue = "brown"
+  } else if ((hue === "red" || hue === "magenta") && l > 65) {
+    hue = "pink"
+  }
+
+  // Light and dark colors look less saturated than HSL says, so only
+  // mid-lightness colors are vivid
+  const saturation =
+    s < 25
+      ? "grayish"
+      : s < 50
+        ? "desaturated"
+        : s >= 85 && !lightness
+          ? "vivid"
+          : ""
+
+  return [lightness, saturation, hue].filter(Boolean).join(" ")
+}
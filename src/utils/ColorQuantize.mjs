@@ -0,0 +1,199 @@
+/**
+ * Snap colors to reduced bit depths and fixed palettes, for displays that
+ * can't show every sRGB color
+ */
+
+import {
+  hexToRGB,
+  rgbToHex,
+  rgbToLab,
+  parseCSSColor,
+} from "./ColorConversions.mjs"
+import { deltaE2000 } from "./ColorDifference.mjs"
+
+export const QUANTIZE_MODES = [
+  "web-safe",
+  "12-bit",
+  "vga",
+  "ega",
+  "cga",
+  "custom",
+]
+
+// The 16 colors of CGA text mode, with the dark yellow turned brown
+export const CGA_PALETTE = [
+  "#000000",
+  "#0000aa",
+  "#00aa00",
+  "#00aaaa",
+  "#aa0000",
+  "#aa00aa",
+  "#aa5500",
+  "#aaaaaa",
+  "#555555",
+  "#5555ff",
+  "#55ff55",
+  "#55ffff",
+  "#ff5555",
+  "#ff55ff",
+  "#ffff55",
+  "#ffffff",
+]
+
+// The 64 EGA colors in index order: bits 0-2 add 0xaa of blue, green and
+// red, bits 3-5 add 0x55
+export const EGA_PALETTE = Array.from({ length: 64 }, (_, i) => {
+  const channel = (primary, secondary) =>
+    0xaa * ((i >> primary) & 1) + 0x55 * ((i >> secondary) & 1)
+  return rgbToHex(channel(2, 5), channel(1, 4), channel(0, 3))
+})
+
+// The default 256-color VGA palette (mode 13h) in index order, from its
+// 6-bit DAC values: the CGA colors, 16 grays, 9 rings of 24 hues at three
+// values and three saturations each, and 8 unused blacks
+export const VGA_PALETTE = (() => {
+  const dac = (value) => Math.round((value * 255) / 63)
+  const colors = CGA_PALETTE.slice()
+
+  ;[0, 5, 8, 11, 14, 17, 20, 24, 28, 32, 36, 40, 45, 50, 56, 63].forEach((v) =>
+    colors.push(rgbToHex(dac(v), dac(v), dac(v))),
+  )
+
+  // Each ring fades blue > magenta > red > yellow > green > cyan through
+  // five levels between the ring's minimum and maximum
+  const ring = [
+    [0, 0, 4],
+    [1, 0, 4],
+    [2, 0, 4],
+    [3, 0, 4],
+    [4, 0, 4],
+    [4, 0, 3],
+    [4, 0, 2],
+    [4, 0, 1],
+    [4, 0, 0],
+    [4, 1, 0],
+    [4, 2, 0],
+    [4, 3, 0],
+    [4, 4, 0],
+    [3, 4, 0],
+    [2, 4, 0],
+    [1, 4, 0],
+    [0, 4, 0],
+    [0, 4, 1],
+    [0, 4, 2],
+    [0, 4, 3],
+    [0, 4, 4],
+    [0, 3, 4],
+    [0, 2, 4],
+    [0, 1, 4],
+  ]
+  const rings = [
+    [0, 16, 31, 47, 63],
+    [31, 39, 47, 55, 63],
+    [45, 49, 54, 58, 63],
+    [0, 7, 14, 21, 28],
+    [14, 17, 21, 24, 28],
+    [20, 22, 24, 26, 28],
+    [0, 4, 8, 12, 16],
+    [8, 10, 12, 14, 16],
+    [11, 12, 13, 15, 16],
+  ]
+  rings.forEach((levels) =>
+    ring.forEach(([r, g, b]) =>
+      colors.push(rgbToHex(dac(levels[r]), dac(levels[g]), dac(levels[b]))),
+    ),
+  )
+
+  return colors.concat(Array(8).fill("#000000"))
+})()
+
+const PALETTES = { vga: VGA_PALETTE, ega: EGA_PALETTE, cga: CGA_PALETTE }
+
+// Lab values per palette, computed on first lookup
+const labCache = new WeakMap()
+
+function getLabs(palette) {
+  if (!labCache.has(palette)) {
+    labCache.set(
+      palette,
+      palette.map((hex) => {
+        const rgb = hexToRGB(hex)
+        return rgbToLab(rgb.r, rgb.g, rgb.b)
+      }),
+    )
+  }
+  return labCache.get(palette)
+}
+
+/**
+ * Round each channel to the nearest of evenly spaced levels, e.g. 6 levels
+ * for web-safe colors or 16 for 12-bit #rgb colors
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @param {number} levels - Levels per channel, at least 2
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function snapChannels(rgb, levels) {
+  const step = 255 / (levels - 1)
+  const snap = (value) => Math.round(Math.round(value / step) * step)
+  return { r: snap(rgb.r), g: snap(rgb.g), b: snap(rgb.b) }
+}
+
+/**
+ * Find the palette color closest to a color by CIEDE2000 distance
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @param {string[]} palette - Hex colors. Pass the same array for repeated
+ *   lookups so its Lab values are only computed once.
+ * @returns {{hex: string, index: number, deltaE: number}|null} Closest
+ *   match (the first one for duplicates), or null for an empty palette
+ */
+export function nearestPaletteColor(rgb, palette) {
+  const lab = rgbToLab(rgb.r, rgb.g, rgb.b)
+  let nearest = null
+
+  getLabs(palette).forEach((entry, index) => {
+    const deltaE = deltaE2000(lab, entry)
+    if (!nearest || deltaE < nearest.deltaE) {
+      nearest = { hex: palette[index], index, deltaE }
+    }
+  })
+
+  return nearest
+}
+
+/**
+ * Read a user-supplied palette: CSS colors separated by commas, semicolons,
+ * whitespace or new lines. Invalid entries are skipped and alpha dropped.
+ * @param {string} text - e.g. "#000, #f00, rgb(0 255 0), blue"
+ * @returns {string[]} Hex colors in the order given
+ */
+export function parsePalette(text) {
+  const tokens = (text || "").match(/[a-z-]+\([^)]*\)|#?[\w-]+/gi) || []
+
+  return tokens.flatMap((token) => {
+    const color = parseCSSColor(token)
+    return color ? [rgbToHex(color.r, color.g, color.b)] : []
+  })
+}
+
+/**
+ * Snap a color to what a constrained display can show
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @param {string} mode - One of QUANTIZE_MODES
+ * @param {string[]} palette - Hex colors for the "custom" mode
+ * @returns {{r: number, g: number, b: number}} Snapped color; a copy of the
+ *   color for unknown modes and empty custom palettes
+ */
+export function quantizeColor(rgb, mode, palette = []) {
+  if (mode === "web-safe") {
+    return snapChannels(rgb, 6)
+  }
+  if (mode === "12-bit") {
+    return snapChannels(rgb, 16)
+  }
+
+  const nearest = nearestPaletteColor(
+    rgb,
+    mode === "custom" ? palette : PALETTES[mode] || [],
+  )
+  return nearest ? hexToRGB(nearest.hex) : { r: rgb.r, g: rgb.g, b: rgb.b }
+}
@@ -0,0 +1,102 @@
+/**
+ * Tint/shade scales in the style of Tailwind's 50-950 palettes, built in
+ * OKLCH or HSL, with CSS custom property and Tailwind exports
+ */
+
+import {
+  rgbToHex,
+  rgbToHSL,
+  hslToRGB,
+  rgbToOKLCH,
+  oklchToGamutMappedRGB,
+} from "./ColorConversions.mjs"
+
+export const SCALE_STEPS = [
+  50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950,
+]
+
+// Easing applied to each half of the scale, from the base (0) to the end (1)
+export const SCALE_CURVES = {
+  linear: (t) => t,
+  "ease-in": (t) => t * t,
+  "ease-out": (t) => 1 - (1 - t) * (1 - t),
+  "ease-in-out": (t) => t * t * (3 - 2 * t),
+}
+
+// Lightness of the 50 and 950 steps in each space
+const LIGHTNESS_RANGE = {
+  oklch: { light: 0.97, dark: 0.26 },
+  hsl: { light: 97, dark: 12 },
+}
+
+// Share of the base chroma kept at the 50 and 950 steps (OKLCH), roughly
+// matching Tailwind's palettes
+const CHROMA_RANGE = { light: 0.1, dark: 0.4 }
+
+const BASE_INDEX = SCALE_STEPS.indexOf(500)
+
+/**
+ * Generate an 11-step scale with the base color at 500
+ * @param {{r: number, g: number, b: number}} rgb - Base color, 0-255
+ * @param {string} space - "oklch" or "hsl"
+ * @param {string} curve - Key of SCALE_CURVES
+ * @returns {Array<{step: number, color: {r: number, g: number, b: number}}>}
+ *   Lightest first
+ */
+export function generateScale(rgb, space = "oklch", curve = "linear") {
+  const ease = SCALE_CURVES[curve] || SCALE_CURVES.linear
+  const range = LIGHTNESS_RANGE[space] || LIGHTNESS_RANGE.oklch
+  const base =
+    space === "hsl"
+      ? rgbToHSL(rgb.r, rgb.g, rgb.b)
+      : rgbToOKLCH(rgb.r, rgb.g, rgb.b)
+
+  return SCALE_STEPS.map((step, index) => {
+    if (index === BASE_INDEX) {
+      return { step, color: { r: rgb.r, g: rgb.g, b: rgb.b } }
+    }
+
+    // Position between the base (0) and the light or dark end (1)
+    const end = index < BASE_INDEX ? "light" : "dark"
+    const t = ease(
+      Math.abs(index - BASE_INDEX) /
+        (end === "light" ? BASE_INDEX : SCALE_STEPS.length - 1 - BASE_INDEX),
+    )
+    const lightness = base.l + (range[end] - base.l) * t
+
+    if (space === "hsl") {
+      return { step, color: hslToRGB(base.h, base.s, lightness) }
+    }
+
+    const chroma = base.c * (1 + (CHROMA_RANGE[end] - 1) * t)
+    return { step, color: oklchToGamutMappedRGB(lightness, chroma, base.h) }
+  })
+}
+
+/**
+ * Export a scale as CSS custom properties
+ * @param {Array<{step: number, color: Object}>} scale - From generateScale
+ * @param {string} name - Property name prefix
+ * @returns {string} A :root rule with one --name-step property per step
+ */
+export function scaleToCSS(scale, name = "primary") {
+  const properties = scale.map(
+    ({ step, color }) =>
+      `  --${name}-${step}: ${rgbToHex(color.r, color.g, color.b)};`,
+  )
+  return `:root {\n${properties.join("\n")}\n}`
+}
+
+/**
+ * Export a scale as a Tailwind `colors` entry
+ * @param {Array<{step: number, color: Object}>} scale - From generateScale
+ * @param {string} name - Color name
+ * @returns {string} Object literal for theme.extend.colors
+ */
+export function scaleToTailwind(scale, name = "primary") {
+  const entries = scale.map(
+    ({ step, color }) =>
+      `    ${step}: "${rgbToHex(color.r, color.g, color.b)}",`,
+  )
+  return `{\n  ${JSON.stringify(name)}: {\n${entries.join("\n")}\n  },\n}`
+}
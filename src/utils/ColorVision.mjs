@@ -0,0 +1,297 @@
+/**
+ * Color vision deficiency simulation: Brettel et al. (1997), Viénot et al.
+ * (1999) and Machado et al. (2009), for protan, deutan and tritan
+ * deficiencies, plus achromatopsia. All simulations run on linear sRGB.
+ */
+
+import { srgbToLinear, linearToSRGB } from "./ColorConversions.mjs"
+
+export const CVD_TYPES = ["protan", "deutan", "tritan", "achromat"]
+export const CVD_METHODS = ["brettel", "vienot", "machado"]
+
+// Brettel, Viénot and Mollon (1997): two half-plane projections per
+// deficiency, chosen by the side of the separation plane (normal) a color
+// falls on. sRGB primaries with Smith-Pokorny cone fundamentals.
+const BRETTEL = {
+  protan: {
+    normal: [0.00048, 0.00416, -0.00464],
+    h1: [
+      [0.1451, 1.20165, -0.34675],
+      [0.10447, 0.85316, 0.04237],
+      [0.00429, -0.00603, 1.00174],
+    ],
+    h2: [
+      [0.14115, 1.16782, -0.30897],
+      [0.10495, 0.8573, 0.03776],
+      [0.00431, -0.00586, 1.00155],
+    ],
+  },
+  deutan: {
+    normal: [-0.00293, -0.00645, 0.00938],
+    h1: [
+      [0.36198, 0.86755, -0.22953],
+      [0.26099, 0.64512, 0.09389],
+      [-0.01975, 0.02686, 0.99289],
+    ],
+    h2: [
+      [0.37009, 0.8854, -0.25549],
+      [0.25767, 0.63782, 0.10451],
+      [-0.0195, 0.02741, 0.99209],
+    ],
+  },
+  tritan: {
+    normal: [0.0396, -0.02831, -0.01129],
+    h1: [
+      [1.01354, 0.14268, -0.15622],
+      [-0.01181, 0.87561, 0.13619],
+      [0.07707, 0.81208, 0.11085],
+    ],
+    h2: [
+      [0.93337, 0.19999, -0.13336],
+      [0.05809, 0.82565, 0.11626],
+      [-0.37923, 1.13825, 0.24098],
+    ],
+  },
+}
+
+// Viénot, Brettel and Mollon (1999): a single projection per dichromacy.
+// Designed for protanopia and deuteranopia; the tritan matrix is less
+// accurate than Brettel's.
+const VIENOT = {
+  protan: [
+    [0.11238, 0.88762, 0],
+    [0.11238, 0.88762, 0],
+    [0.00401, -0.00401, 1],
+  ],
+  deutan: [
+    [0.29275, 0.70725, 0],
+    [0.29275, 0.70725, 0],
+    [-0.02234, 0.02234, 1],
+  ],
+  tritan: [
+    [1, 0.14461, -0.14461],
+    [0, 0.85924, 0.14076],
+    [0, 0.85924, 0.14076],
+  ],
+}
+
+// Machado, Oliveira and Fernandes (2009): anomalous trichromacy matrices
+// for severity 0.1 to 1.0 in steps of 0.1 (severity 0 is the identity)
+const MACHADO = {
+  protan: [
+    [
+      [0.856167, 0.182038, -0.038205],
+      [0.029342, 0.955115, 0.015544],
+      [-0.00288, -0.001563, 1.004443],
+    ],
+    [
+      [0.734766, 0.334872, -0.069637],
+      [0.05184, 0.919198, 0.028963],
+      [-0.004928, -0.004209, 1.009137],
+    ],
+    [
+      [0.630323, 0.465641, -0.095964],
+      [0.069181, 0.890046, 0.040773],
+      [-0.006308, -0.007724, 1.014032],
+    ],
+    [
+      [0.539009, 0.579343, -0.118352],
+      [0.082546, 0.866121, 0.051332],
+      [-0.007136, -0.011959, 1.019095],
+    ],
+    [
+      [0.458064, 0.679578, -0.137642],
+      [0.092785, 0.846313, 0.060902],
+      [-0.007494, -0.016807, 1.024301],
+    ],
+    [
+      [0.38545, 0.769005, -0.154455],
+      [0.100526, 0.829802, 0.069673],
+      [-0.007442, -0.02219, 1.029632],
+    ],
+    [
+      [0.319627, 0.849633, -0.169261],
+      [0.106241, 0.815969, 0.07779],
+      [-0.007025, -0.028051, 1.035076],
+    ],
+    [
+      [0.259411, 0.923008, -0.18242],
+      [0.110296, 0.80434, 0.085364],
+      [-0.006276, -0.034346, 1.040622],
+    ],
+    [
+      [0.203876, 0.990338, -0.194214],
+      [0.112975, 0.794542, 0.092483],
+      [-0.005222, -0.041043, 1.046265],
+    ],
+    [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998],
+    ],
+  ],
+  deutan: [
+    [
+      [0.866435, 0.177704, -0.044139],
+      [0.049567, 0.939063, 0.01137],
+      [-0.003453, 0.007233, 0.99622],
+    ],
+    [
+      [0.760729, 0.319078, -0.079807],
+      [0.090568, 0.889315, 0.020117],
+      [-0.006027, 0.013325, 0.992702],
+    ],
+    [
+      [0.675425, 0.43385, -0.109275],
+      [0.125303, 0.847755, 0.026942],
+      [-0.00795, 0.018572, 0.989378],
+    ],
+    [
+      [0.605511, 0.52856, -0.134071],
+      [0.155318, 0.812366, 0.032316],
+      [-0.009376, 0.023176, 0.9862],
+    ],
+    [
+      [0.547494, 0.607765, -0.155259],
+      [0.181692, 0.781742, 0.036566],
+      [-0.01041, 0.027275, 0.983136],
+    ],
+    [
+      [0.498864, 0.674741, -0.173604],
+      [0.205199, 0.754872, 0.039929],
+      [-0.011131, 0.030969, 0.980162],
+    ],
+    [
+      [0.457771, 0.731899, -0.18967],
+      [0.226409, 0.731012, 0.042579],
+      [-0.011595, 0.034333, 0.977261],
+    ],
+    [
+      [0.422823, 0.781057, -0.203881],
+      [0.245752, 0.709602, 0.044646],
+      [-0.011843, 0.037423, 0.974421],
+    ],
+    [
+      [0.392952, 0.82361, -0.216562],
+      [0.263559, 0.69021, 0.046232],
+      [-0.01191, 0.040281, 0.97163],
+    ],
+    [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.01182, 0.04294, 0.968881],
+    ],
+  ],
+  tritan: [
+    [
+      [0.92667, 0.092514, -0.019184],
+      [0.021191, 0.964503, 0.014306],
+      [0.008437, 0.054813, 0.93675],
+    ],
+    [
+      [0.89572, 0.13333, -0.02905],
+      [0.029997, 0.9454, 0.024603],
+      [0.013027, 0.104707, 0.882266],
+    ],
+    [
+      [0.905871, 0.127791, -0.033662],
+      [0.026856, 0.941251, 0.031893],
+      [0.01341, 0.148296, 0.838294],
+    ],
+    [
+      [0.948035, 0.08949, -0.037526],
+      [0.014364, 0.946792, 0.038844],
+      [0.010853, 0.193991, 0.795156],
+    ],
+    [
+      [1.017277, 0.027029, -0.044306],
+      [-0.006113, 0.958479, 0.047634],
+      [0.006379, 0.248708, 0.744913],
+    ],
+    [
+      [1.104996, -0.046633, -0.058363],
+      [-0.032137, 0.971635, 0.060503],
+      [0.001336, 0.317922, 0.680742],
+    ],
+    [
+      [1.193214, -0.109812, -0.083402],
+      [-0.058496, 0.97941, 0.079086],
+      [-0.002346, 0.403492, 0.598854],
+    ],
+    [
+      [1.257728, -0.139648, -0.118081],
+      [-0.078003, 0.975409, 0.102594],
+      [-0.003316, 0.501214, 0.502102],
+    ],
+    [
+      [1.278864, -0.125333, -0.153531],
+      [-0.084748, 0.957674, 0.127074],
+      [-0.000989, 0.601151, 0.399838],
+    ],
+    [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.3039],
+    ],
+  ],
+}
+
+const IDENTITY = [
+  [1, 0, 0],
+  [0, 1, 0],
+  [0, 0, 1],
+]
+
+const apply = (m, [r, g, b]) =>
+  m.map((row) => row[0] * r + row[1] * g + row[2] * b)
+
+const mix = (from, to, amount) =>
+  from.map((value, i) => value + (to[i] - value) * amount)
+
+/**
+ * Machado matrix for any severity, interpolated between the tabulated steps
+ */
+function machadoMatrix(type, severity) {
+  const steps = [IDENTITY, ...MACHADO[type]]
+  const position = severity * 10
+  const index = Math.min(9, Math.floor(position))
+  const amount = position - index
+
+  return steps[index].map((row, i) => mix(row, steps[index + 1][i], amount))
+}
+
+/**
+ * Simulate how a color appears with a color vision deficiency
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @param {string} type - One of CVD_TYPES
+ * @param {number} severity - 0 (normal vision) to 1 (dichromacy or full
+ *   achromatopsia)
+ * @param {string} method - One of CVD_METHODS. Brettel and Viénot simulate
+ *   dichromacy and are blended with the original for lower severities.
+ * @returns {{r: number, g: number, b: number}} Channels in 0-255
+ */
+export function simulateCVD(rgb, type, severity = 1, method = "brettel") {
+  const amount = Math.max(0, Math.min(1, severity))
+  const linear = [rgb.r, rgb.g, rgb.b].map((c) => srgbToLinear(c / 255))
+  let simulated
+
+  if (type === "achromat") {
+    // Rod monochromacy: only luminance is left
+    const y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2]
+    simulated = mix(linear, [y, y, y], amount)
+  } else if (method === "machado") {
+    simulated = apply(machadoMatrix(type, amount), linear)
+  } else if (method === "vienot") {
+    simulated = mix(linear, apply(VIENOT[type], linear), amount)
+  } else {
+    const { normal, h1, h2 } = BRETTEL[type]
+    const side =
+      linear[0] * normal[0] + linear[1] * normal[1] + linear[2] * normal[2]
+    simulated = mix(linear, apply(side >= 0 ? h1 : h2, linear), amount)
+  }
+
+  const [r, g, b] = simulated.map((c) =>
+    Math.round(linearToSRGB(Math.max(0, Math.min(1, c))) * 255),
+  )
+  return { r, g, b }
+}
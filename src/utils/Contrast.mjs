@@ -0,0 +1,97 @@
+/**
+ * Contrast metrics: WCAG 2.x contrast ratio and APCA lightness contrast (Lc)
+ */
+
+import { srgbToLinear } from "./ColorConversions.mjs"
+
+/**
+ * WCAG 2.x relative luminance
+ * @param {{r: number, g: number, b: number}} rgb - Channels in 0-255
+ * @returns {number} Luminance in 0-1
+ */
+export function relativeLuminance(rgb) {
+  return (
+    0.2126 * srgbToLinear(rgb.r / 255) +
+    0.7152 * srgbToLinear(rgb.g / 255) +
+    0.0722 * srgbToLinear(rgb.b / 255)
+  )
+}
+
+/**
+ * WCAG 2.x contrast ratio. Symmetric, from 1 (none) to 21 (black on white).
+ * @param {{r: number, g: number, b: number}} rgb1
+ * @param {{r: number, g: number, b: number}} rgb2
+ * @returns {number}
+ */
+export function contrastRatio(rgb1, rgb2) {
+  const l1 = relativeLuminance(rgb1)
+  const l2 = relativeLuminance(rgb2)
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05)
+}
+
+/**
+ * Which WCAG 2.x success criteria a contrast ratio meets. Large text is
+ * 18pt, or 14pt bold.
+ * @param {number} ratio - Contrast ratio
+ * @returns {{normalAA: boolean, normalAAA: boolean, largeAA: boolean, largeAAA: boolean}}
+ */
+export function wcagCompliance(ratio) {
+  return {
+    normalAA: ratio >= 4.5,
+    normalAAA: ratio >= 7,
+    largeAA: ratio >= 3,
+    largeAAA: ratio >= 4.5,
+  }
+}
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.072175],
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  offset: 0.027,
+  deltaYmin: 0.0005,
+  loClip: 0.1,
+}
+
+function apcaLuminance(rgb) {
+  const [rCo, gCo, bCo] = APCA.coefficients
+  const y =
+    rCo * (rgb.r / 255) ** APCA.mainTRC +
+    gCo * (rgb.g / 255) ** APCA.mainTRC +
+    bCo * (rgb.b / 255) ** APCA.mainTRC
+
+  // Soft clamp near black
+  return y > APCA.blkThrs ? y : y + (APCA.blkThrs - y) ** APCA.blkClmp
+}
+
+/**
+ * APCA lightness contrast. Not symmetric: positive for dark text on a light
+ * background, negative for light text on a dark one.
+ * @param {{r: number, g: number, b: number}} text - Text color
+ * @param {{r: number, g: number, b: number}} background - Background color
+ * @returns {number} Lc, roughly -108 to 106
+ */
+export function apcaContrast(text, background) {
+  const yText = apcaLuminance(text)
+  const yBackground = apcaLuminance(background)
+
+  if (Math.abs(yBackground - yText) < APCA.deltaYmin) {
+    return 0
+  }
+
+  if (yBackground > yText) {
+    const sapc =
+      (yBackground ** APCA.normBG - yText ** APCA.normTXT) * APCA.scale
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100
+  }
+
+  const sapc = (yBackground ** APCA.revBG - yText ** APCA.revTXT) * APCA.scale
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100
+}
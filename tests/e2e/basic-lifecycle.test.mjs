@@ -244,6 +244,109 @@ test.describe("Basic Picker Lifecycle", () => {
     expect(await isPickerVisible(page)).toBe(true)
   })
 
+  test("opening the picker moves focus into it", async () => {
+    await page.getByTestId("color-basic").click()
+    const picker = await waitForPicker(page)
+
+    await expect(picker).toHaveAttribute("role", "dialog")
+    await expect(picker.locator(".bcp-saturation-lightness")).toBeFocused()
+  })
+
+  test("tabbing to an input opens the picker and focuses it", async () => {
+    await page.getByTestId("color-basic").focus()
+    const picker = await waitForPicker(page)
+
+    await expect(picker.locator(".bcp-saturation-lightness")).toBeFocused()
+  })
+
+  test("tab cycles inside the picker", async () => {
+    await page.getByTestId("color-basic").click()
+    const picker = await waitForPicker(page)
+    const slArea = picker.locator(".bcp-saturation-lightness")
+
+    // Shift+Tab from the first control wraps to the last panel summary
+    await page.keyboard.press("Shift+Tab")
+    expect(
+      await picker.evaluate((el) => el.contains(document.activeElement)),
+    ).toBe(true)
+    await expect(slArea).not.toBeFocused()
+
+    // And Tab from there wraps back to the first
+    await page.keyboard.press("Tab")
+    await expect(slArea).toBeFocused()
+    expect(await isPickerVisible(page)).toBe(true)
+  })
+
+  test("ESC returns focus to the input without reopening", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    await waitForPicker(page)
+
+    await page.keyboard.press("Escape")
+    await page.waitForTimeout(200)
+
+    await expect(input).toBeFocused()
+    expect(await isPickerVisible(page)).toBe(false)
+
+    // Tab continues from the input and opens the picker for the next one
+    await page.keyboard.press("Tab")
+    const picker = await waitForPicker(page)
+    await expect(picker.locator(".bcp-saturation-lightness")).toBeFocused()
+  })
+
+  test("committing with Enter returns focus to the input", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    const hexInput = picker.locator(".bcp-hex-input")
+    await hexInput.fill("#00ff00")
+    await hexInput.press("Enter")
+    await page.waitForTimeout(200)
+
+    expect(await isPickerVisible(page)).toBe(false)
+    await expect(input).toBeFocused()
+    expect(await input.inputValue()).toBe("#00ff00")
+  })
+
+  test("Enter on a slider commits and returns focus to the input", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.evaluate((el) => {
+      window.changes = []
+      el.addEventListener("change", () => window.changes.push(el.value))
+    })
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-hue-slider").focus()
+    await page.keyboard.press("PageUp")
+    await page.keyboard.press("PageUp")
+    await page.keyboard.press("Enter")
+    await page.waitForTimeout(200)
+
+    expect(await isPickerVisible(page)).toBe(false)
+    await expect(input).toBeFocused()
+    expect(await input.inputValue()).not.toBe("#ff0000")
+    expect(await page.evaluate(() => window.changes)).toEqual([
+      await input.inputValue(),
+    ])
+  })
+
+  test("focus leaving the picker closes it", async () => {
+    await page.getByTestId("color-basic").click()
+    await waitForPicker(page)
+
+    await page.evaluate(() => {
+      const button = document.createElement("button")
+      button.textContent = "Elsewhere"
+      document.body.appendChild(button)
+      button.focus()
+    })
+    await page.waitForTimeout(200)
+
+    expect(await isPickerVisible(page)).toBe(false)
+  })
+
   test("only one picker visible at a time", async () => {
     const input1 = page.getByTestId("color-basic")
     const input2 = page.getByTestId("color-2")
@@ -226,6 +226,531 @@ test.describe("Color Selection Flow", () => {
     expect(inputValueAfter).toBe(originalInputValue)
   })
 
+  test("text field accepts CSS color strings", async () => {
+    const input = page.getByTestId("color-basic")
+
+    // Open picker
+    await input.click()
+    await waitForPicker(page)
+
+    const cases = [
+      ["rgb(0 0 255)", "#0000ff"],
+      ["hsl(120, 100%, 50%)", "#00ff00"],
+      ["#f0f", "#ff00ff"],
+      ["rebeccapurple", "#663399"],
+      ["oklch(62.8% 0.2577 29.23)", "#ff0000"],
+    ]
+
+    for (const [value, expected] of cases) {
+      await setPickerHexValue(page, value)
+      await page.waitForTimeout(50)
+
+      const inputValue = await input.inputValue()
+      expect(inputValue.toLowerCase()).toBe(expected)
+    }
+  })
+
+  test("shows the nearest named color", async () => {
+    await page.getByTestId("color-basic").click()
+    const picker = await waitForPicker(page)
+    const colorName = picker.locator(".bcp-color-name")
+
+    await expect(colorName).toHaveText("red")
+
+    await setPickerHexValue(page, "#6596e6")
+    await expect(colorName).toHaveText(/^≈ cornflowerblue \(ΔE \d+\.\d\)$/)
+
+    // Typing a name jumps to it
+    await setPickerHexValue(page, "cornflowerblue")
+    await expect(colorName).toHaveText("cornflowerblue")
+  })
+
+  test("shows delta E from the color at open", async () => {
+    await page.getByTestId("color-basic").click()
+    await waitForPicker(page)
+
+    const deltaE = page.locator(".bcp-delta-e")
+    await expect(deltaE).toHaveText("ΔE 0.0")
+
+    // #fe0000 is imperceptibly different, blue is far away
+    await setPickerHexValue(page, "#fe0000")
+    await expect(deltaE).toHaveText(/^ΔE 0\.\d$/)
+
+    await setPickerHexValue(page, "#0000ff")
+    const value = parseFloat((await deltaE.textContent()).slice(3))
+    expect(value).toBeGreaterThan(50)
+  })
+
+  test("contrast panel checks against white by default", async () => {
+    await page.getByTestId("color-basic").click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-contrast-summary").click()
+
+    // #ff0000 on white
+    await expect(picker.locator(".bcp-contrast-ratio")).toHaveText("3.99:1")
+    await expect(picker.locator('[data-criterion="normalAA"]')).toHaveClass(
+      /bcp-fail/,
+    )
+    await expect(picker.locator('[data-criterion="largeAA"]')).toHaveClass(
+      /bcp-pass/,
+    )
+  })
+
+  test("contrast reference can be switched to black", async () => {
+    await page.getByTestId("color-basic").click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-contrast-summary").click()
+    await picker.locator('.bcp-contrast-swatch[title="#000000"]').click()
+
+    await expect(picker.locator(".bcp-contrast-ratio")).toHaveText("5.25:1")
+    await expect(picker.locator('[data-criterion="normalAA"]')).toHaveClass(
+      /bcp-pass/,
+    )
+
+    // Choosing a reference does not change the color or close the picker
+    await expect(picker).toBeVisible()
+    expect(await getPickerHexValue(page)).toBe("#FF0000")
+  })
+
+  test("vision simulation changes the preview but not the value", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-vision-summary").click()
+    await picker.locator(".bcp-vision-type").selectOption("deutan")
+
+    const preview = picker.locator(".bcp-preview-color")
+    await expect(preview).not.toHaveCSS("background-color", "rgb(255, 0, 0)")
+    await expect(picker).toHaveClass(/bcp-simulating/)
+    expect(await input.inputValue()).toBe("#ff0000")
+
+    await picker.locator(".bcp-vision-type").selectOption("")
+    await expect(preview).toHaveCSS("background-color", "rgb(255, 0, 0)")
+  })
+
+  test("temperature field sets a blackbody color", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-temperature-summary").click()
+    await picker.locator(".bcp-temperature-input").fill("2700")
+
+    expect(await input.inputValue()).toBe("#ffa757")
+    await expect(picker.locator(".bcp-temperature-slider")).toHaveValue("2700")
+  })
+
+  test("harmony swatches follow the chosen scheme", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    // Swatches are only filled in while the panel is open
+    const swatches = picker.locator(".bcp-harmony-swatch")
+    await expect(swatches).toHaveCount(0)
+    await picker.locator(".bcp-harmony-summary").click()
+    await expect(swatches).toHaveCount(2)
+    await expect(swatches.nth(1)).toHaveAttribute("data-color", "#00ffff")
+    await expect(swatches.nth(1)).toHaveAttribute(
+      "aria-label",
+      "vivid cyan, #00ffff",
+    )
+
+    await picker.locator(".bcp-harmony-scheme").selectOption("triadic")
+    await expect(swatches).toHaveCount(3)
+
+    // Clicking a swatch picks that color and keeps the picker open
+    await swatches.nth(1).click()
+    await expect(picker).toBeVisible()
+    expect(await input.inputValue()).toBe("#00ff00")
+    await expect(swatches.nth(0)).toHaveAttribute("data-color", "#00ff00")
+
+    // Choosing a swatch from the keyboard keeps focus on it
+    await swatches.nth(2).focus()
+    await page.keyboard.press("Enter")
+    await expect(swatches.nth(2)).toBeFocused()
+    expect(await input.inputValue()).toBe("#ff0000")
+    await expect(swatches.nth(0)).toHaveAttribute("data-color", "#ff0000")
+  })
+
+  test("scale panel shows a 50-950 ramp around the current color", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    const swatches = picker.locator(".bcp-scale-swatch")
+    await expect(swatches).toHaveCount(0)
+    await picker.locator(".bcp-scale-summary").click()
+    await expect(swatches).toHaveCount(11)
+    await expect(
+      picker.locator('.bcp-scale-swatch[data-step="500"]'),
+    ).toHaveAttribute("data-color", "#ff0000")
+    await expect(
+      picker.locator('.bcp-scale-swatch[data-step="500"]'),
+    ).toHaveAttribute("aria-label", "500: vivid red, #ff0000")
+
+    await picker.locator('.bcp-scale-export[data-format="css"]').click()
+    const output = picker.locator(".bcp-scale-output")
+    await expect(output).toBeVisible()
+    await expect(output).toHaveValue(/--primary-500: #ff0000;/)
+
+    await picker.locator('.bcp-scale-export[data-format="tailwind"]').click()
+    await expect(output).toHaveValue(/500: "#ff0000",/)
+
+    // Clicking a step picks it
+    await picker.locator('.bcp-scale-swatch[data-step="950"]').click()
+    await expect(picker).toBeVisible()
+    expect(await input.inputValue()).not.toBe("#ff0000")
+
+    // Choosing a step from the keyboard keeps focus on it
+    const step100 = picker.locator('.bcp-scale-swatch[data-step="100"]')
+    await step100.focus()
+    await page.keyboard.press("Enter")
+    await expect(step100).toBeFocused()
+    await expect(swatches).toHaveCount(11)
+  })
+
+  test("mix panel blends the current color with a swatch", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-mix-summary").click()
+    const value = picker.locator(".bcp-mix-value")
+
+    // Half white in OKLab, the color-mix() default
+    await expect(value).toHaveText("#ffa191")
+    await expect(picker.locator(".bcp-mix-hue")).toBeDisabled()
+
+    const black = picker.getByRole("button", {
+      name: "Mix with black, #000000",
+    })
+    await black.click()
+    await expect(black).toHaveAttribute("aria-pressed", "true")
+    await expect(value).toHaveText("#630000")
+
+    await picker.locator(".bcp-mix-space").selectOption("srgb")
+    await picker.locator(".bcp-mix-amount").fill("20")
+    await expect(picker.locator(".bcp-mix-percent")).toHaveText("20%")
+    await expect(value).toHaveText("#cc0000")
+
+    // Applying the result picks it and keeps the picker open
+    await picker.locator(".bcp-mix-apply").click()
+    await expect(picker).toBeVisible()
+    expect(await input.inputValue()).toBe("#cc0000")
+  })
+
+  test("gradient panel builds a CSS gradient from the picked stops", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    // The selected stop takes the current color when the panel opens
+    await picker.locator(".bcp-gradient-summary").click()
+    const output = picker.locator(".bcp-gradient-output")
+    await expect(output).toHaveValue(
+      "linear-gradient(90deg in oklab, #ff0000 0%, #ffffff 100%)",
+    )
+    await expect(picker.locator(".bcp-gradient-remove")).toBeDisabled()
+
+    // New stops split the widest gap and are edited by the picker
+    await picker.locator(".bcp-gradient-add").click()
+    await expect(picker.locator(".bcp-gradient-stop")).toHaveCount(3)
+    await expect(picker.locator(".bcp-gradient-position")).toHaveValue("50")
+    await picker.locator(".bcp-gradient-position").fill("25")
+    await picker.locator(".bcp-hex-input").fill("#0000ff")
+    await expect(output).toHaveValue(
+      "linear-gradient(90deg in oklab, #ff0000 0%, #0000ff 25%, #ffffff 100%)",
+    )
+
+    await picker.locator(".bcp-gradient-type").selectOption("conic")
+    await picker.locator(".bcp-gradient-angle").fill("45")
+    await picker.locator(".bcp-gradient-space").selectOption("oklch")
+    await picker.locator(".bcp-gradient-hue").selectOption("longer")
+    await expect(output).toHaveValue(
+      "conic-gradient(from 45deg in oklch longer hue, #ff0000 0%, #0000ff 25%, #ffffff 100%)",
+    )
+
+    // Selecting a stop loads its color into the picker
+    await picker.locator(".bcp-gradient-stop").first().click()
+    expect(await input.inputValue()).toBe("#ff0000")
+
+    // Selecting a stop from the keyboard keeps focus on it
+    const stops = picker.locator(".bcp-gradient-stop")
+    await stops.nth(2).focus()
+    await page.keyboard.press("Space")
+    expect(await input.inputValue()).toBe("#0000ff")
+    await expect(stops.nth(2)).toHaveAttribute("aria-pressed", "true")
+    await expect(stops.nth(2)).toBeFocused()
+    await picker.locator(".bcp-gradient-copy").click()
+    await expect(picker).toBeVisible()
+  })
+
+  test("palette panel snaps the input's value", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-quantize-summary").click()
+    await expect(picker.locator(".bcp-quantize-indicator")).toBeHidden()
+
+    await picker.locator(".bcp-hex-input").fill("#c81e64")
+    await picker.locator(".bcp-quantize-mode").selectOption("web-safe")
+    expect(await input.inputValue()).toBe("#cc3366")
+    await expect(picker.locator(".bcp-quantize-indicator")).toBeVisible()
+    await expect(picker.locator(".bcp-quantize-value")).toContainText("#cc3366")
+
+    await picker.locator(".bcp-quantize-mode").selectOption("cga")
+    expect(await input.inputValue()).toBe("#aa00aa")
+
+    // The picker keeps the unsnapped color
+    await expect(picker.locator(".bcp-hex-input")).toHaveValue("#C81E64")
+
+    await picker.locator(".bcp-quantize-mode").selectOption("custom")
+    await expect(picker.locator(".bcp-quantize-palette")).toBeVisible()
+    await picker.locator(".bcp-quantize-palette").fill("#000, red, lime")
+    expect(await input.inputValue()).toBe("#ff0000")
+
+    await picker.locator(".bcp-quantize-mode").selectOption("")
+    expect(await input.inputValue()).toBe("#c81e64")
+  })
+
+  test("adjust panel steps the color and undoes adjustments", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-adjust-summary").click()
+    await picker.locator(".bcp-hex-input").fill("#336699")
+    await picker.locator(".bcp-adjust-space").selectOption("hsl")
+    await expect(picker.locator(".bcp-adjust-undo")).toBeDisabled()
+
+    // Same results as Sass's lighten() and adjust-hue()
+    await picker.locator('.bcp-adjust-btn[data-operation="lighten"]').click()
+    expect(await input.inputValue()).toBe("#4080bf")
+    await picker.locator('.bcp-adjust-btn[data-operation="rotate"]').click()
+    expect(await input.inputValue()).toBe("#4040bf")
+    await picker.locator('.bcp-adjust-btn[data-operation="complement"]').click()
+    expect(await input.inputValue()).toBe("#bfbf40")
+
+    const steps = picker.locator(".bcp-adjust-step")
+    await expect(steps).toHaveCount(3)
+    await expect(steps.nth(1)).toContainText("Rotate hue 30°")
+
+    await picker.locator(".bcp-adjust-undo").click()
+    expect(await input.inputValue()).toBe("#4040bf")
+
+    // Going back to a step drops the ones after it and keeps focus on it
+    await steps.first().focus()
+    await page.keyboard.press("Space")
+    expect(await input.inputValue()).toBe("#4080bf")
+    await expect(steps).toHaveCount(1)
+    await expect(steps.first()).toBeFocused()
+
+    await picker.locator(".bcp-adjust-undo").click()
+    expect(await input.inputValue()).toBe("#336699")
+    await expect(picker.locator(".bcp-adjust-undo")).toBeDisabled()
+  })
+
+  test("sliders expose ARIA slider semantics", async () => {
+    await page.getByTestId("color-alpha").click()
+    const picker = await waitForPicker(page)
+
+    const slArea = picker.locator(".bcp-saturation-lightness")
+    await expect(slArea).toHaveAttribute("role", "slider")
+    await expect(slArea).toHaveAttribute("tabindex", "0")
+    await expect(slArea).toHaveAttribute("aria-roledescription", "2D slider")
+    await expect(slArea).toHaveAttribute(
+      "aria-valuetext",
+      /^Saturation \d+%, brightness \d+%$/,
+    )
+
+    const hueSlider = picker.locator(".bcp-hue-slider")
+    await expect(hueSlider).toHaveAttribute("role", "slider")
+    await expect(hueSlider).toHaveAttribute("aria-label", "Hue")
+    await expect(hueSlider).toHaveAttribute("aria-valuemax", "360")
+
+    const alphaSlider = picker.locator(".bcp-alpha-slider")
+    await expect(alphaSlider).toHaveAttribute("role", "slider")
+    await expect(alphaSlider).toHaveAttribute("aria-valuemax", "100")
+  })
+
+  test("format fields and contrast references have accessible names", async () => {
+    await page.getByTestId("color-alpha").click()
+    const picker = await waitForPicker(page)
+
+    // Fields of the formats not shown are hidden until toggled to
+    await expect(
+      picker.getByRole("spinbutton", { name: "Red", includeHidden: true }),
+    ).toHaveCount(1)
+    await expect(
+      picker.getByRole("spinbutton", {
+        name: "OKLCH chroma",
+        includeHidden: true,
+      }),
+    ).toHaveCount(1)
+    await expect(
+      picker.getByRole("spinbutton", { name: "Lab a", includeHidden: true }),
+    ).toHaveCount(1)
+
+    await expect(
+      picker.locator(".bcp-contrast-swatch").first(),
+    ).toHaveAttribute("aria-label", "Compare against white, #ffffff")
+  })
+
+  test("sliders can be operated from the keyboard", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    const picker = await waitForPicker(page)
+
+    // Left and right change saturation, up and down brightness
+    const slArea = picker.locator(".bcp-saturation-lightness")
+    await slArea.focus()
+    await page.keyboard.press("Shift+ArrowDown")
+    await expect(slArea).toHaveAttribute(
+      "aria-valuetext",
+      "Saturation 100%, brightness 90%",
+    )
+    await page.keyboard.press("Home")
+    await expect(slArea).toHaveAttribute("aria-valuenow", "0")
+    expect(await input.inputValue()).toBe("#e6e6e6")
+    await page.keyboard.press("End")
+    await page.keyboard.press("PageUp")
+    expect(await input.inputValue()).toBe("#ff0000")
+
+    const hueSlider = picker.locator(".bcp-hue-slider")
+    await hueSlider.focus()
+    await page.keyboard.press("ArrowRight")
+    await expect(hueSlider).toHaveAttribute("aria-valuenow", "1")
+    await page.keyboard.press("Shift+ArrowUp")
+    await page.keyboard.press("PageUp")
+    await expect(hueSlider).toHaveAttribute("aria-valuetext", "21 degrees")
+    await page.keyboard.press("End")
+    await expect(hueSlider).toHaveAttribute("aria-valuenow", "360")
+    await page.keyboard.press("Home")
+    expect(await input.inputValue()).toBe("#ff0000")
+
+    // The keys don't scroll the page or leave the picker
+    await expect(hueSlider).toBeFocused()
+    await expect(picker).toBeVisible()
+  })
+
+  test("color changes are announced once they settle", async () => {
+    await page.getByTestId("color-basic").click()
+    const picker = await waitForPicker(page)
+
+    const liveRegion = picker.locator(".bcp-live-region")
+    await expect(liveRegion).toHaveAttribute("aria-live", "polite")
+    await expect(liveRegion).toHaveText("")
+
+    // Nothing is announced mid-adjustment
+    const slArea = picker.locator(".bcp-saturation-lightness")
+    await slArea.focus()
+    await page.keyboard.press("PageDown")
+    await page.keyboard.press("PageDown")
+    await expect(liveRegion).toHaveText("")
+
+    for (let i = 0; i < 3; i++) {
+      await page.keyboard.press("PageDown")
+    }
+    await expect(liveRegion).toHaveText(
+      "Dark red, #800000, contrast 10.9 against white",
+    )
+  })
+
+  test("tab moves through the picker controls in visual order", async () => {
+    await page.getByTestId("color-alpha").click()
+    const picker = await waitForPicker(page)
+
+    await picker.locator(".bcp-saturation-lightness").focus()
+    for (const selector of [
+      ".bcp-eyedropper-btn",
+      ".bcp-hue-slider",
+      ".bcp-alpha-slider",
+      ".bcp-format-toggle",
+      ".bcp-hex-input",
+    ]) {
+      await page.keyboard.press("Tab")
+      await expect(picker.locator(selector)).toBeFocused()
+    }
+
+    await page.keyboard.press("Shift+Tab")
+    await expect(picker.locator(".bcp-format-toggle")).toBeFocused()
+  })
+
+  test("alpha slider only appears for inputs with the alpha attribute", async () => {
+    await page.getByTestId("color-basic").click()
+    await waitForPicker(page)
+    await expect(page.locator(".bcp-alpha-slider")).toHaveCount(0)
+
+    await page.keyboard.press("Escape")
+    await page.waitForTimeout(200)
+
+    await page.getByTestId("color-alpha").click()
+    await waitForPicker(page)
+    await expect(page.locator(".bcp-alpha-slider")).toHaveCount(1)
+  })
+
+  test("display-p3 inputs show the sRGB gamut boundary", async () => {
+    await page.getByTestId("color-basic").click()
+    await waitForPicker(page)
+    await expect(page.locator(".bcp-gamut-boundary")).toHaveCount(0)
+
+    await page.keyboard.press("Escape")
+    await page.waitForTimeout(200)
+
+    await page.getByTestId("color-p3").click()
+    await waitForPicker(page)
+    await expect(page.locator(".bcp-gamut-boundary")).toHaveCount(1)
+
+    const points = await page
+      .locator(".bcp-gamut-boundary polyline")
+      .getAttribute("points")
+    expect(points.split(" ").length).toBeGreaterThan(10)
+  })
+
+  test("alpha slider produces 8-digit hex", async () => {
+    const input = page.getByTestId("color-alpha")
+
+    // Open picker
+    await input.click()
+    await waitForPicker(page)
+
+    const picker = await getPicker(page)
+    const alphaSlider = picker.locator(".bcp-alpha-slider")
+    const box = await alphaSlider.boundingBox()
+
+    // Click in the middle of the slider (about 50% opacity)
+    await alphaSlider.click({
+      position: { x: box.width / 2, y: box.height / 2 },
+    })
+    await page.waitForTimeout(100)
+
+    const hexValue = await getPickerHexValue(page)
+    expect(hexValue).toMatch(/^#FF0000[0-9A-F]{2}$/)
+
+    const alpha = parseInt(hexValue.slice(7), 16) / 255
+    expect(Math.abs(alpha - 0.5)).toBeLessThan(0.05)
+  })
+
+  test("typing an rgba value sets alpha", async () => {
+    const input = page.getByTestId("color-alpha")
+
+    // Open picker
+    await input.click()
+    await waitForPicker(page)
+
+    await setPickerHexValue(page, "rgba(0, 0, 255, 0.25)")
+    await page.locator(".bcp-hex-input").blur()
+    await page.waitForTimeout(100)
+
+    const hexValue = await getPickerHexValue(page)
+    expect(hexValue).toBe("#0000FF40")
+  })
+
   test("clicking saturation area changes color", async () => {
     const input = page.getByTestId("color-basic")
 
@@ -389,6 +914,188 @@ test.describe("Color Selection Flow", () => {
     expect(hexValue.toLowerCase()).toBe("#123456")
   })
 
+  test("black and gray keep the hue across edits and reopening", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.click()
+    let picker = await waitForPicker(page)
+    const hueThumb = () => picker.locator(".bcp-hue-slider .bcp-slider-thumb")
+    const hueOf = async () =>
+      parseFloat(await hueThumb().evaluate((el) => el.style.left))
+
+    await setPickerHexValue(page, "#0000cc")
+    expect(await hueOf()).toBeCloseTo(66.67, 1)
+
+    await setPickerHexValue(page, "#000000")
+    expect(await hueOf()).toBeCloseTo(66.67, 1)
+
+    await setPickerHexValue(page, "#808080")
+    expect(await hueOf()).toBeCloseTo(66.67, 1)
+
+    // Reopening a gray input restores the hue it was left at
+    await picker.locator(".bcp-hex-input").press("Enter")
+    await page.waitForTimeout(200)
+    await input.click()
+    picker = await waitForPicker(page)
+    expect(await hueOf()).toBeCloseTo(66.67, 1)
+
+    // Dragging out of the gray brings back the blue
+    const slArea = picker.locator(".bcp-saturation-lightness")
+    const box = await slArea.boundingBox()
+    await page.mouse.click(box.x + box.width - 2, box.y + 2)
+    const value = await input.inputValue()
+    expect(value.slice(1, 5)).toBe("0000")
+  })
+
+  test("input fires while adjusting and change only on commit", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.evaluate((el) => {
+      window.colorEvents = []
+      ;["input", "change"].forEach((type) =>
+        el.addEventListener(type, () => window.colorEvents.push(type)),
+      )
+    })
+    const events = () => page.evaluate(() => window.colorEvents)
+
+    await input.click()
+    const picker = await waitForPicker(page)
+    expect(await events()).toEqual([])
+
+    // Dragging fires input on every move, but no change
+    const slArea = picker.locator(".bcp-saturation-lightness")
+    const box = await slArea.boundingBox()
+    await page.mouse.move(box.x + 10, box.y + 10)
+    await page.mouse.down()
+    for (let i = 1; i <= 5; i++) {
+      await page.mouse.move(box.x + 10 + i * 10, box.y + 10 + i * 10)
+    }
+    await page.mouse.up()
+    const dragged = await events()
+    expect(dragged.length).toBeGreaterThan(1)
+    expect(dragged).not.toContain("change")
+
+    // Clicking outside commits once
+    await page.mouse.click(5, 5)
+    await page.waitForTimeout(200)
+    await expect(page.locator(".bcp-color-picker")).toHaveCount(0)
+    expect((await events()).filter((type) => type === "change")).toEqual([
+      "change",
+    ])
+  })
+
+  test("ESC restores the value from when the picker opened", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.evaluate((el) => {
+      window.colorEvents = []
+      ;["input", "change"].forEach((type) =>
+        el.addEventListener(type, () => window.colorEvents.push(type)),
+      )
+    })
+
+    await input.click()
+    await waitForPicker(page)
+    await setPickerHexValue(page, "#123456")
+    expect(await input.inputValue()).toBe("#123456")
+
+    await page.keyboard.press("Escape")
+    await page.waitForTimeout(200)
+
+    await expect(page.locator(".bcp-color-picker")).toHaveCount(0)
+    expect(await input.inputValue()).toBe("#ff0000")
+    expect(await page.evaluate(() => window.colorEvents)).not.toContain(
+      "change",
+    )
+
+    // Reopening starts from the restored color
+    await input.click()
+    await waitForPicker(page)
+    expect((await getPickerHexValue(page)).toLowerCase()).toBe("#ff0000")
+  })
+
+  test("scrolling away cancels instead of committing", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.evaluate((el) => {
+      window.colorEvents = []
+      ;["input", "change"].forEach((type) =>
+        el.addEventListener(type, () => window.colorEvents.push(type)),
+      )
+    })
+
+    await input.click()
+    await waitForPicker(page)
+    await setPickerHexValue(page, "#123456")
+    expect(await input.inputValue()).toBe("#123456")
+
+    await page.evaluate(() => window.scrollBy(0, 100))
+    await page.waitForTimeout(200)
+
+    await expect(page.locator(".bcp-color-picker")).toHaveCount(0)
+    expect(await input.inputValue()).toBe("#ff0000")
+    expect(await page.evaluate(() => window.colorEvents)).not.toContain(
+      "change",
+    )
+  })
+
+  test("scrolling inside the picker keeps it open", async () => {
+    await page.getByTestId("color-basic").click()
+    await waitForPicker(page)
+
+    await page.evaluate(() => {
+      const picker = document.querySelector(".bcp-color-picker")
+      picker.scrollTop = picker.scrollHeight
+      picker.dispatchEvent(new Event("scroll"))
+
+      const output = picker.querySelector(".bcp-scale-output")
+      output.dispatchEvent(new Event("scroll"))
+    })
+    await page.waitForTimeout(200)
+
+    await expect(page.locator(".bcp-color-picker")).toHaveCount(1)
+  })
+
+  test("opening another input commits the first one", async () => {
+    const input1 = page.getByTestId("color-basic")
+    const input2 = page.getByTestId("color-2")
+    await input1.evaluate((el) => {
+      window.changes = []
+      el.addEventListener("change", () => window.changes.push(el.value))
+    })
+
+    await input1.click()
+    await waitForPicker(page)
+    await setPickerHexValue(page, "#123456")
+
+    await input2.click()
+    await waitForPicker(page)
+
+    expect(await input1.inputValue()).toBe("#123456")
+    expect(await page.evaluate(() => window.changes)).toEqual(["#123456"])
+    expect((await getPickerHexValue(page)).toLowerCase()).toBe("#00ff00")
+  })
+
+  test("choosing a recent color commits it", async () => {
+    const input = page.getByTestId("color-basic")
+
+    // Commit a color so there is a recent color to choose
+    await input.click()
+    await waitForPicker(page)
+    await setPickerHexValue(page, "#00ff00")
+    await page.keyboard.press("Enter")
+    await page.waitForTimeout(200)
+
+    await input.evaluate((el) => {
+      el.value = "#0000ff"
+      window.changes = []
+      el.addEventListener("change", () => window.changes.push(el.value))
+    })
+    await input.click()
+    const picker = await waitForPicker(page)
+    await picker.locator('.bcp-color-swatch[data-color="#00ff00"]').click()
+    await page.waitForTimeout(200)
+
+    await expect(page.locator(".bcp-color-picker")).toHaveCount(0)
+    expect(await page.evaluate(() => window.changes)).toEqual(["#00ff00"])
+  })
+
   test("multiple inputs maintain independent colors", async () => {
     const input1 = page.getByTestId("color-basic")
     const input2 = page.getByTestId("color-2")
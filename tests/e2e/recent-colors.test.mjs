@@ -236,6 +236,22 @@ test.describe("Recent Colors Integration", () => {
     expect(countAfter).toBe(3)
   })
 
+  test("cancelling with Escape does not add a recent color", async () => {
+    const input = page.getByTestId("color-basic")
+
+    await input.click()
+    await waitForPicker(page)
+    await setPickerHexValue(page, "#123456")
+    await page.keyboard.press("Escape")
+    await page.waitForTimeout(100)
+
+    await input.click()
+    await waitForPicker(page)
+
+    const count = await getRecentColorsCount(page)
+    expect(count).toBe(0)
+  })
+
   test("recent colors limited to 14 (maxColors)", async () => {
     const input = page.getByTestId("color-basic")
 
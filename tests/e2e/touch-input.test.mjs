@@ -0,0 +1,279 @@
+/**
+ * E2E Tests: Touch Input
+ * Tests dragging the saturation area and sliders with touch and pointer
+ * events, including multi-touch and cancelled gestures
+ */
+
+import { test, expect, firefox } from "@playwright/test"
+import path from "path"
+import { fileURLToPath } from "url"
+import { readFileSync } from "fs"
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const extensionPath = path.resolve(__dirname, "../../dist")
+
+/**
+ * Helper: Get picker element from page
+ */
+async function getPicker(page) {
+  return await page.locator(".bcp-color-picker")
+}
+
+/**
+ * Helper: Wait for picker to appear
+ */
+async function waitForPicker(page, timeout = 3000) {
+  const picker = await getPicker(page)
+  await picker.waitFor({ state: "visible", timeout })
+  return picker
+}
+
+/**
+ * Helper: Convert hex to RGB object
+ */
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
+  return result
+    ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16),
+      }
+    : null
+}
+
+/**
+ * Helper: Check if two colors are approximately equal (within tolerance)
+ */
+function colorsApproximatelyEqual(hex1, hex2, tolerance = 5) {
+  const rgb1 = hexToRgb(hex1)
+  const rgb2 = hexToRgb(hex2)
+  if (!rgb1 || !rgb2) return false
+
+  return (
+    Math.abs(rgb1.r - rgb2.r) <= tolerance &&
+    Math.abs(rgb1.g - rgb2.g) <= tolerance &&
+    Math.abs(rgb1.b - rgb2.b) <= tolerance
+  )
+}
+
+/**
+ * Helper: Dispatch a synthetic touch pointer event at a fraction of an
+ * element's size. It skips hit testing, pointer capture and touch-action, so
+ * it only stands in for a second finger or a pointer the browser cancelled
+ * next to a real drag; it doesn't test touch dragging itself.
+ */
+async function touch(locator, type, pointerId, fx, fy) {
+  const box = await locator.boundingBox()
+  await locator.dispatchEvent(type, {
+    pointerId,
+    pointerType: "touch",
+    isPrimary: pointerId === 1,
+    button: type === "pointermove" ? -1 : 0,
+    clientX: box.x + box.width * fx,
+    clientY: box.y + box.height * fy,
+    bubbles: true,
+    cancelable: true,
+  })
+}
+
+/**
+ * Helper: Press the real mouse at a fraction of an element's size, going
+ * through the browser's hit testing and pointer capture. Resolves to the
+ * pointerId the page saw.
+ */
+async function pressMouse(page, locator, fx, fy) {
+  await locator.evaluate((el) => {
+    el.addEventListener(
+      "pointerdown",
+      (e) => {
+        window.lastPointerId = e.pointerId
+      },
+      { once: true },
+    )
+  })
+  const box = await locator.boundingBox()
+  await page.mouse.move(box.x + box.width * fx, box.y + box.height * fy)
+  await page.mouse.down()
+  return await page.evaluate(() => window.lastPointerId)
+}
+
+// Test suite with extension loaded on a touch device
+test.describe("Touch Input", () => {
+  let browser
+  let context
+  let page
+
+  // Setup: Launch browser
+  test.beforeAll(async () => {
+    browser = await firefox.launch({
+      headless: true,
+    })
+  })
+
+  test.beforeEach(async () => {
+    context = await browser.newContext({ hasTouch: true })
+    page = await context.newPage()
+
+    // Navigate to test page (server is started by Playwright)
+    await page.goto("http://localhost:3456")
+
+    // Inject extension code
+    const contentJS = readFileSync(
+      path.join(extensionPath, "content.js"),
+      "utf-8",
+    )
+    const pickerCSS = readFileSync(
+      path.join(extensionPath, "picker.css"),
+      "utf-8",
+    )
+
+    // Inject CSS
+    await page.addStyleTag({ content: pickerCSS })
+
+    // Mock browser.storage API
+    await page.evaluate(() => {
+      window.browser = {
+        storage: {
+          local: {
+            async get(key) {
+              const stored = localStorage.getItem(key)
+              return stored ? { [key]: JSON.parse(stored) } : {}
+            },
+            async set(data) {
+              for (const [key, value] of Object.entries(data)) {
+                localStorage.setItem(key, JSON.stringify(value))
+              }
+            },
+          },
+        },
+      }
+    })
+
+    // Inject content script
+    await page.addScriptTag({ content: contentJS, type: "module" })
+
+    // Wait for initialization
+    await page.waitForTimeout(100)
+  })
+
+  test.afterEach(async () => {
+    await context.close()
+  })
+
+  test("tapping the saturation area picks a color", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.tap()
+    const picker = await waitForPicker(page)
+
+    const saturationArea = picker.locator(".bcp-saturation-lightness")
+    const box = await saturationArea.boundingBox()
+    await saturationArea.tap({
+      position: { x: box.width / 2, y: box.height / 2 },
+    })
+
+    // Half saturation and half brightness of red
+    expect(
+      colorsApproximatelyEqual(await input.inputValue(), "#804040", 8),
+    ).toBe(true)
+  })
+
+  test("tapping the hue slider changes the hue", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.tap()
+    const picker = await waitForPicker(page)
+
+    const hueSlider = picker.locator(".bcp-hue-slider")
+    const box = await hueSlider.boundingBox()
+    await hueSlider.tap({
+      position: { x: box.width / 2, y: box.height / 2 },
+    })
+
+    expect(
+      colorsApproximatelyEqual(await input.inputValue(), "#00ffff", 12),
+    ).toBe(true)
+  })
+
+  test("drag surfaces opt out of browser touch gestures", async () => {
+    await page.getByTestId("color-alpha").tap()
+    const picker = await waitForPicker(page)
+
+    for (const selector of [
+      ".bcp-saturation-lightness",
+      ".bcp-hue-slider",
+      ".bcp-alpha-slider",
+    ]) {
+      const touchAction = await picker
+        .locator(selector)
+        .evaluate((el) => getComputedStyle(el).touchAction)
+      expect(touchAction).toBe("none")
+    }
+  })
+
+  test("a drag keeps following the pointer outside the surface", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.tap()
+    const picker = await waitForPicker(page)
+    const saturationArea = picker.locator(".bcp-saturation-lightness")
+    const box = await saturationArea.boundingBox()
+
+    await pressMouse(page, saturationArea, 0.5, 0.5)
+    await page.mouse.move(box.x + box.width - 1, box.y + 1)
+    expect(
+      colorsApproximatelyEqual(await input.inputValue(), "#ff0000", 8),
+    ).toBe(true)
+
+    // Only pointer capture delivers moves and the release past the edge
+    await page.mouse.move(box.x - 50, box.y + box.height + 50)
+    expect(await input.inputValue()).toBe("#000000")
+    await page.mouse.up()
+
+    // Moves after the release don't change the color
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 4)
+    expect(await input.inputValue()).toBe("#000000")
+    await expect(picker).toBeVisible()
+
+    // And the next press starts a new drag instead of cancelling a stale one
+    await page.mouse.down()
+    await page.mouse.up()
+    expect(
+      colorsApproximatelyEqual(await input.inputValue(), "#bf6060", 8),
+    ).toBe(true)
+  })
+
+  test("a second finger cancels the drag", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.tap()
+    const picker = await waitForPicker(page)
+    const saturationArea = picker.locator(".bcp-saturation-lightness")
+    const box = await saturationArea.boundingBox()
+
+    await pressMouse(page, saturationArea, 0.5, 0.5)
+    await page.mouse.move(box.x + box.width * 0.2, box.y + box.height * 0.8)
+    expect(await input.inputValue()).not.toBe("#ff0000")
+
+    // A pinch: the color goes back to where the drag started
+    await touch(picker.locator(".bcp-hue-slider"), "pointerdown", 99, 0.5, 0.5)
+    expect(await input.inputValue()).toBe("#ff0000")
+
+    // The first pointer doesn't drag any more
+    await page.mouse.move(box.x + 1, box.y + box.height - 1)
+    expect(await input.inputValue()).toBe("#ff0000")
+    await page.mouse.up()
+  })
+
+  test("a cancelled pointer restores the color", async () => {
+    const input = page.getByTestId("color-basic")
+    await input.tap()
+    const picker = await waitForPicker(page)
+    const hueSlider = picker.locator(".bcp-hue-slider")
+
+    const pointerId = await pressMouse(page, hueSlider, 0.5, 0.5)
+    expect(await input.inputValue()).not.toBe("#ff0000")
+
+    await touch(hueSlider, "pointercancel", pointerId, 0.5, 0.5)
+    expect(await input.inputValue()).toBe("#ff0000")
+    await page.mouse.up()
+    await expect(picker).toBeVisible()
+  })
+})
@@ -0,0 +1,196 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { Color, COLOR_SPACES } from "../../src/utils/Color.mjs"
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  Object.entries(expected).forEach(([key, value]) => {
+    assert.ok(
+      Math.abs(actual[key] - value) <= tolerance,
+      `${key}: ${actual[key]} != ${value}`,
+    )
+  })
+
+describe("Color", () => {
+  describe("Basic Functionality", () => {
+    it("keeps the space and coordinates it was created with", () => {
+      const color = new Color("hsl", { h: 210, s: 50, l: 40 }, 0.5)
+      assert.strictEqual(color.space, "hsl")
+      assert.deepStrictEqual(color.coords, { h: 210, s: 50, l: 40 })
+      assert.strictEqual(color.alpha, 0.5)
+    })
+
+    it("converts to every space", () => {
+      const color = new Color("srgb", { r: 51, g: 102, b: 153 })
+      assert.deepStrictEqual(color.rgb, { r: 51, g: 102, b: 153 })
+      assert.strictEqual(color.hex, "#336699")
+      close(color.hsv, { h: 210, s: 200 / 3, v: 60 })
+      close(color.hsl, { h: 210, s: 50, l: 40 })
+      close(color.hwb, { h: 210, w: 20, b: 40 })
+      close(color.cmyk, { c: 200 / 3, m: 100 / 3, y: 0, k: 40 })
+      close(color.oklch, { l: 0.4993, c: 0.0987, h: 250.433 }, 1e-3)
+      close(color.lab, { l: 41.52, a: -4.57, b: -33.49 }, 0.01)
+      close(color.lch, { l: 41.52, c: 33.8, h: 262.23 }, 0.01)
+    })
+
+    it("round trips through every space", () => {
+      const color = new Color("srgb", { r: 51, g: 102, b: 153 }, 0.25)
+      COLOR_SPACES.forEach((space) => {
+        const converted = color.to(space)
+        assert.strictEqual(converted.space, space)
+        assert.ok(converted.equals(color), space)
+        assert.strictEqual(converted.to("srgb").hex, "#33669940", space)
+      })
+    })
+
+    it("does not round until asked for 8-bit channels", () => {
+      const color = new Color("hsl", { h: 0, s: 0, l: 30 })
+      close(color.unitRGB, { r: 0.3, g: 0.3, b: 0.3 })
+      close(color.hsv, { v: 30 })
+      assert.deepStrictEqual(color.rgb, { r: 77, g: 77, b: 77 })
+    })
+
+    it("returns the source coordinates for its own space", () => {
+      const color = new Color("oklch", { l: 0.7, c: 0.1, h: 120 })
+      assert.deepStrictEqual(color.oklch, { l: 0.7, c: 0.1, h: 120 })
+      assert.strictEqual(color.to("oklch"), color)
+    })
+  })
+
+  describe("Immutability", () => {
+    it("cannot be changed", () => {
+      const color = new Color("hsv", { h: 120, s: 50, v: 50 })
+      assert.throws(() => {
+        color.alpha = 0.5
+      }, TypeError)
+      assert.throws(() => {
+        color.coords.h = 0
+      }, TypeError)
+      assert.throws(() => {
+        color.hsl.l = 0
+      }, TypeError)
+    })
+
+    it("copies coordinates on creation", () => {
+      const coords = { r: 255, g: 0, b: 0 }
+      const color = new Color("srgb", coords)
+      coords.g = 255
+      assert.strictEqual(color.hex, "#ff0000")
+    })
+
+    it("computes each conversion once", () => {
+      const color = new Color("hsv", { h: 120, s: 50, v: 50 })
+      assert.strictEqual(color.lab, color.lab)
+      assert.strictEqual(color.rgb, color.rgb)
+    })
+
+    it("returns new colors from with() and withAlpha()", () => {
+      const color = new Color("hsv", { h: 120, s: 50, v: 50 })
+      const rotated = color.with({ h: 240 })
+      const faded = color.withAlpha(0.5)
+
+      assert.deepStrictEqual(rotated.coords, { h: 240, s: 50, v: 50 })
+      assert.strictEqual(faded.alpha, 0.5)
+      assert.deepStrictEqual(color.coords, { h: 120, s: 50, v: 50 })
+      assert.strictEqual(color.alpha, 1)
+    })
+  })
+
+  describe("Parsing and Serialization", () => {
+    it("parses CSS colors as sRGB", () => {
+      const color = Color.parse("rgb(255 128 0 / 50%)")
+      assert.strictEqual(color.space, "srgb")
+      assert.deepStrictEqual(color.rgb, { r: 255, g: 128, b: 0 })
+      assert.strictEqual(color.alpha, 0.5)
+    })
+
+    it("keeps Display P3 colors outside sRGB", () => {
+      const color = Color.parse("color(display-p3 0 1 0)")
+      assert.strictEqual(color.space, "display-p3")
+      assert.ok(color.unitRGB.r < 0)
+      assert.strictEqual(
+        color.toString("display-p3"),
+        "color(display-p3 0 1 0)",
+      )
+    })
+
+    it("keeps lab(), lch() and oklch() colors in their own space", () => {
+      const color = Color.parse("oklch(0.7 0.3 150)")
+      assert.strictEqual(color.space, "oklch")
+      assert.deepStrictEqual(color.coords, { l: 0.7, c: 0.3, h: 150 })
+      // Gamut mapped, not clipped to rgb(0, 203, 0)
+      assert.deepStrictEqual(color.rgb, { r: 0, g: 194, b: 72 })
+
+      assert.strictEqual(Color.parse("lab(50 20 -30)").space, "lab")
+      assert.strictEqual(Color.parse("lch(50 20 30 / 0.5)").alpha, 0.5)
+      assert.strictEqual(Color.parse("oklab(0.5 0.1 0)").space, "oklch")
+    })
+
+    it("returns null for invalid colors", () => {
+      assert.strictEqual(Color.parse("not a color"), null)
+      assert.strictEqual(Color.parse(""), null)
+      assert.strictEqual(Color.parse(null), null)
+    })
+
+    it("serializes in several formats", () => {
+      const color = new Color("srgb", { r: 255, g: 0, b: 0 }, 0.25)
+      assert.strictEqual(color.toString(), "#ff000040")
+      assert.strictEqual(color.toString("rgb"), "rgb(255 0 0 / 0.25)")
+      assert.strictEqual(color.toString("hsl"), "hsl(0 100% 50% / 0.25)")
+      assert.strictEqual(color.toString("srgb"), "color(srgb 1 0 0 / 0.25)")
+      assert.strictEqual(
+        new Color("srgb", { r: 0, g: 0, b: 255 }).toString("rgb"),
+        "rgb(0 0 255)",
+      )
+    })
+
+    it("rejects unknown spaces and formats", () => {
+      assert.throws(() => new Color("xyz", { x: 0, y: 0, z: 0 }), TypeError)
+      assert.throws(() => Color.parse("red").to("xyz"), TypeError)
+      assert.throws(() => Color.parse("red").toString("xyz"), TypeError)
+    })
+  })
+
+  describe("Equality", () => {
+    it("compares colors created in different spaces", () => {
+      const red = Color.parse("red")
+      assert.ok(red.equals(new Color("hsv", { h: 0, s: 100, v: 100 })))
+      assert.ok(red.equals(new Color("hwb", { h: 0, w: 0, b: 0 })))
+      assert.ok(red.equals(new Color("cmyk", { c: 0, m: 100, y: 100, k: 0 })))
+    })
+
+    it("tells different colors and alphas apart", () => {
+      const red = Color.parse("red")
+      assert.ok(!red.equals(Color.parse("#fe0000")))
+      assert.ok(!red.equals(red.withAlpha(0.5)))
+      assert.ok(!red.equals("red"))
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("keeps the hue of grays created in hue-based spaces", () => {
+      const gray = new Color("hsl", { h: 200, s: 0, l: 50 })
+      assert.strictEqual(gray.hsv.h, 200)
+      assert.strictEqual(gray.hwb.h, 200)
+      assert.deepStrictEqual(gray.to("display-p3-hsv").coords.h, 200)
+    })
+
+    it("gives grays from other spaces a hue and saturation of 0", () => {
+      const gray = Color.parse("color(display-p3 0.5 0.5 0.5)")
+      assert.strictEqual(gray.hsv.h, 0)
+      assert.strictEqual(gray.hsv.s, 0)
+    })
+
+    it("gamut maps wide colors into sRGB", () => {
+      const green = Color.parse("color(display-p3 0 1 0)")
+      Object.values(green.to("srgb").coords).forEach((channel) => {
+        assert.ok(channel >= 0 && channel <= 255)
+      })
+      assert.ok(green.to("srgb").equals(new Color("srgb", green.rgb), 0.01))
+    })
+
+    it("clamps alpha", () => {
+      assert.strictEqual(Color.parse("red").withAlpha(2).alpha, 1)
+      assert.strictEqual(Color.parse("red").withAlpha(-1).alpha, 0)
+    })
+  })
+})
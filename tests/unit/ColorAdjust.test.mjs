@@ -0,0 +1,109 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  ADJUSTMENTS,
+  ADJUST_SPACES,
+  adjustColor,
+} from "../../src/utils/ColorAdjust.mjs"
+import { Color } from "../../src/utils/Color.mjs"
+
+const BASE = new Color("srgb", { r: 51, g: 102, b: 153 })
+
+describe("adjustColor", () => {
+  describe("HSL", () => {
+    // Expected values from Sass's color functions on #336699
+    const cases = [
+      ["lighten", 10, "#4080bf"],
+      ["darken", 10, "#264d73"],
+      ["saturate", 10, "#2966a3"],
+      ["desaturate", 10, "#3d668f"],
+      ["rotate", 30, "#333399"],
+      ["complement", 0, "#996633"],
+      ["invert", 0, "#cc9966"],
+      ["grayscale", 0, "#666666"],
+    ]
+
+    cases.forEach(([operation, amount, expected]) => {
+      it(`${operation} matches Sass`, () => {
+        assert.strictEqual(
+          adjustColor(BASE, operation, amount, "hsl").hex,
+          expected,
+        )
+      })
+    })
+
+    it("clamps lightness and saturation", () => {
+      assert.strictEqual(
+        adjustColor(BASE, "lighten", 100, "hsl").hex,
+        "#ffffff",
+      )
+      assert.strictEqual(adjustColor(BASE, "darken", 100, "hsl").hex, "#000000")
+      assert.strictEqual(
+        adjustColor(BASE, "desaturate", 100, "hsl").coords.s,
+        0,
+      )
+    })
+
+    it("wraps the hue", () => {
+      assert.strictEqual(adjustColor(BASE, "rotate", 200, "hsl").coords.h, 50)
+      assert.strictEqual(adjustColor(BASE, "rotate", -240, "hsl").coords.h, 330)
+    })
+  })
+
+  describe("OKLCH", () => {
+    it("changes lightness by percentage points", () => {
+      const lighter = adjustColor(BASE, "lighten", 10)
+      assert.strictEqual(lighter.space, "oklch")
+      assert.ok(Math.abs(lighter.coords.l - (BASE.oklch.l + 0.1)) < 1e-9)
+      assert.strictEqual(lighter.coords.c, BASE.oklch.c)
+      assert.strictEqual(lighter.coords.h, BASE.oklch.h)
+    })
+
+    it("changes chroma by percentages of 0.4", () => {
+      const saturated = adjustColor(BASE, "saturate", 10, "oklch")
+      assert.ok(Math.abs(saturated.coords.c - (BASE.oklch.c + 0.04)) < 1e-9)
+      assert.strictEqual(adjustColor(BASE, "desaturate", 100).coords.c, 0)
+    })
+
+    it("rotates the hue and keeps lightness", () => {
+      const complement = adjustColor(BASE, "complement")
+      assert.ok(Math.abs(complement.coords.h - (BASE.oklch.h - 180)) < 1e-9)
+      assert.strictEqual(complement.coords.l, BASE.oklch.l)
+    })
+
+    it("keeps perceived lightness for grayscale", () => {
+      const gray = adjustColor(BASE, "grayscale")
+      assert.strictEqual(gray.coords.c, 0)
+      assert.strictEqual(gray.hex, "#636363")
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("supports every listed operation and space", () => {
+      assert.strictEqual(ADJUSTMENTS.length, 8)
+      ADJUST_SPACES.forEach((space) =>
+        ADJUSTMENTS.forEach((operation) =>
+          assert.ok(adjustColor(BASE, operation, 10, space) instanceof Color),
+        ),
+      )
+    })
+
+    it("keeps alpha", () => {
+      const faded = BASE.withAlpha(0.5)
+      ADJUSTMENTS.forEach((operation) =>
+        assert.strictEqual(adjustColor(faded, operation, 10).alpha, 0.5),
+      )
+    })
+
+    it("inverts in sRGB", () => {
+      assert.strictEqual(
+        adjustColor(Color.parse("white"), "invert").hex,
+        "#000000",
+      )
+    })
+
+    it("rejects unknown operations", () => {
+      assert.throws(() => adjustColor(BASE, "spin", 10), TypeError)
+    })
+  })
+})
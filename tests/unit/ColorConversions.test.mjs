@@ -10,7 +10,49 @@ import {
   hslToRGB,
   hexToHSL,
   hslToHex,
+  rgbToCMYK,
+  cmykToRGB,
+  kelvinToRGB,
+  KELVIN_RANGE,
+  hsvToHWB,
+  hwbToHSV,
+  srgbToLinear,
+  linearToSRGB,
+  rgbToOKLab,
+  oklabToRGB,
+  rgbToOKLCH,
+  oklchToRGB,
+  oklchToGamutMappedRGB,
+  WHITE_POINTS,
+  rgbToXYZ,
+  xyzToRGB,
+  adaptXYZ,
+  xyzToLab,
+  labToXYZ,
+  rgbToLab,
+  labToRGB,
+  labToUnitSRGB,
+  labToLCH,
+  lchToLab,
+  rgbToLCH,
+  lchToRGB,
+  parseCSSColor,
+  rgbToHex,
+  serializeColorFunction,
+  hsvToUnitRGB,
+  p3ToSRGB,
+  srgbToP3,
+  isInUnitGamut,
+  gamutMapToSRGB,
+  parseDisplayP3,
+  parseLabColor,
+  hslToUnitRGB,
+  mixColors,
+  MIX_SPACES,
+  POLAR_MIX_SPACES,
+  HUE_METHODS,
 } from "../../src/utils/ColorConversions.mjs"
+import { NAMED_COLORS } from "../../src/utils/NamedColors.mjs"
 
 function assertHSVClose(actual, expected, tolerance = 0.5) {
   assert.ok(
@@ -30,6 +72,38 @@ function assertHSLClose(actual, expected, tolerance = 0.5) {
   )
 }
 
+function assertLabClose(actual, expected, tolerance = 0.0005) {
+  assert.ok(
+    Math.abs(actual.l - expected.l) <= tolerance &&
+      Math.abs(actual.a - expected.a) <= tolerance &&
+      Math.abs(actual.b - expected.b) <= tolerance,
+    `Expected Lab close to ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+  )
+}
+
+function assertLCHClose(
+  actual,
+  expected,
+  tolerance = 0.0005,
+  hueTolerance = 0.05,
+) {
+  assert.ok(
+    Math.abs(actual.l - expected.l) <= tolerance &&
+      Math.abs(actual.c - expected.c) <= tolerance &&
+      Math.abs(actual.h - expected.h) <= hueTolerance,
+    `Expected LCH close to ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+  )
+}
+
+function assertXYZClose(actual, expected, tolerance = 0.00001) {
+  assert.ok(
+    Math.abs(actual.x - expected.x) <= tolerance &&
+      Math.abs(actual.y - expected.y) <= tolerance &&
+      Math.abs(actual.z - expected.z) <= tolerance,
+    `Expected XYZ close to ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`,
+  )
+}
+
 describe("hexToRGB", () => {
   describe("Basic Functionality", () => {
     it("converts red color", () => {
@@ -1239,3 +1313,1268 @@ describe("hslToHex", () => {
     })
   })
 })
+
+describe("hsvToHWB / hwbToHSV", () => {
+  it("converts a saturated color", () => {
+    assert.deepStrictEqual(hsvToHWB(0, 100, 100), { h: 0, w: 0, b: 0 })
+  })
+
+  it("converts HSV to HWB", () => {
+    assert.deepStrictEqual(hsvToHWB(210, 50, 60), { h: 210, w: 30, b: 40 })
+  })
+
+  it("converts HWB to HSV", () => {
+    assert.deepStrictEqual(hwbToHSV(210, 30, 40), { h: 210, s: 50, v: 60 })
+  })
+
+  it("converts white and black", () => {
+    assert.deepStrictEqual(hsvToHWB(0, 0, 100), { h: 0, w: 100, b: 0 })
+    assert.deepStrictEqual(hsvToHWB(0, 0, 0), { h: 0, w: 0, b: 100 })
+    assert.deepStrictEqual(hwbToHSV(0, 0, 100), { h: 0, s: 0, v: 0 })
+  })
+
+  it("normalizes whiteness and blackness adding up to more than 100%", () => {
+    assert.deepStrictEqual(hwbToHSV(90, 60, 60), { h: 90, s: 0, v: 50 })
+  })
+
+  it("round-trips", () => {
+    const hwb = hsvToHWB(37, 81, 64)
+    assertHSVClose(hwbToHSV(hwb.h, hwb.w, hwb.b), { h: 37, s: 81, v: 64 }, 1e-9)
+  })
+})
+
+function assertCMYKClose(actual, expected, tolerance = 0.01) {
+  assert.ok(
+    Math.abs(actual.c - expected.c) <= tolerance &&
+      Math.abs(actual.m - expected.m) <= tolerance &&
+      Math.abs(actual.y - expected.y) <= tolerance &&
+      Math.abs(actual.k - expected.k) <= tolerance,
+    `Expected ${JSON.stringify(actual)} to be close to ${JSON.stringify(expected)}`,
+  )
+}
+
+describe("rgbToCMYK", () => {
+  describe("Full Under-Color Removal", () => {
+    it("converts red RGB", () => {
+      assertCMYKClose(rgbToCMYK(255, 0, 0), { c: 0, m: 100, y: 100, k: 0 })
+    })
+
+    it("converts a mixed color", () => {
+      assertCMYKClose(rgbToCMYK(51, 102, 153), {
+        c: 66.67,
+        m: 33.33,
+        y: 0,
+        k: 40,
+      })
+    })
+
+    it("prints black and grays with K only", () => {
+      assertCMYKClose(rgbToCMYK(0, 0, 0), { c: 0, m: 0, y: 0, k: 100 })
+      assertCMYKClose(rgbToCMYK(128, 128, 128), {
+        c: 0,
+        m: 0,
+        y: 0,
+        k: 49.8,
+      })
+    })
+
+    it("converts white RGB", () => {
+      assertCMYKClose(rgbToCMYK(255, 255, 255), { c: 0, m: 0, y: 0, k: 0 })
+    })
+  })
+
+  describe("Naive Conversion", () => {
+    it("inverts each channel without black", () => {
+      assertCMYKClose(rgbToCMYK(51, 102, 153, 0), {
+        c: 80,
+        m: 60,
+        y: 40,
+        k: 0,
+      })
+    })
+
+    it("prints black with C, M and Y", () => {
+      assertCMYKClose(rgbToCMYK(0, 0, 0, 0), { c: 100, m: 100, y: 100, k: 0 })
+    })
+  })
+
+  describe("Partial Under-Color Removal", () => {
+    it("moves half of the shared gray to K", () => {
+      assertCMYKClose(rgbToCMYK(51, 102, 153, 0.5), {
+        c: 75,
+        m: 50,
+        y: 25,
+        k: 20,
+      })
+    })
+  })
+})
+
+describe("cmykToRGB", () => {
+  it("converts CMYK to RGB", () => {
+    assert.deepStrictEqual(cmykToRGB(0, 100, 100, 0), { r: 255, g: 0, b: 0 })
+    assert.deepStrictEqual(cmykToRGB(0, 0, 0, 100), { r: 0, g: 0, b: 0 })
+    assert.deepStrictEqual(cmykToRGB(0, 0, 0, 0), { r: 255, g: 255, b: 255 })
+  })
+
+  it("round-trips for any amount of under-color removal", () => {
+    for (const ucr of [0, 0.5, 1]) {
+      const cmyk = rgbToCMYK(51, 102, 153, ucr)
+      assert.deepStrictEqual(cmykToRGB(cmyk.c, cmyk.m, cmyk.y, cmyk.k), {
+        r: 51,
+        g: 102,
+        b: 153,
+      })
+    }
+  })
+})
+
+describe("kelvinToRGB", () => {
+  describe("Basic Functionality", () => {
+    it("is white at 6600K", () => {
+      assert.deepStrictEqual(kelvinToRGB(6600), { r: 255, g: 255, b: 255 })
+    })
+
+    it("matches the blackbody reference values", () => {
+      assert.deepStrictEqual(kelvinToRGB(1000), { r: 255, g: 68, b: 0 })
+      assert.deepStrictEqual(kelvinToRGB(2700), { r: 255, g: 167, b: 87 })
+      assert.deepStrictEqual(kelvinToRGB(10000), { r: 202, g: 218, b: 255 })
+      assert.deepStrictEqual(kelvinToRGB(40000), { r: 152, g: 186, b: 255 })
+    })
+
+    it("gets bluer as the temperature rises", () => {
+      let previous = kelvinToRGB(KELVIN_RANGE.min)
+      for (let k = 1100; k <= KELVIN_RANGE.max; k += 100) {
+        const rgb = kelvinToRGB(k)
+        assert.ok(rgb.r <= previous.r, `${k}K red`)
+        assert.ok(rgb.b >= previous.b, `${k}K blue`)
+        previous = rgb
+      }
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("clamps to 1000K-40000K", () => {
+      assert.deepStrictEqual(kelvinToRGB(500), kelvinToRGB(1000))
+      assert.deepStrictEqual(kelvinToRGB(100000), kelvinToRGB(40000))
+    })
+
+    it("has no blue below 1900K", () => {
+      assert.strictEqual(kelvinToRGB(1900).b, 0)
+    })
+  })
+})
+
+describe("srgbToLinear / linearToSRGB", () => {
+  it("maps the endpoints to themselves", () => {
+    assert.strictEqual(srgbToLinear(0), 0)
+    assert.strictEqual(srgbToLinear(1), 1)
+    assert.strictEqual(linearToSRGB(0), 0)
+    assert.ok(Math.abs(linearToSRGB(1) - 1) < 1e-12)
+  })
+
+  it("uses the linear segment near black", () => {
+    assert.ok(Math.abs(srgbToLinear(0.04) - 0.04 / 12.92) < 1e-12)
+    assert.ok(Math.abs(linearToSRGB(0.003) - 0.003 * 12.92) < 1e-12)
+  })
+
+  it("linearizes mid gray", () => {
+    assert.ok(Math.abs(srgbToLinear(0.5) - 0.214041) < 1e-6)
+  })
+
+  it("round-trips channel values", () => {
+    for (let i = 0; i <= 255; i += 15) {
+      const c = i / 255
+      assert.ok(Math.abs(linearToSRGB(srgbToLinear(c)) - c) < 1e-12)
+    }
+  })
+
+  it("mirrors negative values", () => {
+    assert.strictEqual(srgbToLinear(-0.5), -srgbToLinear(0.5))
+    assert.strictEqual(linearToSRGB(-0.5), -linearToSRGB(0.5))
+  })
+})
+
+describe("rgbToOKLab", () => {
+  describe("Reference Values", () => {
+    it("converts red", () => {
+      assertLabClose(rgbToOKLab(255, 0, 0), {
+        l: 0.627955,
+        a: 0.224863,
+        b: 0.125846,
+      })
+    })
+
+    it("converts green", () => {
+      assertLabClose(rgbToOKLab(0, 255, 0), {
+        l: 0.86644,
+        a: -0.233888,
+        b: 0.179498,
+      })
+    })
+
+    it("converts blue", () => {
+      assertLabClose(rgbToOKLab(0, 0, 255), {
+        l: 0.452014,
+        a: -0.032457,
+        b: -0.311528,
+      })
+    })
+  })
+
+  describe("Achromatic Colors", () => {
+    it("converts white to L=1", () => {
+      assertLabClose(rgbToOKLab(255, 255, 255), { l: 1, a: 0, b: 0 })
+    })
+
+    it("converts black to L=0", () => {
+      assertLabClose(rgbToOKLab(0, 0, 0), { l: 0, a: 0, b: 0 })
+    })
+
+    it("converts gray to a neutral color", () => {
+      assertLabClose(rgbToOKLab(128, 128, 128), { l: 0.59987, a: 0, b: 0 })
+    })
+  })
+})
+
+describe("oklabToRGB", () => {
+  it("converts reference red back", () => {
+    assert.deepStrictEqual(oklabToRGB(0.627955, 0.224863, 0.125846), {
+      r: 255,
+      g: 0,
+      b: 0,
+    })
+  })
+
+  it("clamps out-of-gamut colors", () => {
+    const rgb = oklabToRGB(0.9, -0.4, 0.3)
+    for (const channel of [rgb.r, rgb.g, rgb.b]) {
+      assert.ok(channel >= 0 && channel <= 255)
+    }
+  })
+
+  it("round-trips a grid of RGB values", () => {
+    for (let r = 0; r <= 255; r += 51) {
+      for (let g = 0; g <= 255; g += 51) {
+        for (let b = 0; b <= 255; b += 51) {
+          const lab = rgbToOKLab(r, g, b)
+          assert.deepStrictEqual(oklabToRGB(lab.l, lab.a, lab.b), { r, g, b })
+        }
+      }
+    }
+  })
+})
+
+describe("rgbToOKLCH", () => {
+  describe("Reference Values", () => {
+    it("converts red", () => {
+      assertLCHClose(rgbToOKLCH(255, 0, 0), {
+        l: 0.627955,
+        c: 0.257683,
+        h: 29.2339,
+      })
+    })
+
+    it("converts green", () => {
+      assertLCHClose(rgbToOKLCH(0, 255, 0), {
+        l: 0.86644,
+        c: 0.294827,
+        h: 142.4953,
+      })
+    })
+
+    it("converts blue", () => {
+      assertLCHClose(rgbToOKLCH(0, 0, 255), {
+        l: 0.452014,
+        c: 0.313214,
+        h: 264.052,
+      })
+    })
+  })
+
+  describe("Achromatic Colors", () => {
+    it("reports zero hue for white", () => {
+      const lch = rgbToOKLCH(255, 255, 255)
+      assert.strictEqual(lch.h, 0)
+      assert.ok(lch.c < 1e-6)
+    })
+
+    it("reports zero hue for gray", () => {
+      assert.strictEqual(rgbToOKLCH(128, 128, 128).h, 0)
+    })
+  })
+
+  it("keeps hue in the 0-360 range", () => {
+    const lch = rgbToOKLCH(255, 0, 128)
+    assert.ok(lch.h >= 0 && lch.h < 360)
+  })
+})
+
+describe("oklchToRGB", () => {
+  it("converts reference blue back", () => {
+    assert.deepStrictEqual(oklchToRGB(0.452014, 0.313214, 264.052), {
+      r: 0,
+      g: 0,
+      b: 255,
+    })
+  })
+
+  it("treats zero chroma as gray regardless of hue", () => {
+    assert.deepStrictEqual(
+      oklchToRGB(0.59987, 0, 200),
+      oklchToRGB(0.59987, 0, 0),
+    )
+  })
+
+  it("round-trips cornflowerblue", () => {
+    const lch = rgbToOKLCH(100, 149, 237)
+    assert.deepStrictEqual(oklchToRGB(lch.l, lch.c, lch.h), {
+      r: 100,
+      g: 149,
+      b: 237,
+    })
+  })
+})
+
+describe("rgbToXYZ / xyzToRGB", () => {
+  it("converts white to the D65 white point", () => {
+    assertXYZClose(rgbToXYZ(255, 255, 255), WHITE_POINTS.D65)
+  })
+
+  it("converts red to its primary tristimulus values", () => {
+    assertXYZClose(rgbToXYZ(255, 0, 0), {
+      x: 0.412391,
+      y: 0.212639,
+      z: 0.019331,
+    })
+  })
+
+  it("converts black to zero", () => {
+    assert.deepStrictEqual(rgbToXYZ(0, 0, 0), { x: 0, y: 0, z: 0 })
+  })
+
+  it("round-trips a custom color", () => {
+    const xyz = rgbToXYZ(46, 204, 113)
+    assert.deepStrictEqual(xyzToRGB(xyz.x, xyz.y, xyz.z), {
+      r: 46,
+      g: 204,
+      b: 113,
+    })
+  })
+})
+
+describe("adaptXYZ", () => {
+  it("maps the D65 white point onto D50", () => {
+    assertXYZClose(
+      adaptXYZ(WHITE_POINTS.D65, WHITE_POINTS.D65, WHITE_POINTS.D50),
+      WHITE_POINTS.D50,
+    )
+  })
+
+  it("maps the D50 white point onto D65", () => {
+    assertXYZClose(
+      adaptXYZ(WHITE_POINTS.D50, WHITE_POINTS.D50, WHITE_POINTS.D65),
+      WHITE_POINTS.D65,
+    )
+  })
+
+  it("matches the CSS Color 4 D65 to D50 matrix", () => {
+    // First column of the published Bradford matrix
+    assertXYZClose(
+      adaptXYZ({ x: 1, y: 0, z: 0 }, WHITE_POINTS.D65, WHITE_POINTS.D50),
+      { x: 1.04793, y: 0.029628, z: -0.009243 },
+    )
+  })
+
+  it("returns a copy when both white points are the same", () => {
+    const xyz = { x: 0.2, y: 0.3, z: 0.4 }
+    const adapted = adaptXYZ(xyz, WHITE_POINTS.D65, WHITE_POINTS.D65)
+    assert.deepStrictEqual(adapted, xyz)
+    assert.notStrictEqual(adapted, xyz)
+  })
+
+  it("round-trips between white points", () => {
+    const xyz = { x: 0.5, y: 0.4, z: 0.3 }
+    const there = adaptXYZ(xyz, WHITE_POINTS.D65, WHITE_POINTS.D50)
+    assertXYZClose(adaptXYZ(there, WHITE_POINTS.D50, WHITE_POINTS.D65), xyz)
+  })
+})
+
+describe("xyzToLab / labToXYZ", () => {
+  it("converts the reference white to L=100", () => {
+    const d50 = WHITE_POINTS.D50
+    assertLabClose(xyzToLab(d50.x, d50.y, d50.z), { l: 100, a: 0, b: 0 }, 1e-9)
+  })
+
+  it("uses the given white point", () => {
+    const d65 = WHITE_POINTS.D65
+    assertLabClose(
+      xyzToLab(d65.x, d65.y, d65.z, WHITE_POINTS.D65),
+      { l: 100, a: 0, b: 0 },
+      1e-9,
+    )
+  })
+
+  it("handles the linear segment near black", () => {
+    const lab = xyzToLab(0.001, 0.001, 0.001)
+    assert.ok(lab.l > 0 && lab.l < 1)
+    assertXYZClose(labToXYZ(lab.l, lab.a, lab.b), {
+      x: 0.001,
+      y: 0.001,
+      z: 0.001,
+    })
+  })
+
+  it("round-trips XYZ values", () => {
+    const lab = xyzToLab(0.3, 0.2, 0.1, WHITE_POINTS.D65)
+    assertXYZClose(labToXYZ(lab.l, lab.a, lab.b, WHITE_POINTS.D65), {
+      x: 0.3,
+      y: 0.2,
+      z: 0.1,
+    })
+  })
+})
+
+describe("rgbToLab", () => {
+  describe("D50 (CSS lab())", () => {
+    it("converts red", () => {
+      assertLabClose(
+        rgbToLab(255, 0, 0),
+        { l: 54.2905, a: 80.8049, b: 69.891 },
+        0.001,
+      )
+    })
+
+    it("converts green", () => {
+      assertLabClose(
+        rgbToLab(0, 255, 0),
+        { l: 87.8185, a: -79.2711, b: 80.9946 },
+        0.001,
+      )
+    })
+
+    it("converts blue", () => {
+      assertLabClose(
+        rgbToLab(0, 0, 255),
+        { l: 29.5683, a: 68.2874, b: -112.0297 },
+        0.001,
+      )
+    })
+
+    it("converts white and gray to neutral colors", () => {
+      assertLabClose(rgbToLab(255, 255, 255), { l: 100, a: 0, b: 0 }, 1e-9)
+      assertLabClose(rgbToLab(128, 128, 128), { l: 53.585, a: 0, b: 0 }, 0.001)
+    })
+  })
+
+  describe("D65", () => {
+    it("converts red", () => {
+      assertLabClose(
+        rgbToLab(255, 0, 0, WHITE_POINTS.D65),
+        { l: 53.2371, a: 80.0901, b: 67.2033 },
+        0.001,
+      )
+    })
+
+    it("converts blue", () => {
+      assertLabClose(
+        rgbToLab(0, 0, 255, WHITE_POINTS.D65),
+        { l: 32.3009, a: 79.1953, b: -107.8555 },
+        0.001,
+      )
+    })
+  })
+})
+
+describe("labToRGB", () => {
+  it("converts D50 red back", () => {
+    assert.deepStrictEqual(labToRGB(54.2905, 80.8049, 69.891), {
+      r: 255,
+      g: 0,
+      b: 0,
+    })
+  })
+
+  it("converts D65 red back", () => {
+    assert.deepStrictEqual(
+      labToRGB(53.2371, 80.0901, 67.2033, WHITE_POINTS.D65),
+      {
+        r: 255,
+        g: 0,
+        b: 0,
+      },
+    )
+  })
+
+  it("round-trips a grid of RGB values for both white points", () => {
+    for (const whitePoint of [WHITE_POINTS.D50, WHITE_POINTS.D65]) {
+      for (let r = 0; r <= 255; r += 85) {
+        for (let g = 0; g <= 255; g += 85) {
+          for (let b = 0; b <= 255; b += 85) {
+            const lab = rgbToLab(r, g, b, whitePoint)
+            assert.deepStrictEqual(labToRGB(lab.l, lab.a, lab.b, whitePoint), {
+              r,
+              g,
+              b,
+            })
+          }
+        }
+      }
+    }
+  })
+
+  it("clamps out-of-gamut colors", () => {
+    const rgb = labToRGB(50, 120, -120)
+    for (const channel of [rgb.r, rgb.g, rgb.b]) {
+      assert.ok(channel >= 0 && channel <= 255)
+    }
+  })
+})
+
+describe("labToUnitSRGB", () => {
+  it("converts without rounding", () => {
+    assertUnitRGBClose(labToUnitSRGB(54.2905, 80.8049, 69.891), {
+      r: 1,
+      g: 0,
+      b: 0,
+    })
+    const lab = rgbToLab(51, 102, 153)
+    assertUnitRGBClose(labToUnitSRGB(lab.l, lab.a, lab.b), {
+      r: 0.2,
+      g: 0.4,
+      b: 0.6,
+    })
+  })
+
+  it("leaves out-of-gamut colors outside 0-1", () => {
+    const rgb = labToUnitSRGB(50, 120, -120)
+    assert.ok(
+      Math.min(rgb.r, rgb.g, rgb.b) < 0 || Math.max(rgb.r, rgb.g, rgb.b) > 1,
+    )
+  })
+})
+
+describe("labToLCH / lchToLab", () => {
+  it("converts to polar coordinates", () => {
+    assertLCHClose(labToLCH(50, 0, 20), { l: 50, c: 20, h: 90 })
+    assertLCHClose(labToLCH(50, -20, 0), { l: 50, c: 20, h: 180 })
+  })
+
+  it("keeps hue positive", () => {
+    assertLCHClose(labToLCH(50, 0, -20), { l: 50, c: 20, h: 270 })
+  })
+
+  it("reports zero hue for neutral colors", () => {
+    assert.strictEqual(labToLCH(50, 0, 0).h, 0)
+  })
+
+  it("round-trips Lab values", () => {
+    const lch = labToLCH(60, 30, -40)
+    assertLabClose(
+      lchToLab(lch.l, lch.c, lch.h),
+      { l: 60, a: 30, b: -40 },
+      1e-9,
+    )
+  })
+})
+
+describe("rgbToLCH / lchToRGB", () => {
+  it("converts red", () => {
+    assertLCHClose(
+      rgbToLCH(255, 0, 0),
+      { l: 54.2905, c: 106.8372, h: 40.8577 },
+      0.001,
+    )
+  })
+
+  it("converts blue", () => {
+    assertLCHClose(
+      rgbToLCH(0, 0, 255),
+      { l: 29.5683, c: 131.2015, h: 301.3643 },
+      0.001,
+    )
+  })
+
+  it("round-trips a custom color", () => {
+    const lch = rgbToLCH(52, 152, 219)
+    assert.deepStrictEqual(lchToRGB(lch.l, lch.c, lch.h), {
+      r: 52,
+      g: 152,
+      b: 219,
+    })
+  })
+
+  it("supports the D65 white point", () => {
+    const lch = rgbToLCH(52, 152, 219, WHITE_POINTS.D65)
+    assert.deepStrictEqual(lchToRGB(lch.l, lch.c, lch.h, WHITE_POINTS.D65), {
+      r: 52,
+      g: 152,
+      b: 219,
+    })
+  })
+})
+
+describe("parseCSSColor", () => {
+  const red = { r: 255, g: 0, b: 0, alpha: 1 }
+
+  describe("Hex Notation", () => {
+    it("parses 6-digit hex", () => {
+      assert.deepStrictEqual(parseCSSColor("#3498db"), {
+        r: 52,
+        g: 152,
+        b: 219,
+        alpha: 1,
+      })
+    })
+
+    it("parses 3-digit hex", () => {
+      assert.deepStrictEqual(parseCSSColor("#f00"), red)
+    })
+
+    it("parses 4-digit hex with alpha", () => {
+      assert.deepStrictEqual(parseCSSColor("#f008"), {
+        r: 255,
+        g: 0,
+        b: 0,
+        alpha: 0x88 / 255,
+      })
+    })
+
+    it("parses 8-digit hex with alpha", () => {
+      assert.deepStrictEqual(parseCSSColor("#FF000080"), {
+        r: 255,
+        g: 0,
+        b: 0,
+        alpha: 0x80 / 255,
+      })
+    })
+
+    it("rejects other lengths and invalid digits", () => {
+      assert.strictEqual(parseCSSColor("#ff"), null)
+      assert.strictEqual(parseCSSColor("#ff000"), null)
+      assert.strictEqual(parseCSSColor("#ggg"), null)
+      assert.strictEqual(parseCSSColor("#"), null)
+    })
+  })
+
+  describe("Named Colors", () => {
+    it("knows all 148 CSS named colors", () => {
+      assert.strictEqual(Object.keys(NAMED_COLORS).length, 148)
+      for (const [name, hex] of Object.entries(NAMED_COLORS)) {
+        assert.deepStrictEqual(parseCSSColor(name), {
+          ...hexToRGB(hex),
+          alpha: 1,
+        })
+      }
+    })
+
+    it("is case-insensitive", () => {
+      assert.deepStrictEqual(parseCSSColor("RebeccaPurple"), {
+        r: 102,
+        g: 51,
+        b: 153,
+        alpha: 1,
+      })
+    })
+
+    it("parses transparent", () => {
+      assert.deepStrictEqual(parseCSSColor("transparent"), {
+        r: 0,
+        g: 0,
+        b: 0,
+        alpha: 0,
+      })
+    })
+
+    it("ignores inherited object keys", () => {
+      assert.strictEqual(parseCSSColor("constructor"), null)
+    })
+  })
+
+  describe("rgb() / rgba()", () => {
+    it("parses the legacy comma syntax", () => {
+      assert.deepStrictEqual(parseCSSColor("rgb(255, 0, 0)"), red)
+      assert.deepStrictEqual(parseCSSColor("rgba(255,0,0,0.5)"), {
+        ...red,
+        alpha: 0.5,
+      })
+    })
+
+    it("parses the modern space syntax", () => {
+      assert.deepStrictEqual(parseCSSColor("rgb(255 0 0)"), red)
+      assert.deepStrictEqual(parseCSSColor("rgb(255 0 0 / 25%)"), {
+        ...red,
+        alpha: 0.25,
+      })
+    })
+
+    it("parses percentages", () => {
+      assert.deepStrictEqual(parseCSSColor("rgb(100%, 0%, 0%)"), red)
+      assert.deepStrictEqual(parseCSSColor("rgb(100% 0 0)"), red)
+    })
+
+    it("treats none as zero in the modern syntax", () => {
+      assert.deepStrictEqual(parseCSSColor("rgb(255 none 0)"), red)
+    })
+
+    it("rounds and clamps channel values", () => {
+      assert.deepStrictEqual(parseCSSColor("rgb(300 -20 127.6)"), {
+        r: 255,
+        g: 0,
+        b: 128,
+        alpha: 1,
+      })
+    })
+
+    it("rejects mixed numbers and percentages in the legacy syntax", () => {
+      assert.strictEqual(parseCSSColor("rgb(100%, 0, 0)"), null)
+    })
+
+    it("rejects malformed argument lists", () => {
+      assert.strictEqual(parseCSSColor("rgb(255, 0 0)"), null)
+      assert.strictEqual(parseCSSColor("rgb(255 0 0 0)"), null)
+      assert.strictEqual(parseCSSColor("rgb(255, 0, 0,)"), null)
+      assert.strictEqual(parseCSSColor("rgb(255, 0, 0 / 1)"), null)
+      assert.strictEqual(parseCSSColor("rgb()"), null)
+    })
+  })
+
+  describe("hsl() / hsla()", () => {
+    it("parses the legacy comma syntax", () => {
+      assert.deepStrictEqual(parseCSSColor("hsl(120, 100%, 50%)"), {
+        r: 0,
+        g: 255,
+        b: 0,
+        alpha: 1,
+      })
+    })
+
+    it("parses the modern syntax with alpha", () => {
+      assert.deepStrictEqual(parseCSSColor("hsla(120deg 100% 50% / 0.25)"), {
+        r: 0,
+        g: 255,
+        b: 0,
+        alpha: 0.25,
+      })
+    })
+
+    it("accepts plain numbers for saturation and lightness in the modern syntax", () => {
+      assert.deepStrictEqual(parseCSSColor("hsl(0 100 50)"), red)
+    })
+
+    it("supports hue units", () => {
+      const cyan = { r: 0, g: 255, b: 255, alpha: 1 }
+      assert.deepStrictEqual(parseCSSColor("hsl(0.5turn 100% 50%)"), cyan)
+      assert.deepStrictEqual(parseCSSColor("hsl(200grad 100% 50%)"), cyan)
+      assert.deepStrictEqual(parseCSSColor("hsl(3.14159265rad 100% 50%)"), cyan)
+    })
+
+    it("wraps negative hues", () => {
+      assert.deepStrictEqual(parseCSSColor("hsl(-360 100% 50%)"), red)
+    })
+
+    it("requires percentages in the legacy syntax", () => {
+      assert.strictEqual(parseCSSColor("hsl(120, 100, 50)"), null)
+    })
+  })
+
+  describe("hwb()", () => {
+    it("parses pure hues", () => {
+      assert.deepStrictEqual(parseCSSColor("hwb(0 0% 0%)"), red)
+    })
+
+    it("mixes in whiteness and blackness", () => {
+      assert.deepStrictEqual(parseCSSColor("hwb(120 20% 20%)"), {
+        r: 51,
+        g: 204,
+        b: 51,
+        alpha: 1,
+      })
+    })
+
+    it("normalizes whiteness and blackness above 100% to gray", () => {
+      assert.deepStrictEqual(parseCSSColor("hwb(0 60% 60%)"), {
+        r: 128,
+        g: 128,
+        b: 128,
+        alpha: 1,
+      })
+    })
+  })
+
+  describe("lab() / lch() / oklab() / oklch()", () => {
+    it("parses lab()", () => {
+      assert.deepStrictEqual(parseCSSColor("lab(54.29 80.8 69.89)"), red)
+    })
+
+    it("parses lab() percentages", () => {
+      assert.deepStrictEqual(parseCSSColor("lab(100% 0% 0%)"), {
+        r: 255,
+        g: 255,
+        b: 255,
+        alpha: 1,
+      })
+    })
+
+    it("parses lch()", () => {
+      assert.deepStrictEqual(parseCSSColor("lch(54.29% 106.84 40.86)"), red)
+    })
+
+    it("parses oklab()", () => {
+      assert.deepStrictEqual(parseCSSColor("oklab(0.628 0.2249 0.1258)"), red)
+    })
+
+    it("parses oklch() with alpha", () => {
+      assert.deepStrictEqual(parseCSSColor("oklch(62.8% 0.2577 29.23 / 50%)"), {
+        ...red,
+        alpha: 0.5,
+      })
+    })
+
+    it("gamut maps out-of-gamut colors instead of clipping them", () => {
+      assert.deepStrictEqual(parseCSSColor("oklch(0.7 0.3 150)"), {
+        r: 0,
+        g: 194,
+        b: 72,
+        alpha: 1,
+      })
+      const rgb = parseCSSColor("oklch(70% 0.4 150)")
+      for (const channel of [rgb.r, rgb.g, rgb.b]) {
+        assert.ok(channel >= 0 && channel <= 255)
+      }
+    })
+
+    it("rejects the legacy comma syntax", () => {
+      assert.strictEqual(parseCSSColor("lab(50, 0, 0)"), null)
+    })
+  })
+
+  describe("color()", () => {
+    it("parses srgb", () => {
+      assert.deepStrictEqual(parseCSSColor("color(srgb 1 0 0)"), red)
+      assert.deepStrictEqual(parseCSSColor("color(srgb 100% 0% 0% / 0.5)"), {
+        ...red,
+        alpha: 0.5,
+      })
+    })
+
+    it("parses srgb-linear", () => {
+      assert.deepStrictEqual(
+        parseCSSColor("color(srgb-linear 0.21586 0.21586 0.21586)"),
+        {
+          r: 128,
+          g: 128,
+          b: 128,
+          alpha: 1,
+        },
+      )
+    })
+
+    it("rejects unknown color spaces", () => {
+      assert.strictEqual(parseCSSColor("color(foo 1 0 0)"), null)
+    })
+  })
+
+  describe("Invalid Input", () => {
+    it("returns null for non-strings", () => {
+      assert.strictEqual(parseCSSColor(null), null)
+      assert.strictEqual(parseCSSColor(undefined), null)
+      assert.strictEqual(parseCSSColor(42), null)
+    })
+
+    it("returns null for unknown keywords and functions", () => {
+      assert.strictEqual(parseCSSColor(""), null)
+      assert.strictEqual(parseCSSColor("notacolor"), null)
+      assert.strictEqual(parseCSSColor("foo(1 2 3)"), null)
+    })
+
+    it("ignores surrounding whitespace", () => {
+      assert.deepStrictEqual(parseCSSColor("  red  "), red)
+    })
+  })
+})
+
+describe("rgbToHex", () => {
+  it("serializes opaque colors as 6-digit hex", () => {
+    assert.strictEqual(rgbToHex(255, 0, 0), "#ff0000")
+    assert.strictEqual(rgbToHex(52, 152, 219, 1), "#3498db")
+  })
+
+  it("adds an alpha byte for translucent colors", () => {
+    assert.strictEqual(rgbToHex(255, 0, 0, 0.5), "#ff000080")
+    assert.strictEqual(rgbToHex(0, 0, 0, 0), "#00000000")
+  })
+
+  it("round-trips through parseCSSColor", () => {
+    const hex = rgbToHex(18, 52, 86, 0x9a / 255)
+    assert.strictEqual(hex, "#1234569a")
+    assert.deepStrictEqual(parseCSSColor(hex), {
+      r: 18,
+      g: 52,
+      b: 86,
+      alpha: 0x9a / 255,
+    })
+  })
+})
+
+describe("serializeColorFunction", () => {
+  it("omits alpha for opaque colors", () => {
+    assert.strictEqual(
+      serializeColorFunction("srgb", [1, 0, 0]),
+      "color(srgb 1 0 0)",
+    )
+  })
+
+  it("adds alpha after a slash", () => {
+    assert.strictEqual(
+      serializeColorFunction("srgb", [1, 0.5, 0], 0.25),
+      "color(srgb 1 0.5 0 / 0.25)",
+    )
+  })
+
+  it("limits precision and drops negative zero", () => {
+    assert.strictEqual(
+      serializeColorFunction("display-p3", [128 / 255, -0, 1 / 3]),
+      "color(display-p3 0.501961 0 0.333333)",
+    )
+  })
+
+  it("round-trips through parseCSSColor", () => {
+    const value = serializeColorFunction("srgb", [0.2, 0.4, 0.6], 0.5)
+    assert.deepStrictEqual(parseCSSColor(value), {
+      r: 51,
+      g: 102,
+      b: 153,
+      alpha: 0.5,
+    })
+  })
+})
+
+function assertUnitRGBClose(actual, expected, tolerance = 0.0001) {
+  assert.ok(
+    Math.abs(actual.r - expected.r) <= tolerance &&
+      Math.abs(actual.g - expected.g) <= tolerance &&
+      Math.abs(actual.b - expected.b) <= tolerance,
+    `Expected ${JSON.stringify(actual)} to be close to ${JSON.stringify(expected)}`,
+  )
+}
+
+describe("hsvToUnitRGB", () => {
+  it("returns unrounded channels in 0-1", () => {
+    assertUnitRGBClose(hsvToUnitRGB(210, 50, 60), { r: 0.3, g: 0.45, b: 0.6 })
+  })
+
+  it("matches hsvToRGB once scaled and rounded", () => {
+    const unit = hsvToUnitRGB(37, 81, 64)
+    const rgb = hsvToRGB(37, 81, 64)
+    assert.strictEqual(Math.round(unit.r * 255), rgb.r)
+    assert.strictEqual(Math.round(unit.g * 255), rgb.g)
+    assert.strictEqual(Math.round(unit.b * 255), rgb.b)
+  })
+})
+
+describe("hslToUnitRGB", () => {
+  it("returns unrounded channels in 0-1", () => {
+    assertUnitRGBClose(hslToUnitRGB(210, 50, 30), { r: 0.15, g: 0.3, b: 0.45 })
+  })
+
+  it("matches hslToRGB once scaled and rounded", () => {
+    const unit = hslToUnitRGB(37, 81, 64)
+    const rgb = hslToRGB(37, 81, 64)
+    assert.strictEqual(Math.round(unit.r * 255), rgb.r)
+    assert.strictEqual(Math.round(unit.g * 255), rgb.g)
+    assert.strictEqual(Math.round(unit.b * 255), rgb.b)
+  })
+})
+
+describe("p3ToSRGB / srgbToP3", () => {
+  it("converts sRGB red into the smaller P3 value", () => {
+    assertUnitRGBClose(srgbToP3(1, 0, 0), {
+      r: 0.917488,
+      g: 0.200287,
+      b: 0.138561,
+    })
+  })
+
+  it("puts P3 red outside the sRGB gamut", () => {
+    const srgb = p3ToSRGB(1, 0, 0)
+    assertUnitRGBClose(srgb, { r: 1.093066, g: -0.226742, b: -0.150135 })
+    assert.strictEqual(isInUnitGamut(srgb.r, srgb.g, srgb.b), false)
+  })
+
+  it("keeps white and black", () => {
+    assertUnitRGBClose(srgbToP3(1, 1, 1), { r: 1, g: 1, b: 1 })
+    assertUnitRGBClose(p3ToSRGB(0, 0, 0), { r: 0, g: 0, b: 0 })
+  })
+
+  it("round-trips", () => {
+    const p3 = srgbToP3(0.2, 0.4, 0.6)
+    assertUnitRGBClose(p3ToSRGB(p3.r, p3.g, p3.b), { r: 0.2, g: 0.4, b: 0.6 })
+  })
+})
+
+describe("gamutMapToSRGB", () => {
+  it("returns in-gamut colors unchanged", () => {
+    assert.deepStrictEqual(gamutMapToSRGB(0.2, 0.4, 0.6), {
+      r: 0.2,
+      g: 0.4,
+      b: 0.6,
+    })
+  })
+
+  it("maps P3 red by reducing chroma", () => {
+    const srgb = p3ToSRGB(1, 0, 0)
+    const mapped = gamutMapToSRGB(srgb.r, srgb.g, srgb.b)
+    assertUnitRGBClose(mapped, { r: 1, g: 0.0446, b: 0.0459 }, 0.001)
+    assert.ok(isInUnitGamut(mapped.r, mapped.g, mapped.b, 0))
+  })
+
+  it("maps too-light and too-dark colors to white and black", () => {
+    assert.deepStrictEqual(gamutMapToSRGB(1.2, 1.1, 1.3), { r: 1, g: 1, b: 1 })
+    assert.deepStrictEqual(gamutMapToSRGB(-0.2, -0.1, -0.3), {
+      r: 0,
+      g: 0,
+      b: 0,
+    })
+  })
+})
+
+describe("oklchToGamutMappedRGB", () => {
+  it("matches oklchToRGB inside the gamut", () => {
+    const lch = rgbToOKLCH(51, 102, 153)
+    assert.deepStrictEqual(
+      oklchToGamutMappedRGB(lch.l, lch.c, lch.h),
+      oklchToRGB(lch.l, lch.c, lch.h),
+    )
+  })
+
+  it("reduces chroma instead of clipping", () => {
+    // Very high chroma at red's lightness and hue
+    const red = rgbToOKLCH(255, 0, 0)
+    const mapped = oklchToGamutMappedRGB(red.l, 0.4, red.h)
+    const clipped = oklchToRGB(red.l, 0.4, red.h)
+    const mappedLCH = rgbToOKLCH(mapped.r, mapped.g, mapped.b)
+    const clippedLCH = rgbToOKLCH(clipped.r, clipped.g, clipped.b)
+    assert.ok(
+      Math.abs(mappedLCH.l - red.l) < Math.abs(clippedLCH.l - red.l) + 0.01,
+    )
+    assert.ok(Math.abs(mappedLCH.h - red.h) < 2)
+  })
+})
+
+describe("parseDisplayP3", () => {
+  it("keeps color(display-p3 ...) channels as given", () => {
+    assert.deepStrictEqual(
+      parseDisplayP3("color(display-p3 0.2 0.4 0.6 / 50%)"),
+      { r: 0.2, g: 0.4, b: 0.6, alpha: 0.5 },
+    )
+  })
+
+  it("converts other syntaxes from sRGB", () => {
+    const p3 = parseDisplayP3("#ff0000")
+    assertUnitRGBClose(p3, { r: 0.917488, g: 0.200287, b: 0.138561 })
+    assert.strictEqual(p3.alpha, 1)
+  })
+
+  it("returns null for invalid colors", () => {
+    assert.strictEqual(parseDisplayP3("nope"), null)
+    assert.strictEqual(parseDisplayP3(""), null)
+  })
+})
+
+describe("parseLabColor", () => {
+  it("keeps the coordinates lab(), lch() and oklch() are written in", () => {
+    assert.deepStrictEqual(parseLabColor("lab(50 100 -200)"), {
+      space: "lab",
+      coords: { l: 50, a: 100, b: -200 },
+      alpha: 1,
+    })
+    assert.deepStrictEqual(parseLabColor("LCH(50% 75 30deg)"), {
+      space: "lch",
+      coords: { l: 50, c: 75, h: 30 },
+      alpha: 1,
+    })
+    assert.deepStrictEqual(parseLabColor("oklch(0.7 0.3 150 / 50%)"), {
+      space: "oklch",
+      coords: { l: 0.7, c: 0.3, h: 150 },
+      alpha: 0.5,
+    })
+  })
+
+  it("reads oklab() as OKLCH", () => {
+    const { space, coords } = parseLabColor("oklab(0.7 0 0.3)")
+    assert.strictEqual(space, "oklch")
+    assert.ok(Math.abs(coords.c - 0.3) < 1e-9)
+    assert.ok(Math.abs(coords.h - 90) < 1e-9)
+  })
+
+  it("returns null for other syntaxes and invalid colors", () => {
+    assert.strictEqual(parseLabColor("#ff0000"), null)
+    assert.strictEqual(parseLabColor("rgb(0 0 0)"), null)
+    assert.strictEqual(parseLabColor("lab(50, 0, 0)"), null)
+    assert.strictEqual(parseLabColor("oklch(0.5 0.1)"), null)
+    assert.strictEqual(parseLabColor(null), null)
+  })
+})
+
+describe("parseCSSColor with display-p3", () => {
+  it("gamut maps P3 colors outside sRGB", () => {
+    assert.deepStrictEqual(parseCSSColor("color(display-p3 1 0 0)"), {
+      r: 255,
+      g: 11,
+      b: 12,
+      alpha: 1,
+    })
+  })
+})
+
+describe("mixColors", () => {
+  const red = { r: 255, g: 0, b: 0 }
+  const blue = { r: 0, g: 0, b: 255 }
+  const white = { r: 255, g: 255, b: 255 }
+  const black = { r: 0, g: 0, b: 0 }
+
+  describe("Basic Functionality", () => {
+    it("matches color-mix() in each space", () => {
+      const expected = {
+        srgb: { r: 128, g: 0, b: 128 },
+        "srgb-linear": { r: 188, g: 0, b: 188 },
+        hsl: { r: 255, g: 0, b: 255 },
+        hwb: { r: 255, g: 0, b: 255 },
+        lab: { r: 193, g: 0, b: 136 },
+        lch: { r: 205, g: 0, b: 126 },
+        oklab: { r: 140, g: 83, b: 162 },
+        oklch: { r: 183, g: 0, b: 190 },
+      }
+      assert.deepStrictEqual(MIX_SPACES, Object.keys(expected))
+      MIX_SPACES.forEach((space) => {
+        assert.deepStrictEqual(
+          mixColors(red, blue, 0.5, space),
+          { ...expected[space], alpha: 1 },
+          space,
+        )
+      })
+    })
+
+    it("returns the ends at 0 and 1", () => {
+      MIX_SPACES.forEach((space) => {
+        assert.deepStrictEqual(mixColors(red, blue, 0, space), {
+          ...red,
+          alpha: 1,
+        })
+        assert.deepStrictEqual(mixColors(red, blue, 1, space), {
+          ...blue,
+          alpha: 1,
+        })
+      })
+    })
+
+    it("weights the second color by the amount", () => {
+      assert.deepStrictEqual(mixColors(black, white, 0.25, "srgb"), {
+        r: 64,
+        g: 64,
+        b: 64,
+        alpha: 1,
+      })
+    })
+
+    it("mixes grays to a gray in polar spaces", () => {
+      POLAR_MIX_SPACES.forEach((space) => {
+        const { r, g, b } = mixColors(white, black, 0.5, space)
+        assert.ok(r === g && g === b, space)
+      })
+    })
+  })
+
+  describe("Hue Interpolation", () => {
+    it("follows each hue method from red (0) to blue (240)", () => {
+      const magenta = { r: 255, g: 0, b: 255, alpha: 1 }
+      const green = { r: 0, g: 255, b: 0, alpha: 1 }
+      const expected = {
+        shorter: magenta,
+        longer: green,
+        increasing: green,
+        decreasing: magenta,
+      }
+      assert.deepStrictEqual(HUE_METHODS, Object.keys(expected))
+      HUE_METHODS.forEach((method) => {
+        assert.deepStrictEqual(
+          mixColors(red, blue, 0.5, "hsl", method),
+          expected[method],
+          method,
+        )
+      })
+    })
+
+    it("takes the hue of the other color for grays", () => {
+      // color-mix(in hsl, white, blue) is hsl(240 50% 75%)
+      assert.deepStrictEqual(mixColors(white, blue, 0.5, "hsl"), {
+        r: 159,
+        g: 159,
+        b: 223,
+        alpha: 1,
+      })
+    })
+
+    it("ignores the hue method in rectangular spaces", () => {
+      assert.deepStrictEqual(
+        mixColors(red, blue, 0.5, "oklab", "longer"),
+        mixColors(red, blue, 0.5, "oklab", "shorter"),
+      )
+    })
+  })
+
+  describe("Alpha", () => {
+    it("interpolates with premultiplied alpha", () => {
+      // color-mix(in srgb, rgb(255 0 0 / 0.5), blue)
+      assert.deepStrictEqual(
+        mixColors({ ...red, alpha: 0.5 }, blue, 0.5, "srgb"),
+        { r: 85, g: 0, b: 170, alpha: 0.75 },
+      )
+    })
+
+    it("mixes fully transparent colors without premultiplying", () => {
+      assert.deepStrictEqual(
+        mixColors({ ...black, alpha: 0 }, { ...white, alpha: 0 }, 0.5, "srgb"),
+        { r: 128, g: 128, b: 128, alpha: 0 },
+      )
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("falls back to oklab and the shorter hue for unknown options", () => {
+      assert.deepStrictEqual(
+        mixColors(red, blue, 0.5, "nope"),
+        mixColors(red, blue, 0.5, "oklab"),
+      )
+      assert.deepStrictEqual(
+        mixColors(red, blue, 0.5, "hsl", "nope"),
+        mixColors(red, blue, 0.5, "hsl", "shorter"),
+      )
+    })
+
+    it("clamps the amount", () => {
+      assert.deepStrictEqual(mixColors(red, blue, 2, "srgb"), {
+        ...blue,
+        alpha: 1,
+      })
+      assert.deepStrictEqual(mixColors(red, blue, -1, "srgb"), {
+        ...red,
+        alpha: 1,
+      })
+    })
+
+    it("gamut maps results outside sRGB", () => {
+      const { r, g, b } = mixColors(
+        { r: 0, g: 255, b: 0 },
+        { r: 255, g: 0, b: 255 },
+        0.5,
+        "oklch",
+        "longer",
+      )
+      ;[r, g, b].forEach((channel) => {
+        assert.ok(Number.isInteger(channel) && channel >= 0 && channel <= 255)
+      })
+    })
+  })
+})
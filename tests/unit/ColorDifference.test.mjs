@@ -0,0 +1,159 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  CIE94_WEIGHTS,
+  deltaE76,
+  deltaE94,
+  deltaE2000,
+  deltaEOK,
+} from "../../src/utils/ColorDifference.mjs"
+import { rgbToOKLab } from "../../src/utils/ColorConversions.mjs"
+
+function assertClose(actual, expected, tolerance = 0.0001) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `Expected ${actual} to be close to ${expected}`,
+  )
+}
+
+const lab = (l, a, b) => ({ l, a, b })
+
+// Sharma, Wu and Dalal (2005), "The CIEDE2000 Color-Difference Formula:
+// Implementation Notes, Supplementary Test Data, and Mathematical
+// Observations", Table 1: [Lab 1, Lab 2, expected Delta E 2000]
+const SHARMA_DATA = [
+  [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+  [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+  [[50, 2.8361, -74.02], [50, 0, -82.7485], 3.4412],
+  [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+  [[50, -1.1848, -84.8006], [50, 0, -82.7485], 1.0],
+  [[50, -0.9009, -85.5211], [50, 0, -82.7485], 1.0],
+  [[50, 0, 0], [50, -1, 2], 2.3669],
+  [[50, -1, 2], [50, 0, 0], 2.3669],
+  [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+  [[50, 2.49, -0.001], [50, -2.49, 0.001], 7.1792],
+  [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+  [[50, 2.49, -0.001], [50, -2.49, 0.0012], 7.2195],
+  [[50, -0.001, 2.49], [50, 0.0009, -2.49], 4.8045],
+  [[50, -0.001, 2.49], [50, 0.001, -2.49], 4.8045],
+  [[50, -0.001, 2.49], [50, 0.0011, -2.49], 4.7461],
+  [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+  [[50, 2.5, 0], [73, 25, -18], 27.1492],
+  [[50, 2.5, 0], [61, -5, 29], 22.8977],
+  [[50, 2.5, 0], [56, -27, -3], 31.903],
+  [[50, 2.5, 0], [58, 24, 15], 19.4535],
+  [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0],
+  [[50, 2.5, 0], [50, 3.2972, 0], 1.0],
+  [[50, 2.5, 0], [50, 1.8634, 0.5757], 1.0],
+  [[50, 2.5, 0], [50, 3.2592, 0.335], 1.0],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[63.0109, -31.0961, -5.8663], [62.8187, -29.7946, -4.0864], 1.263],
+  [[61.2901, 3.7196, -5.3901], [61.4292, 2.248, -4.962], 1.8731],
+  [[35.0831, -44.1164, 3.7933], [35.0232, -40.0716, 1.5901], 1.8645],
+  [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  [[36.4612, 47.858, 18.3852], [36.2715, 50.5065, 21.2231], 1.4146],
+  [[90.8027, -2.0831, 1.441], [91.1528, -1.6435, 0.0447], 1.4441],
+  [[90.9257, -0.5406, -0.9208], [88.6381, -0.8985, -0.7239], 1.5381],
+  [[6.7747, -0.2908, -2.4247], [5.8714, -0.0985, -2.2286], 0.6377],
+  [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082],
+]
+
+describe("deltaE76", () => {
+  it("returns 0 for identical colors", () => {
+    assert.strictEqual(deltaE76(lab(50, 10, -10), lab(50, 10, -10)), 0)
+  })
+
+  it("is the Euclidean distance in Lab", () => {
+    assertClose(deltaE76(lab(50, 2.5, 0), lab(73, 25, -18)), 36.868)
+    assertClose(deltaE76(lab(0, 0, 0), lab(3, 4, 0)), 5)
+  })
+
+  it("is symmetric", () => {
+    const a = lab(60.2574, -34.0099, 36.2677)
+    const b = lab(60.4626, -34.1751, 39.4387)
+    assert.strictEqual(deltaE76(a, b), deltaE76(b, a))
+  })
+})
+
+describe("deltaE94", () => {
+  it("returns 0 for identical colors", () => {
+    assert.strictEqual(deltaE94(lab(50, 10, -10), lab(50, 10, -10)), 0)
+  })
+
+  it("equals CIE76 for pure lightness differences", () => {
+    assertClose(deltaE94(lab(50, 0, 0), lab(60, 0, 0)), 10)
+  })
+
+  it("weights chroma and hue by the reference chroma", () => {
+    assertClose(
+      deltaE94(lab(50, 2.6772, -79.7751), lab(50, 0, -82.7485)),
+      1.395,
+      0.001,
+    )
+  })
+
+  it("halves lightness differences for textiles", () => {
+    assertClose(
+      deltaE94(lab(50, 0, 0), lab(60, 0, 0), CIE94_WEIGHTS.textiles),
+      5,
+    )
+  })
+
+  it("is not symmetric", () => {
+    const a = lab(50, 2.5, 0)
+    const b = lab(58, 24, 15)
+    assert.notStrictEqual(deltaE94(a, b), deltaE94(b, a))
+  })
+})
+
+describe("deltaE2000", () => {
+  describe("Sharma Reference Data", () => {
+    SHARMA_DATA.forEach(([lab1, lab2, expected], index) => {
+      it(`matches pair ${index + 1}`, () => {
+        assertClose(deltaE2000(lab(...lab1), lab(...lab2)), expected)
+      })
+
+      it(`matches pair ${index + 1} reversed`, () => {
+        assertClose(deltaE2000(lab(...lab2), lab(...lab1)), expected)
+      })
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("returns 0 for identical colors", () => {
+      assert.strictEqual(deltaE2000(lab(50, 10, -10), lab(50, 10, -10)), 0)
+    })
+
+    it("handles two neutral colors", () => {
+      assertClose(deltaE2000(lab(0, 0, 0), lab(100, 0, 0)), 100, 0.001)
+    })
+
+    it("scales with the parametric weights", () => {
+      const a = lab(50, 0, 0)
+      const b = lab(60, 0, 0)
+      assertClose(deltaE2000(a, b, 2), deltaE2000(a, b) / 2)
+    })
+  })
+})
+
+describe("deltaEOK", () => {
+  it("returns 0 for identical colors", () => {
+    const red = rgbToOKLab(255, 0, 0)
+    assert.strictEqual(deltaEOK(red, red), 0)
+  })
+
+  it("is 1 between black and white", () => {
+    assertClose(
+      deltaEOK(rgbToOKLab(0, 0, 0), rgbToOKLab(255, 255, 255)),
+      1,
+      0.001,
+    )
+  })
+
+  it("is the Euclidean distance in OKLab", () => {
+    assertClose(
+      deltaEOK({ l: 0.5, a: 0.1, b: 0 }, { l: 0.5, a: 0.1, b: 0.02 }),
+      0.02,
+    )
+  })
+})
@@ -0,0 +1,182 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  GRADIENT_TYPES,
+  sortStops,
+  sampleGradient,
+  gradientToCSS,
+} from "../../src/utils/ColorGradient.mjs"
+import { mixColors } from "../../src/utils/ColorConversions.mjs"
+
+const RED = { r: 255, g: 0, b: 0 }
+const BLUE = { r: 0, g: 0, b: 255 }
+const WHITE = { r: 255, g: 255, b: 255 }
+
+const gradient = (changes = {}) => ({
+  type: "linear",
+  angle: 90,
+  space: "oklab",
+  hueMethod: "shorter",
+  stops: [
+    { color: RED, position: 0 },
+    { color: BLUE, position: 100 },
+  ],
+  ...changes,
+})
+
+describe("sortStops", () => {
+  it("orders stops by position without changing the input", () => {
+    const stops = [
+      { color: BLUE, position: 100 },
+      { color: RED, position: 0 },
+      { color: WHITE, position: 50 },
+    ]
+    assert.deepStrictEqual(
+      sortStops(stops).map(({ position }) => position),
+      [0, 50, 100],
+    )
+    assert.strictEqual(stops[0].position, 100)
+  })
+})
+
+describe("sampleGradient", () => {
+  describe("Basic Functionality", () => {
+    it("returns the stop colors at their positions", () => {
+      assert.deepStrictEqual(sampleGradient(gradient(), 0), {
+        ...RED,
+        alpha: 1,
+      })
+      assert.deepStrictEqual(sampleGradient(gradient(), 100), {
+        ...BLUE,
+        alpha: 1,
+      })
+    })
+
+    it("mixes the neighboring stops in the gradient's space", () => {
+      assert.deepStrictEqual(
+        sampleGradient(gradient(), 50),
+        mixColors(RED, BLUE, 0.5, "oklab"),
+      )
+      assert.deepStrictEqual(
+        sampleGradient(gradient({ space: "hsl", hueMethod: "longer" }), 50),
+        { r: 0, g: 255, b: 0, alpha: 1 },
+      )
+    })
+
+    it("finds the segment a position falls in", () => {
+      const threeStops = gradient({
+        space: "srgb",
+        stops: [
+          { color: BLUE, position: 100 },
+          { color: RED, position: 0 },
+          { color: WHITE, position: 50 },
+        ],
+      })
+      assert.deepStrictEqual(sampleGradient(threeStops, 25), {
+        r: 255,
+        g: 128,
+        b: 128,
+        alpha: 1,
+      })
+      assert.deepStrictEqual(sampleGradient(threeStops, 75), {
+        r: 128,
+        g: 128,
+        b: 255,
+        alpha: 1,
+      })
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("extends the end colors past the first and last stops", () => {
+      const inset = gradient({
+        stops: [
+          { color: RED, position: 20 },
+          { color: BLUE, position: 80 },
+        ],
+      })
+      assert.deepStrictEqual(sampleGradient(inset, 10), { ...RED, alpha: 1 })
+      assert.deepStrictEqual(sampleGradient(inset, 90), { ...BLUE, alpha: 1 })
+    })
+
+    it("switches colors at stops sharing a position", () => {
+      const hard = gradient({
+        stops: [
+          { color: RED, position: 0 },
+          { color: RED, position: 50 },
+          { color: BLUE, position: 50 },
+          { color: BLUE, position: 100 },
+        ],
+      })
+      assert.deepStrictEqual(sampleGradient(hard, 49), { ...RED, alpha: 1 })
+      assert.deepStrictEqual(sampleGradient(hard, 51), { ...BLUE, alpha: 1 })
+    })
+  })
+})
+
+describe("gradientToCSS", () => {
+  describe("Basic Functionality", () => {
+    it("serializes each gradient type", () => {
+      assert.deepStrictEqual(GRADIENT_TYPES, ["linear", "radial", "conic"])
+      assert.strictEqual(
+        gradientToCSS(gradient()),
+        "linear-gradient(90deg in oklab, #ff0000 0%, #0000ff 100%)",
+      )
+      assert.strictEqual(
+        gradientToCSS(gradient({ type: "radial" })),
+        "radial-gradient(in oklab, #ff0000 0%, #0000ff 100%)",
+      )
+      assert.strictEqual(
+        gradientToCSS(gradient({ type: "conic", angle: 45 })),
+        "conic-gradient(from 45deg in oklab, #ff0000 0%, #0000ff 100%)",
+      )
+    })
+
+    it("lists stops in order with alpha and rounded positions", () => {
+      const css = gradientToCSS(
+        gradient({
+          stops: [
+            { color: BLUE, position: 100 },
+            { color: { ...RED, alpha: 0.5 }, position: 33.333 },
+          ],
+        }),
+      )
+      assert.strictEqual(
+        css,
+        "linear-gradient(90deg in oklab, #ff000080 33.3%, #0000ff 100%)",
+      )
+    })
+
+    it("adds non-default hue methods for polar spaces", () => {
+      assert.strictEqual(
+        gradientToCSS(gradient({ space: "oklch", hueMethod: "longer" })),
+        "linear-gradient(90deg in oklch longer hue, #ff0000 0%, #0000ff 100%)",
+      )
+      assert.strictEqual(
+        gradientToCSS(gradient({ space: "oklch" })),
+        "linear-gradient(90deg in oklch, #ff0000 0%, #0000ff 100%)",
+      )
+      assert.strictEqual(
+        gradientToCSS(gradient({ space: "lab", hueMethod: "longer" })),
+        "linear-gradient(90deg in lab, #ff0000 0%, #0000ff 100%)",
+      )
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("leaves out the default sRGB space", () => {
+      assert.strictEqual(
+        gradientToCSS(gradient({ space: "srgb" })),
+        "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+      )
+      assert.strictEqual(
+        gradientToCSS(gradient({ type: "radial", space: "srgb" })),
+        "radial-gradient(#ff0000 0%, #0000ff 100%)",
+      )
+    })
+
+    it("falls back to a linear gradient for unknown types", () => {
+      assert.ok(gradientToCSS(gradient({ type: "nope" })).startsWith("linear"))
+    })
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  HARMONY_SCHEMES,
+  rotateHue,
+  generateHarmony,
+} from "../../src/utils/ColorHarmony.mjs"
+import { rgbToHSV, rgbToOKLCH } from "../../src/utils/ColorConversions.mjs"
+
+const RED = { r: 255, g: 0, b: 0 }
+
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360
+  return Math.min(d, 360 - d)
+}
+
+describe("rotateHue", () => {
+  describe("HSV", () => {
+    it("rotates red to cyan", () => {
+      assert.deepStrictEqual(rotateHue(RED, 180), { r: 0, g: 255, b: 255 })
+    })
+
+    it("rotates red to green and blue", () => {
+      assert.deepStrictEqual(rotateHue(RED, 120), { r: 0, g: 255, b: 0 })
+      assert.deepStrictEqual(rotateHue(RED, 240), { r: 0, g: 0, b: 255 })
+    })
+
+    it("wraps negative rotations", () => {
+      assert.deepStrictEqual(rotateHue(RED, -60), { r: 255, g: 0, b: 255 })
+    })
+
+    it("keeps saturation and value", () => {
+      const color = { r: 51, g: 102, b: 153 }
+      const before = rgbToHSV(color.r, color.g, color.b)
+      const rotated = rotateHue(color, 90)
+      const after = rgbToHSV(rotated.r, rotated.g, rotated.b)
+      assert.ok(Math.abs(before.s - after.s) < 1)
+      assert.ok(Math.abs(before.v - after.v) < 1)
+      assert.ok(hueDistance(after.h, before.h + 90) < 1)
+    })
+
+    it("leaves grays unchanged", () => {
+      const gray = { r: 128, g: 128, b: 128 }
+      assert.deepStrictEqual(rotateHue(gray, 120), gray)
+    })
+  })
+
+  describe("OKLCH", () => {
+    it("keeps lightness for in-gamut results", () => {
+      const color = { r: 120, g: 130, b: 140 }
+      const before = rgbToOKLCH(color.r, color.g, color.b)
+      const rotated = rotateHue(color, 180, "oklch")
+      const after = rgbToOKLCH(rotated.r, rotated.g, rotated.b)
+      assert.ok(Math.abs(before.l - after.l) < 0.005)
+      assert.ok(hueDistance(after.h, before.h + 180) < 3)
+    })
+
+    it("gamut maps out-of-gamut results into sRGB", () => {
+      const rotated = rotateHue(RED, 120, "oklch")
+      Object.values(rotated).forEach((channel) => {
+        assert.ok(Number.isInteger(channel) && channel >= 0 && channel <= 255)
+      })
+      const before = rgbToOKLCH(RED.r, RED.g, RED.b)
+      const after = rgbToOKLCH(rotated.r, rotated.g, rotated.b)
+      assert.ok(Math.abs(before.l - after.l) < 0.02)
+    })
+  })
+})
+
+describe("generateHarmony", () => {
+  it("starts with the base color", () => {
+    Object.keys(HARMONY_SCHEMES).forEach((scheme) => {
+      assert.deepStrictEqual(generateHarmony(RED, scheme)[0], RED)
+    })
+  })
+
+  it("returns one color per hue offset", () => {
+    assert.strictEqual(generateHarmony(RED, "complementary").length, 2)
+    assert.strictEqual(generateHarmony(RED, "split-complementary").length, 3)
+    assert.strictEqual(generateHarmony(RED, "analogous").length, 3)
+    assert.strictEqual(generateHarmony(RED, "triadic").length, 3)
+    assert.strictEqual(generateHarmony(RED, "tetradic").length, 4)
+    assert.strictEqual(generateHarmony(RED, "square").length, 4)
+  })
+
+  it("builds a triadic scheme", () => {
+    assert.deepStrictEqual(generateHarmony(RED, "triadic"), [
+      RED,
+      { r: 0, g: 255, b: 0 },
+      { r: 0, g: 0, b: 255 },
+    ])
+  })
+
+  it("builds a square scheme", () => {
+    assert.deepStrictEqual(generateHarmony(RED, "square"), [
+      RED,
+      { r: 128, g: 255, b: 0 },
+      { r: 0, g: 255, b: 255 },
+      { r: 128, g: 0, b: 255 },
+    ])
+  })
+
+  it("supports OKLCH hue rotation", () => {
+    const harmony = generateHarmony(RED, "complementary", "oklch")
+    assert.strictEqual(harmony.length, 2)
+    assert.notDeepStrictEqual(
+      harmony[1],
+      generateHarmony(RED, "complementary")[1],
+    )
+  })
+
+  it("returns an empty list for unknown schemes", () => {
+    assert.deepStrictEqual(generateHarmony(RED, "nope"), [])
+  })
+})
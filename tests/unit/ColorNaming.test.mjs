@@ -0,0 +1,101 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  nearestNamedColor,
+  describeColor,
+} from "../../src/utils/ColorNaming.mjs"
+import { NAMED_COLORS } from "../../src/utils/NamedColors.mjs"
+import { hexToRGB } from "../../src/utils/ColorConversions.mjs"
+
+describe("nearestNamedColor", () => {
+  describe("Basic Functionality", () => {
+    it("finds exact matches with a distance of 0", () => {
+      assert.deepStrictEqual(nearestNamedColor({ r: 100, g: 149, b: 237 }), {
+        name: "cornflowerblue",
+        hex: "#6495ed",
+        deltaE: 0,
+      })
+    })
+
+    it("finds every named color exactly", () => {
+      for (const [name, hex] of Object.entries(NAMED_COLORS)) {
+        const nearest = nearestNamedColor(hexToRGB(hex))
+        assert.strictEqual(nearest.hex, hex, name)
+        assert.strictEqual(nearest.deltaE, 0, name)
+      }
+    })
+
+    it("finds the closest name for other colors", () => {
+      const nearest = nearestNamedColor({ r: 101, g: 150, b: 230 })
+      assert.strictEqual(nearest.name, "cornflowerblue")
+      assert.ok(nearest.deltaE > 0 && nearest.deltaE < 2)
+    })
+
+    it("matches near-black to black", () => {
+      assert.strictEqual(
+        nearestNamedColor({ r: 10, g: 10, b: 10 }).name,
+        "black",
+      )
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("prefers the first name for aliases", () => {
+      assert.strictEqual(
+        nearestNamedColor({ r: 0, g: 255, b: 255 }).name,
+        "aqua",
+      )
+      assert.strictEqual(
+        nearestNamedColor({ r: 128, g: 128, b: 128 }).name,
+        "gray",
+      )
+    })
+
+    it("searches a custom name table", () => {
+      const names = { brand: "#123456", accent: "#ff8800" }
+      assert.strictEqual(
+        nearestNamedColor({ r: 255, g: 130, b: 0 }, names).name,
+        "accent",
+      )
+      assert.strictEqual(
+        nearestNamedColor({ r: 0, g: 0, b: 0 }, names).name,
+        "brand",
+      )
+    })
+  })
+})
+
+describe("describeColor", () => {
+  const describeHex = (hex) => describeColor(hexToRGB(hex))
+
+  it("combines lightness, saturation and hue", () => {
+    assert.strictEqual(describeHex("#2a3b5c"), "dark desaturated blue")
+    assert.strictEqual(describeHex("#556b2f"), "dark desaturated green")
+    assert.strictEqual(describeHex("#6495ed"), "light blue")
+  })
+
+  it("calls saturated mid-lightness colors vivid", () => {
+    assert.strictEqual(describeHex("#ff0000"), "vivid red")
+    assert.strictEqual(describeHex("#ffa500"), "vivid orange")
+    assert.strictEqual(describeHex("#00ffff"), "vivid cyan")
+    assert.strictEqual(describeHex("#800080"), "dark magenta")
+  })
+
+  it("names dark oranges brown and light reds pink", () => {
+    assert.strictEqual(describeHex("#8b4513"), "dark brown")
+    assert.strictEqual(describeHex("#ffc0cb"), "very light pink")
+  })
+
+  it("describes grays by lightness only", () => {
+    assert.strictEqual(describeHex("#000000"), "black")
+    assert.strictEqual(describeHex("#333333"), "dark gray")
+    assert.strictEqual(describeHex("#808080"), "gray")
+    assert.strictEqual(describeHex("#c0c0c0"), "light gray")
+    assert.strictEqual(describeHex("#ffffff"), "white")
+  })
+
+  it("wraps the hue around red", () => {
+    assert.strictEqual(describeHex("#ff0008"), "vivid red")
+    assert.strictEqual(describeHex("#ff0800"), "vivid red")
+  })
+})
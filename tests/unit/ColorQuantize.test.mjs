@@ -0,0 +1,144 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  QUANTIZE_MODES,
+  CGA_PALETTE,
+  EGA_PALETTE,
+  VGA_PALETTE,
+  snapChannels,
+  nearestPaletteColor,
+  parsePalette,
+  quantizeColor,
+} from "../../src/utils/ColorQuantize.mjs"
+import { rgbToHex } from "../../src/utils/ColorConversions.mjs"
+
+const PINK = { r: 200, g: 30, b: 100 }
+
+describe("Palettes", () => {
+  it("has the 16 CGA colors with brown", () => {
+    assert.strictEqual(CGA_PALETTE.length, 16)
+    assert.strictEqual(CGA_PALETTE[6], "#aa5500")
+  })
+
+  it("has all 64 EGA colors in index order", () => {
+    assert.strictEqual(new Set(EGA_PALETTE).size, 64)
+    assert.strictEqual(EGA_PALETTE[1], "#0000aa")
+    assert.strictEqual(EGA_PALETTE[6], "#aaaa00")
+    assert.strictEqual(EGA_PALETTE[20], "#aa5500")
+    assert.strictEqual(EGA_PALETTE[63], "#ffffff")
+  })
+
+  it("matches the default VGA palette", () => {
+    assert.strictEqual(VGA_PALETTE.length, 256)
+    assert.deepStrictEqual(VGA_PALETTE.slice(0, 16), CGA_PALETTE)
+    assert.strictEqual(VGA_PALETTE[23], "#616161")
+    assert.strictEqual(VGA_PALETTE[32], "#0000ff")
+    assert.strictEqual(VGA_PALETTE[40], "#ff0000")
+    assert.strictEqual(VGA_PALETTE[56], "#7d7dff")
+    assert.strictEqual(VGA_PALETTE[104], "#000071")
+    assert.strictEqual(VGA_PALETTE[247], "#2d3141")
+    assert.strictEqual(VGA_PALETTE[255], "#000000")
+  })
+})
+
+describe("snapChannels", () => {
+  it("rounds to web-safe multiples of 51", () => {
+    assert.deepStrictEqual(snapChannels(PINK, 6), { r: 204, g: 51, b: 102 })
+  })
+
+  it("rounds to 12-bit multiples of 17", () => {
+    assert.deepStrictEqual(snapChannels(PINK, 16), { r: 204, g: 34, b: 102 })
+  })
+
+  it("keeps colors that are already on a level", () => {
+    const color = { r: 0, g: 153, b: 255 }
+    assert.deepStrictEqual(snapChannels(color, 6), color)
+  })
+})
+
+describe("nearestPaletteColor", () => {
+  it("finds exact matches", () => {
+    assert.deepStrictEqual(
+      nearestPaletteColor({ r: 170, g: 85, b: 0 }, CGA_PALETTE),
+      { hex: "#aa5500", index: 6, deltaE: 0 },
+    )
+  })
+
+  it("finds the closest color by CIEDE2000", () => {
+    const nearest = nearestPaletteColor(PINK, CGA_PALETTE)
+    assert.strictEqual(nearest.hex, "#aa00aa")
+    assert.strictEqual(nearest.index, 5)
+    assert.ok(nearest.deltaE > 0)
+  })
+
+  it("returns the first of duplicate colors", () => {
+    assert.strictEqual(
+      nearestPaletteColor({ r: 0, g: 0, b: 0 }, VGA_PALETTE).index,
+      0,
+    )
+  })
+
+  it("returns null for an empty palette", () => {
+    assert.strictEqual(nearestPaletteColor(PINK, []), null)
+  })
+})
+
+describe("parsePalette", () => {
+  it("reads CSS colors with any separator", () => {
+    assert.deepStrictEqual(
+      parsePalette("#000, #f00; rgb(0 255 0)\nblue rgb(1, 2, 3)"),
+      ["#000000", "#ff0000", "#00ff00", "#0000ff", "#010203"],
+    )
+  })
+
+  it("skips invalid colors and drops alpha", () => {
+    assert.deepStrictEqual(parsePalette("nope #12 #ff000080"), ["#ff0000"])
+    assert.deepStrictEqual(parsePalette(""), [])
+    assert.deepStrictEqual(parsePalette(null), [])
+  })
+})
+
+describe("quantizeColor", () => {
+  it("supports every mode", () => {
+    assert.deepStrictEqual(QUANTIZE_MODES, [
+      "web-safe",
+      "12-bit",
+      "vga",
+      "ega",
+      "cga",
+      "custom",
+    ])
+    assert.deepStrictEqual(quantizeColor(PINK, "web-safe"), {
+      r: 204,
+      g: 51,
+      b: 102,
+    })
+    assert.deepStrictEqual(quantizeColor(PINK, "12-bit"), {
+      r: 204,
+      g: 34,
+      b: 102,
+    })
+    assert.deepStrictEqual(quantizeColor(PINK, "cga"), {
+      r: 170,
+      g: 0,
+      b: 170,
+    })
+    const vga = quantizeColor(PINK, "vga")
+    const ega = quantizeColor(PINK, "ega")
+    assert.ok(VGA_PALETTE.includes(rgbToHex(vga.r, vga.g, vga.b)))
+    assert.ok(EGA_PALETTE.includes(rgbToHex(ega.r, ega.g, ega.b)))
+  })
+
+  it("snaps to a custom palette", () => {
+    assert.deepStrictEqual(
+      quantizeColor(PINK, "custom", ["#000000", "#ff0000", "#00ff00"]),
+      { r: 255, g: 0, b: 0 },
+    )
+  })
+
+  it("leaves the color alone without a palette", () => {
+    assert.deepStrictEqual(quantizeColor(PINK, "custom"), PINK)
+    assert.deepStrictEqual(quantizeColor(PINK, "none"), PINK)
+    assert.notStrictEqual(quantizeColor(PINK, "none"), PINK)
+  })
+})
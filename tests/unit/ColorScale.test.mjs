@@ -0,0 +1,141 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  SCALE_STEPS,
+  SCALE_CURVES,
+  generateScale,
+  scaleToCSS,
+  scaleToTailwind,
+} from "../../src/utils/ColorScale.mjs"
+import { rgbToOKLCH, rgbToHSL } from "../../src/utils/ColorConversions.mjs"
+
+const BLUE = { r: 59, g: 130, b: 246 }
+
+describe("generateScale", () => {
+  describe("Basic Functionality", () => {
+    it("returns the eleven 50-950 steps", () => {
+      const scale = generateScale(BLUE)
+      assert.deepStrictEqual(
+        scale.map(({ step }) => step),
+        SCALE_STEPS,
+      )
+    })
+
+    it("keeps the base color at 500", () => {
+      ;["oklch", "hsl"].forEach((space) => {
+        const scale = generateScale(BLUE, space)
+        assert.deepStrictEqual(scale[5], { step: 500, color: BLUE })
+      })
+    })
+
+    it("gets darker at every step in OKLCH", () => {
+      Object.keys(SCALE_CURVES).forEach((curve) => {
+        const lightness = generateScale(BLUE, "oklch", curve).map(
+          ({ color }) => rgbToOKLCH(color.r, color.g, color.b).l,
+        )
+        for (let i = 1; i < lightness.length; i++) {
+          assert.ok(lightness[i] < lightness[i - 1], `${curve} step ${i}`)
+        }
+      })
+    })
+
+    it("gets darker at every step in HSL", () => {
+      const lightness = generateScale(BLUE, "hsl").map(
+        ({ color }) => rgbToHSL(color.r, color.g, color.b).l,
+      )
+      for (let i = 1; i < lightness.length; i++) {
+        assert.ok(lightness[i] < lightness[i - 1])
+      }
+    })
+
+    it("reaches the lightness range at the ends", () => {
+      const [first, , , , , , , , , , last] = generateScale(BLUE, "oklch")
+      const light = rgbToOKLCH(first.color.r, first.color.g, first.color.b)
+      const dark = rgbToOKLCH(last.color.r, last.color.g, last.color.b)
+      assert.ok(Math.abs(light.l - 0.97) < 0.01)
+      assert.ok(Math.abs(dark.l - 0.26) < 0.01)
+    })
+
+    it("keeps the hue in OKLCH", () => {
+      const base = rgbToOKLCH(BLUE.r, BLUE.g, BLUE.b)
+      generateScale(BLUE, "oklch")
+        .slice(1, -1)
+        .forEach(({ color }) => {
+          const { h } = rgbToOKLCH(color.r, color.g, color.b)
+          assert.ok(Math.abs(h - base.h) < 3)
+        })
+    })
+  })
+
+  describe("Curves", () => {
+    it("keeps the ends fixed", () => {
+      const linear = generateScale(BLUE, "oklch", "linear")
+      const eased = generateScale(BLUE, "oklch", "ease-in-out")
+      assert.deepStrictEqual(eased[0], linear[0])
+      assert.deepStrictEqual(eased[10], linear[10])
+    })
+
+    it("changes the steps in between", () => {
+      const linear = generateScale(BLUE, "hsl", "linear")
+      const easeIn = generateScale(BLUE, "hsl", "ease-in")
+      const easeOut = generateScale(BLUE, "hsl", "ease-out")
+      const l = ({ color }) => rgbToHSL(color.r, color.g, color.b).l
+
+      // ease-in stays near the base longer, ease-out leaves it sooner
+      assert.ok(l(easeIn[2]) < l(linear[2]))
+      assert.ok(l(easeOut[2]) > l(linear[2]))
+      assert.ok(l(easeIn[8]) > l(linear[8]))
+      assert.ok(l(easeOut[8]) < l(linear[8]))
+    })
+  })
+
+  describe("Edge Cases", () => {
+    it("falls back to OKLCH and a linear curve for unknown options", () => {
+      assert.deepStrictEqual(
+        generateScale(BLUE, "nope", "nope"),
+        generateScale(BLUE, "oklch", "linear"),
+      )
+    })
+
+    it("builds a gray scale from a gray", () => {
+      generateScale({ r: 128, g: 128, b: 128 }).forEach(({ color }) => {
+        assert.ok(Math.abs(color.r - color.g) <= 1)
+        assert.ok(Math.abs(color.g - color.b) <= 1)
+      })
+    })
+
+    it("stays in sRGB for saturated colors", () => {
+      generateScale({ r: 0, g: 255, b: 0 }).forEach(({ color }) => {
+        Object.values(color).forEach((channel) => {
+          assert.ok(Number.isInteger(channel) && channel >= 0 && channel <= 255)
+        })
+      })
+    })
+  })
+})
+
+describe("scale exports", () => {
+  const scale = [
+    { step: 50, color: { r: 255, g: 255, b: 255 } },
+    { step: 500, color: { r: 255, g: 0, b: 0 } },
+  ]
+
+  it("exports CSS custom properties", () => {
+    assert.strictEqual(
+      scaleToCSS(scale, "brand"),
+      ":root {\n  --brand-50: #ffffff;\n  --brand-500: #ff0000;\n}",
+    )
+  })
+
+  it("exports a Tailwind colors entry", () => {
+    assert.strictEqual(
+      scaleToTailwind(scale, "brand"),
+      '{\n  "brand": {\n    50: "#ffffff",\n    500: "#ff0000",\n  },\n}',
+    )
+  })
+
+  it("names the scale primary by default", () => {
+    assert.ok(scaleToCSS(scale).includes("--primary-500"))
+    assert.ok(scaleToTailwind(scale).includes('"primary"'))
+  })
+})
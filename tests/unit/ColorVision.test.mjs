@@ -0,0 +1,141 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  CVD_TYPES,
+  CVD_METHODS,
+  simulateCVD,
+} from "../../src/utils/ColorVision.mjs"
+import { rgbToLab } from "../../src/utils/ColorConversions.mjs"
+import { deltaE2000 } from "../../src/utils/ColorDifference.mjs"
+import { relativeLuminance } from "../../src/utils/Contrast.mjs"
+
+const WHITE = { r: 255, g: 255, b: 255 }
+const BLACK = { r: 0, g: 0, b: 0 }
+const RED = { r: 255, g: 0, b: 0 }
+const GREEN = { r: 0, g: 160, b: 0 }
+
+const difference = (rgb1, rgb2) =>
+  deltaE2000(rgbToLab(rgb1.r, rgb1.g, rgb1.b), rgbToLab(rgb2.r, rgb2.g, rgb2.b))
+
+describe("simulateCVD", () => {
+  describe("Basic Functionality", () => {
+    CVD_TYPES.forEach((type) => {
+      CVD_METHODS.forEach((method) => {
+        it(`keeps white and black for ${type} (${method})`, () => {
+          assert.deepStrictEqual(simulateCVD(WHITE, type, 1, method), WHITE)
+          assert.deepStrictEqual(simulateCVD(BLACK, type, 1, method), BLACK)
+        })
+
+        it(`is the identity at severity 0 for ${type} (${method})`, () => {
+          const color = { r: 51, g: 102, b: 153 }
+          assert.deepStrictEqual(simulateCVD(color, type, 0, method), color)
+        })
+      })
+    })
+
+    it("defaults to full severity with the Brettel method", () => {
+      assert.deepStrictEqual(
+        simulateCVD(RED, "protan"),
+        simulateCVD(RED, "protan", 1, "brettel"),
+      )
+    })
+  })
+
+  describe("Red-Green Deficiencies", () => {
+    ;["protan", "deutan"].forEach((type) => {
+      CVD_METHODS.forEach((method) => {
+        it(`makes red and green harder to tell apart for ${type} (${method})`, () => {
+          const normal = difference(RED, GREEN)
+          const simulated = difference(
+            simulateCVD(RED, type, 1, method),
+            simulateCVD(GREEN, type, 1, method),
+          )
+          assert.ok(simulated < normal / 2, `${simulated} vs ${normal}`)
+        })
+      })
+    })
+
+    it("projects onto a yellow-blue plane with Viénot", () => {
+      const simulated = simulateCVD(
+        { r: 200, g: 80, b: 40 },
+        "protan",
+        1,
+        "vienot",
+      )
+      assert.strictEqual(simulated.r, simulated.g)
+    })
+
+    it("darkens red more for protans than deutans", () => {
+      const protan = relativeLuminance(simulateCVD(RED, "protan"))
+      const deutan = relativeLuminance(simulateCVD(RED, "deutan"))
+      assert.ok(protan < deutan)
+    })
+  })
+
+  describe("Tritan Deficiency", () => {
+    CVD_METHODS.forEach((method) => {
+      it(`keeps red distinct from green (${method})`, () => {
+        const simulated = difference(
+          simulateCVD(RED, "tritan", 1, method),
+          simulateCVD(GREEN, "tritan", 1, method),
+        )
+        assert.ok(simulated > 40)
+      })
+    })
+  })
+
+  describe("Achromatopsia", () => {
+    it("turns colors into the gray of the same luminance", () => {
+      const simulated = simulateCVD(RED, "achromat")
+      assert.strictEqual(simulated.r, simulated.g)
+      assert.strictEqual(simulated.g, simulated.b)
+      assert.ok(
+        Math.abs(relativeLuminance(simulated) - relativeLuminance(RED)) < 0.005,
+      )
+    })
+
+    it("is the same for every method", () => {
+      const color = { r: 12, g: 200, b: 99 }
+      const expected = simulateCVD(color, "achromat", 0.6, "brettel")
+      assert.deepStrictEqual(
+        simulateCVD(color, "achromat", 0.6, "vienot"),
+        expected,
+      )
+      assert.deepStrictEqual(
+        simulateCVD(color, "achromat", 0.6, "machado"),
+        expected,
+      )
+    })
+  })
+
+  describe("Severity", () => {
+    it("moves further from the original as severity grows", () => {
+      CVD_METHODS.forEach((method) => {
+        const mild = difference(RED, simulateCVD(RED, "deutan", 0.3, method))
+        const strong = difference(RED, simulateCVD(RED, "deutan", 0.8, method))
+        assert.ok(mild < strong, method)
+      })
+    })
+
+    it("interpolates between the tabulated Machado matrices", () => {
+      const at = (severity) => simulateCVD(RED, "protan", severity, "machado")
+      const low = at(0.5)
+      const high = at(0.6)
+      const middle = at(0.55)
+      ;["r", "g", "b"].forEach((channel) => {
+        assert.ok(
+          middle[channel] >= Math.min(low[channel], high[channel]) &&
+            middle[channel] <= Math.max(low[channel], high[channel]),
+        )
+      })
+    })
+
+    it("clamps severity to 0-1", () => {
+      assert.deepStrictEqual(
+        simulateCVD(RED, "protan", 2, "machado"),
+        simulateCVD(RED, "protan", 1, "machado"),
+      )
+      assert.deepStrictEqual(simulateCVD(RED, "protan", -1), RED)
+    })
+  })
+})
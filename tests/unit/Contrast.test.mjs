@@ -0,0 +1,126 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  relativeLuminance,
+  contrastRatio,
+  wcagCompliance,
+  apcaContrast,
+} from "../../src/utils/Contrast.mjs"
+
+function assertClose(actual, expected, tolerance = 0.0001) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `Expected ${actual} to be close to ${expected}`,
+  )
+}
+
+const WHITE = { r: 255, g: 255, b: 255 }
+const BLACK = { r: 0, g: 0, b: 0 }
+const GRAY_88 = { r: 0x88, g: 0x88, b: 0x88 }
+const GRAY_AA = { r: 0xaa, g: 0xaa, b: 0xaa }
+
+describe("relativeLuminance", () => {
+  it("is 0 for black and 1 for white", () => {
+    assert.strictEqual(relativeLuminance(BLACK), 0)
+    assertClose(relativeLuminance(WHITE), 1)
+  })
+
+  it("weights the primaries", () => {
+    assertClose(relativeLuminance({ r: 255, g: 0, b: 0 }), 0.2126)
+    assertClose(relativeLuminance({ r: 0, g: 255, b: 0 }), 0.7152)
+    assertClose(relativeLuminance({ r: 0, g: 0, b: 255 }), 0.0722)
+  })
+})
+
+describe("contrastRatio", () => {
+  it("is 21 for black on white", () => {
+    assertClose(contrastRatio(BLACK, WHITE), 21)
+  })
+
+  it("is 1 for identical colors", () => {
+    assert.strictEqual(contrastRatio(GRAY_88, GRAY_88), 1)
+  })
+
+  it("is symmetric", () => {
+    assert.strictEqual(
+      contrastRatio(GRAY_88, WHITE),
+      contrastRatio(WHITE, GRAY_88),
+    )
+  })
+
+  it("matches known values", () => {
+    assertClose(contrastRatio(GRAY_88, WHITE), 3.5449)
+    assertClose(
+      contrastRatio({ r: 0x76, g: 0x76, b: 0x76 }, WHITE),
+      4.54,
+      0.005,
+    )
+  })
+})
+
+describe("wcagCompliance", () => {
+  it("fails everything below 3:1", () => {
+    assert.deepStrictEqual(wcagCompliance(2.9), {
+      normalAA: false,
+      normalAAA: false,
+      largeAA: false,
+      largeAAA: false,
+    })
+  })
+
+  it("passes large text AA at 3:1", () => {
+    assert.deepStrictEqual(wcagCompliance(3), {
+      normalAA: false,
+      normalAAA: false,
+      largeAA: true,
+      largeAAA: false,
+    })
+  })
+
+  it("passes normal AA and large AAA at 4.5:1", () => {
+    assert.deepStrictEqual(wcagCompliance(4.5), {
+      normalAA: true,
+      normalAAA: false,
+      largeAA: true,
+      largeAAA: true,
+    })
+  })
+
+  it("passes everything at 7:1", () => {
+    assert.deepStrictEqual(wcagCompliance(7), {
+      normalAA: true,
+      normalAAA: true,
+      largeAA: true,
+      largeAAA: true,
+    })
+  })
+})
+
+describe("apcaContrast", () => {
+  // Reference values from the APCA-W3 0.0.98G-4g test suite
+  it("matches dark text on light backgrounds", () => {
+    assertClose(apcaContrast(GRAY_88, WHITE), 63.056469930209424)
+    assertClose(apcaContrast(BLACK, GRAY_AA), 58.146262578561334)
+  })
+
+  it("matches light text on dark backgrounds", () => {
+    assertClose(apcaContrast(WHITE, GRAY_88), -68.54146436644962)
+    assertClose(apcaContrast(GRAY_AA, BLACK), -56.24113336839742)
+  })
+
+  it("covers the full range", () => {
+    assertClose(apcaContrast(BLACK, WHITE), 106.04, 0.01)
+    assertClose(apcaContrast(WHITE, BLACK), -107.88, 0.01)
+  })
+
+  it("returns 0 for identical and low-contrast pairs", () => {
+    assert.strictEqual(apcaContrast(GRAY_88, GRAY_88), 0)
+    assert.strictEqual(
+      apcaContrast(
+        { r: 0x12, g: 0x34, b: 0x56 },
+        { r: 0x65, g: 0x43, b: 0x21 },
+      ),
+      0,
+    )
+  })
+})